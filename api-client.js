@@ -0,0 +1,242 @@
+/**
+ * API Client
+ * JSON requests with timeouts, retry/backoff and typed errors
+ * Configurable base URL via <meta name="api-base-url">
+ */
+
+(function() {
+  'use strict';
+
+  // Default configuration
+  const DEFAULTS = {
+    baseURL: '',
+    timeout: 10000,       // ms before a request is aborted
+    retries: 2,           // extra attempts for 5xx/429 responses
+    retryDelay: 500,      // base delay for exponential backoff (ms)
+    maxRetryDelay: 8000,  // upper bound for a single backoff wait (ms)
+    headers: {}
+  };
+
+  // User-facing messages for each error type
+  const ERROR_MESSAGES = {
+    validation: 'Invalid form data',
+    conflict: 'Someone else changed this just now. Please refresh and try again.',
+    rate_limit: 'Too many requests. Please try again later.',
+    server: 'Server error. Please try again later.',
+    timeout: 'Network timeout. Please check your connection.',
+    network: 'Network error. Please check your connection.',
+    http: 'Unable to process request. Please contact support.'
+  };
+
+  /**
+   * Typed API error
+   * `message` is always safe to show to the user
+   */
+  class ApiError extends Error {
+    /**
+     * @param {string} type - One of the ERROR_MESSAGES keys
+     * @param {Object} [details]
+     * @param {string} [details.message] - Override for the default message
+     * @param {number} [details.status] - HTTP status, if a response was received
+     * @param {*} [details.body] - Parsed response body, if any
+     */
+    constructor(type, details = {}) {
+      super(details.message || ERROR_MESSAGES[type] || ERROR_MESSAGES.http);
+      this.name = 'ApiError';
+      this.type = type;
+      this.status = details.status || 0;
+      this.body = details.body;
+    }
+
+    /**
+     * Whether the same request may succeed if sent again later
+     * @returns {boolean}
+     */
+    get retryable() {
+      return this.type === 'server' || this.type === 'rate_limit' ||
+        this.type === 'timeout' || this.type === 'network';
+    }
+  }
+
+  /**
+   * Map an HTTP error response to an ApiError
+   * @param {number} status - HTTP status code
+   * @param {*} body - Parsed response body
+   * @returns {ApiError}
+   */
+  function errorFromResponse(status, body) {
+    const serverMessage = body && typeof body === 'object' ? body.message : undefined;
+
+    if (status === 400 || status === 422) {
+      return new ApiError('validation', { status, body, message: serverMessage });
+    } else if (status === 409) {
+      return new ApiError('conflict', { status, body, message: serverMessage });
+    } else if (status === 429) {
+      return new ApiError('rate_limit', { status, body });
+    } else if (status >= 500) {
+      return new ApiError('server', { status, body });
+    }
+    return new ApiError('http', { status, body });
+  }
+
+  /**
+   * Parse response body as JSON when possible, text otherwise
+   * @param {Response} response
+   * @returns {Promise<*>}
+   */
+  async function parseBody(response) {
+    if (response.status === 204) return null;
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json')) {
+      try {
+        return await response.json();
+      } catch (e) {
+        return null;
+      }
+    }
+    return response.text();
+  }
+
+  /**
+   * Backoff delay for a retry attempt (exponential with jitter)
+   * Honors Retry-After (seconds) when the server sends one
+   * @param {Object} config - Client config
+   * @param {number} attempt - Zero-based retry attempt
+   * @param {Response} [response]
+   * @returns {number} - Delay in ms
+   */
+  function getRetryDelay(config, attempt, response) {
+    const retryAfter = response && parseFloat(response.headers.get('Retry-After'));
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, config.maxRetryDelay);
+    }
+
+    const exponential = config.retryDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * config.retryDelay;
+    return Math.min(exponential + jitter, config.maxRetryDelay);
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Create an API client
+   * @param {Object} [options] - Overrides for DEFAULTS
+   * @returns {Object} - Client with request/get/post/put/patch/delete
+   */
+  function createClient(options) {
+    const config = Object.assign({}, DEFAULTS, options);
+
+    /**
+     * Perform a single fetch with timeout
+     * @returns {Promise<Response>}
+     */
+    async function fetchWithTimeout(url, init, timeout, externalSignal) {
+      const controller = new AbortController();
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+
+      // Propagate caller cancellation
+      const onAbort = () => controller.abort();
+      if (externalSignal) {
+        if (externalSignal.aborted) controller.abort();
+        externalSignal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      try {
+        return await fetch(url, Object.assign({}, init, { signal: controller.signal }));
+      } catch (error) {
+        if (timedOut) {
+          throw new ApiError('timeout');
+        }
+        if (error.name === 'AbortError') {
+          throw error; // Cancelled by caller, not an API failure
+        }
+        throw new ApiError('network');
+      } finally {
+        clearTimeout(timer);
+        if (externalSignal) {
+          externalSignal.removeEventListener('abort', onAbort);
+        }
+      }
+    }
+
+    /**
+     * Send a JSON request
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to baseURL (e.g. '/api/donations')
+     * @param {*} [body] - Request payload (JSON-serialized)
+     * @param {Object} [requestOptions]
+     * @param {Object} [requestOptions.headers] - Extra headers
+     * @param {AbortSignal} [requestOptions.signal] - Caller cancellation
+     * @param {number} [requestOptions.timeout] - Override timeout (ms)
+     * @param {number} [requestOptions.retries] - Override retry count
+     * @returns {Promise<*>} - Parsed response body
+     */
+    async function request(method, path, body, requestOptions = {}) {
+      const url = config.baseURL.replace(/\/$/, '') + path;
+      const headers = Object.assign(
+        { 'Accept': 'application/json' },
+        config.headers,
+        requestOptions.headers
+      );
+
+      const init = { method, headers };
+      if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+      }
+
+      const timeout = requestOptions.timeout || config.timeout;
+      const retries = requestOptions.retries !== undefined ? requestOptions.retries : config.retries;
+
+      for (let attempt = 0; ; attempt++) {
+        const response = await fetchWithTimeout(url, init, timeout, requestOptions.signal);
+        const data = await parseBody(response);
+
+        if (response.ok) {
+          return data;
+        }
+
+        const error = errorFromResponse(response.status, data);
+        const shouldRetry = (error.type === 'server' || error.type === 'rate_limit') && attempt < retries;
+
+        if (!shouldRetry) {
+          throw error;
+        }
+
+        await wait(getRetryDelay(config, attempt, response));
+      }
+    }
+
+    return {
+      config,
+      request,
+      get: (path, opts) => request('GET', path, undefined, opts),
+      post: (path, body, opts) => request('POST', path, body, opts),
+      put: (path, body, opts) => request('PUT', path, body, opts),
+      patch: (path, body, opts) => request('PATCH', path, body, opts),
+      delete: (path, opts) => request('DELETE', path, undefined, opts)
+    };
+  }
+
+  // Base URL from <meta name="api-base-url" content="https://api.example.org">
+  const baseURLMeta = document.querySelector('meta[name="api-base-url"]');
+  const defaultClient = createClient({
+    baseURL: baseURLMeta ? baseURLMeta.getAttribute('content') : ''
+  });
+
+  // Export for use in other scripts
+  window.apiClient = Object.assign({}, defaultClient, {
+    createClient: createClient,
+    ApiError: ApiError,
+    ERROR_MESSAGES: ERROR_MESSAGES
+  });
+
+})();
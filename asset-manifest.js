@@ -0,0 +1,73 @@
+/**
+ * Asset Manifest
+ * Every page, stylesheet and script the site loads, in one list shared by
+ * sw.js (precache) and the tests that check the pages against it.
+ * Add new files here when a page starts loading them.
+ */
+
+(function(global) {
+  'use strict';
+
+  const PAGES = [
+    './',
+    './index.html',
+    './claim-board.html'
+  ];
+
+  const STYLES = [
+    './styles/tokens.css',
+    './styles/base.css',
+    './styles/animations.css',
+    './styles/components.css'
+  ];
+
+  // Page scripts, plus the ones loaded on demand (particles, the render worker)
+  // and this manifest (imported by sw.js)
+  const SCRIPTS = [
+    './scripts/asset-manifest.js',
+    './scripts/preferences.js',
+    './scripts/motion.js',
+    './scripts/api-client.js',
+    './scripts/mock-data.js',
+    './scripts/mock-api.js',
+    './scripts/offline-queue.js',
+    './scripts/stats-feed.js',
+    './scripts/form-drafts.js',
+    './scripts/line-items.js',
+    './scripts/validation-engine.js',
+    './scripts/pickup-window.js',
+    './scripts/food-safety.js',
+    './scripts/geo.js',
+    './scripts/impact.js',
+    './scripts/matching.js',
+    './scripts/route-planner.js',
+    './scripts/notifications.js',
+    './scripts/donations-api.js',
+    './scripts/realtime.js',
+    './scripts/push-subscription.js',
+    './scripts/form-validation.js',
+    './scripts/my-donations.js',
+    './scripts/notification-settings.js',
+    './scripts/volunteer-form.js',
+    './scripts/claim-board.js',
+    './scripts/router.js',
+    './scripts/main.js',
+    './scripts/particles-engine.js',
+    './scripts/particles-lazy.js',
+    './scripts/particles-worker.js'
+  ];
+
+  const assetManifest = {
+    PAGES: PAGES,
+    STYLES: STYLES,
+    SCRIPTS: SCRIPTS,
+    ALL: PAGES.concat(STYLES, SCRIPTS)
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = assetManifest;
+  } else {
+    global.assetManifest = assetManifest;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,68 @@
+/**
+ * Asset manifest tests: every file the pages load is precached (Node, no dependencies)
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const assetManifest = require('./asset-manifest.js');
+
+// Site root: the directory holding index.html (this file's, or its parent for scripts/)
+const ROOT = fs.existsSync(path.join(__dirname, 'index.html')) ? __dirname : path.resolve(__dirname, '..');
+
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Local scripts and stylesheets a page references
+ * @param {string} html
+ * @returns {string[]} - e.g. ['./styles/base.css', './scripts/main.js']
+ */
+function pageAssets(html) {
+  const assets = [];
+  const patterns = [
+    /<link rel="stylesheet" href="(\.\/[^"]+)"/g,
+    /<script src="(\.\/[^"]+)"/g
+  ];
+  patterns.forEach(pattern => {
+    let match;
+    while ((match = pattern.exec(html))) assets.push(match[1]);
+  });
+  return assets;
+}
+
+['index.html', 'claim-board.html'].forEach(page => {
+  test(`${page} is precached with every script and stylesheet it loads`, () => {
+    assert.ok(assetManifest.PAGES.includes(`./${page}`));
+
+    const assets = pageAssets(read(page));
+    assert.ok(assets.length > 0);
+    assets.forEach(asset => {
+      assert.ok(assetManifest.ALL.includes(asset), `${asset} (from ${page}) is missing from asset-manifest.js`);
+    });
+  });
+});
+
+test('scripts loaded on demand are precached', () => {
+  // index.html appends the particle scripts once motion allows them
+  const lazy = read('index.html').match(/\[('particles-[^\]]+)\]\.forEach/);
+  assert.ok(lazy, 'particle loader not found in index.html');
+  lazy[1].split(',').forEach(name => {
+    const file = name.trim().replace(/'/g, '');
+    assert.ok(assetManifest.SCRIPTS.includes(`./scripts/${file}`), `${file} is missing from asset-manifest.js`);
+  });
+
+  const workerURL = fs.readFileSync(path.join(__dirname, 'particles-lazy.js'), 'utf8').match(/workerURL: '([^']+)'/);
+  assert.ok(workerURL && assetManifest.SCRIPTS.includes(workerURL[1]));
+});
+
+test('every listed script exists', () => {
+  assetManifest.SCRIPTS.forEach(script => {
+    assert.ok(fs.existsSync(path.join(__dirname, path.basename(script))), `${script} not found`);
+  });
+});
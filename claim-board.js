@@ -0,0 +1,549 @@
+/**
+ * Claim Board (rescue organizations)
+ * Lists open donations near the chosen organization with filters, and lets
+ * it claim, release or reassign pickups. Claims show immediately and are
+ * rolled back if the server says another organization got there first.
+ */
+
+(function() {
+  'use strict';
+
+  const list = document.getElementById('claim-board-list');
+  if (!list) return;
+
+  const CONFIG = {
+    storageKey: 'claimBoardOrg',
+    refreshInterval: 15000  // Pick up claims made by other organizations
+  };
+
+  const orgSelect = document.getElementById('claim-org');
+  const filtersForm = document.getElementById('claim-filters');
+  const refreshButton = document.getElementById('claim-refresh');
+  const template = document.getElementById('claim-card-template');
+  const summary = document.getElementById('claim-board-summary');
+  const emptyState = document.getElementById('claim-board-empty');
+  const errorMessage = document.getElementById('claim-board-error');
+  const errorText = document.getElementById('claim-board-error-text');
+  const liveRegion = document.getElementById('form-status');
+
+  let rescuers = [];
+  let donations = [];
+  let refreshTimer = null;
+
+  // Optimistic versions of donations with a request in flight, by id
+  const inFlight = new Map();
+
+  /**
+   * Announce to screen readers
+   * @param {string} message - Message to announce
+   */
+  function announceToScreenReader(message) {
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      setTimeout(() => {
+        liveRegion.textContent = '';
+      }, 3000);
+    }
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message to display
+   */
+  function showError(message) {
+    errorText.textContent = message || 'We couldn\'t load open donations. Please try again.';
+    errorMessage.hidden = false;
+    announceToScreenReader(errorText.textContent);
+  }
+
+  function hideError() {
+    errorMessage.hidden = true;
+  }
+
+  function getRescuerId() {
+    return orgSelect.value;
+  }
+
+  function getRescuer(id) {
+    return rescuers.find(rescuer => rescuer.id === id) || null;
+  }
+
+  // ========== FILTERS ==========
+
+  /**
+   * Current filter values
+   * @returns {Object} - { foodType, maxDistance, from, until, minWeight }
+   */
+  function getFilters() {
+    const values = Object.fromEntries(new FormData(filtersForm));
+    const number = (value) => (value === '' || value === undefined ? null : parseFloat(value));
+    const date = (value) => (value ? new Date(value) : null);
+
+    return {
+      foodType: values.foodType || '',
+      maxDistance: number(values.maxDistance),
+      from: date(values.from),
+      until: date(values.until),
+      minWeight: number(values.minWeight)
+    };
+  }
+
+  /**
+   * Whether a donation passes the filters
+   * Claims already held by this organization are always shown
+   * @param {Object} donation
+   * @param {Object} filters - From getFilters()
+   * @returns {boolean}
+   */
+  function matchesFilters(donation, filters) {
+    if (isMine(donation)) return true;
+
+    if (filters.foodType && !(donation.items || []).some(item => item.foodType === filters.foodType)) {
+      return false;
+    }
+    if (filters.maxDistance !== null && (donation.distanceKm === null || donation.distanceKm > filters.maxDistance)) {
+      return false;
+    }
+    if (filters.minWeight !== null && window.impact.calculate(donation.items || []).weightLbs < filters.minWeight) {
+      return false;
+    }
+
+    // Compare against the first occurrence of the pickup window
+    const win = donation.pickupWindow || {};
+    if (filters.from && (!win.end || new Date(win.end) <= filters.from)) return false;
+    if (filters.until && (!win.start || new Date(win.start) >= filters.until)) return false;
+
+    return true;
+  }
+
+  // ========== RENDERING ==========
+
+  function isMine(donation) {
+    return donation.status === 'matched' && !!donation.matchedRescuer &&
+      donation.matchedRescuer.id === getRescuerId();
+  }
+
+  function describeItems(items) {
+    return (items || []).map(item => {
+      const factor = window.impact.IMPACT_FACTORS[item.foodType];
+      return `${factor ? factor.label : item.foodType}: ${item.quantity} ${item.unit}`;
+    }).join('; ');
+  }
+
+  function describeQuantity(items) {
+    const result = window.impact.calculate(items || []);
+    return `~${Math.round(result.weightLbs).toLocaleString()} lbs (about ${result.meals.toLocaleString()} meals)`;
+  }
+
+  function describePickup(win) {
+    if (!win || !win.start) return 'Not scheduled';
+
+    const options = { timeZone: win.timeZone, hour: 'numeric', minute: '2-digit' };
+    const start = new Date(win.start).toLocaleString([], Object.assign({
+      weekday: 'short', month: 'short', day: 'numeric'
+    }, options));
+    const end = new Date(win.end).toLocaleTimeString([], options);
+    const repeats = win.recurrence
+      ? ` (repeats ${win.recurrence.frequency} until ${win.recurrence.until})`
+      : '';
+    return `${start} – ${end}${repeats}`;
+  }
+
+  function describeDistance(distanceKm) {
+    return distanceKm === null || distanceKm === undefined ? 'Unknown' : `${distanceKm} km away`;
+  }
+
+  /**
+   * Build one donation card from the template
+   * @param {Object} donation
+   * @returns {HTMLElement}
+   */
+  function renderCard(donation) {
+    const card = template.content.firstElementChild.cloneNode(true);
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+    const mine = isMine(donation);
+    const busy = inFlight.has(donation.id);
+
+    card.dataset.donationId = donation.id;
+    field('id').textContent = donation.id;
+    field('status').textContent = mine ? 'Claimed by you' : 'Open';
+    field('status').classList.add(mine ? 'status-matched' : 'status-pending');
+    field('items').textContent = describeItems(donation.items);
+    field('quantity').textContent = describeQuantity(donation.items);
+    field('pickup').textContent = describePickup(donation.pickupWindow);
+    field('distance').textContent = describeDistance(donation.distanceKm);
+    field('donor').textContent = donation.businessName || '—';
+
+    // Open donations can be claimed; held claims can be released or handed on
+    card.querySelector('[data-action="claim"]').hidden = mine;
+    card.querySelector('[data-action="release"]').hidden = !mine;
+    field('reassign').hidden = !mine;
+
+    const reassignTo = field('reassign-to');
+    rescuers
+      .filter(rescuer => rescuer.id !== getRescuerId())
+      .forEach(rescuer => reassignTo.add(new Option(rescuer.name, rescuer.id)));
+
+    card.querySelectorAll('[data-action], select').forEach(control => {
+      control.disabled = busy;
+      if (control.dataset.action) {
+        control.setAttribute('aria-label', `${control.textContent} ${donation.id}`);
+      }
+    });
+    if (busy) card.setAttribute('aria-busy', 'true');
+
+    return card;
+  }
+
+  function render() {
+    const filters = getFilters();
+    const visible = donations.filter(donation => matchesFilters(donation, filters));
+
+    list.innerHTML = '';
+    visible.forEach(donation => list.appendChild(renderCard(donation)));
+
+    const open = donations.filter(donation => !isMine(donation)).length;
+    summary.textContent = getRescuerId()
+      ? `${open} open donation${open === 1 ? '' : 's'}, showing ${visible.length}`
+      : 'Choose your organization to see open donations.';
+    emptyState.hidden = !getRescuerId() || visible.length > 0;
+  }
+
+  // ========== DATA ==========
+
+  /**
+   * Replace (or drop) a donation with the state the server reported
+   * @param {Object} donation
+   */
+  function applyServerState(donation) {
+    const index = donations.findIndex(d => d.id === donation.id);
+    const onBoard = donation.status === 'pending' || isMine(donation);
+
+    if (index === -1) {
+      if (onBoard) donations.push(donation);
+    } else if (onBoard) {
+      // Keep the board's distance, which the donation routes don't include
+      donations[index] = Object.assign({ distanceKm: donations[index].distanceKm }, donation);
+    } else {
+      donations.splice(index, 1);
+    }
+  }
+
+  /**
+   * Reload the board from the API
+   */
+  async function refresh() {
+    const rescuerId = getRescuerId();
+    if (!rescuerId) {
+      donations = [];
+      render();
+      return;
+    }
+
+    list.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await window.apiClient.get('/api/board?rescuerId=' + encodeURIComponent(rescuerId), {
+        retries: 0
+      });
+      if (rescuerId !== getRescuerId()) return;
+
+      // Don't undo optimistic changes that are still being sent
+      donations = response.donations.map(donation => inFlight.get(donation.id) || donation);
+      hideError();
+      render();
+    } catch (error) {
+      // Keep showing the last loaded board
+      showError(error.message);
+      console.error('Claim board error:', error);
+    } finally {
+      list.setAttribute('aria-busy', 'false');
+    }
+  }
+
+  async function loadRescuers() {
+    try {
+      const response = await window.apiClient.get('/api/rescuers');
+      rescuers = response.rescuers;
+    } catch (error) {
+      showError(error.message);
+      console.error('Rescuer list error:', error);
+      return;
+    }
+
+    rescuers.forEach(rescuer => orgSelect.add(new Option(rescuer.name, rescuer.id)));
+
+    let saved = null;
+    try {
+      saved = localStorage.getItem(CONFIG.storageKey);
+    } catch (e) {
+      // Storage unavailable; start without a selection
+    }
+    if (saved && getRescuer(saved)) orgSelect.value = saved;
+  }
+
+  // ========== ACTIONS ==========
+
+  /**
+   * Apply a change locally, send it, and reconcile with the server's answer
+   * @param {Object} donation - Current local state
+   * @param {Object} options
+   * @param {string} options.action - 'claim' | 'release' | 'reassign'
+   * @param {Object} options.optimistic - Local state to show while the request is in flight
+   * @param {Object} [options.body] - Extra request fields
+   * @param {string} options.success - Message announced on success
+   */
+  async function sendAction(donation, options) {
+    const previous = donation;
+    const optimistic = Object.assign({}, donation, options.optimistic);
+
+    inFlight.set(donation.id, optimistic);
+    applyServerState(optimistic);
+    hideError();
+    render();
+
+    try {
+      const response = await window.apiClient.post(
+        `/api/donations/${encodeURIComponent(donation.id)}/${options.action}`,
+        Object.assign({ rescuerId: getRescuerId() }, options.body),
+        { retries: 0 }
+      );
+      inFlight.delete(donation.id);
+      applyServerState(response.donation);
+      announceToScreenReader(options.success);
+    } catch (error) {
+      inFlight.delete(donation.id);
+
+      // Someone else changed it first: show what actually happened
+      if (error.type === 'conflict' && error.body && error.body.donation) {
+        applyServerState(error.body.donation);
+      } else {
+        applyServerState(previous);
+      }
+      showError(error.message);
+      console.error(`Claim board ${options.action} error:`, error);
+    } finally {
+      render();
+    }
+  }
+
+  function claim(donation) {
+    const rescuer = getRescuer(getRescuerId());
+    sendAction(donation, {
+      action: 'claim',
+      optimistic: {
+        status: 'matched',
+        matchedRescuer: { id: rescuer.id, name: rescuer.name, type: rescuer.type }
+      },
+      success: `You claimed donation ${donation.id}.`
+    });
+  }
+
+  function release(donation) {
+    sendAction(donation, {
+      action: 'release',
+      optimistic: { status: 'pending', matchedRescuer: null },
+      success: `Donation ${donation.id} is back on the board.`
+    });
+  }
+
+  function reassign(donation, toRescuerId) {
+    const target = getRescuer(toRescuerId);
+    if (!target) {
+      showError('Please choose an organization to hand this pickup to.');
+      return;
+    }
+
+    sendAction(donation, {
+      action: 'reassign',
+      optimistic: { matchedRescuer: { id: target.id, name: target.name, type: target.type } },
+      body: { toRescuerId: target.id },
+      success: `Donation ${donation.id} has been reassigned to ${target.name}.`
+    });
+  }
+
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const card = button.closest('.donation-card');
+    const donation = donations.find(d => d.id === card.dataset.donationId);
+    if (!donation || inFlight.has(donation.id)) return;
+
+    if (button.dataset.action === 'claim') {
+      claim(donation);
+    } else if (button.dataset.action === 'release') {
+      release(donation);
+    } else if (button.dataset.action === 'reassign') {
+      reassign(donation, card.querySelector('[data-field="reassign-to"]').value);
+    }
+  });
+
+  // ========== ROUTE PLANNER ==========
+  const routeStartTime = document.getElementById('route-start-time');
+  const routeCapacity = document.getElementById('route-capacity');
+  const routeDropOff = document.getElementById('route-drop-off');
+  const routePlanButton = document.getElementById('route-plan-button');
+  const routeResult = document.getElementById('route-plan-result');
+  const routeSheet = document.getElementById('route-sheet');
+  const routePrint = document.getElementById('route-print');
+  const routeShare = document.getElementById('route-share');
+
+  /**
+   * Local 'YYYY-MM-DDTHH:MM' for a datetime-local input
+   * @param {Date} date
+   * @returns {string}
+   */
+  function toLocalInput(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+  }
+
+  /**
+   * Defaults for the chosen organization: its capacity, and itself (or the
+   * first organization) as the drop-off
+   */
+  function resetRoutePlanner() {
+    const rescuer = getRescuer(getRescuerId());
+    routeResult.hidden = true;
+    routeStartTime.value = toLocalInput(new Date());
+    routeCapacity.value = rescuer ? rescuer.capacityLbs : '';
+
+    routeDropOff.innerHTML = '';
+    rescuers
+      .filter(candidate => candidate.type === 'organization')
+      .forEach(candidate => routeDropOff.add(new Option(candidate.name, candidate.id)));
+    if (rescuer && rescuer.type === 'organization') routeDropOff.value = rescuer.id;
+  }
+
+  /**
+   * Plan a run through this organization's claimed pickups
+   */
+  async function planRoute() {
+    const rescuer = getRescuer(getRescuerId());
+    const dropOff = getRescuer(routeDropOff.value);
+    const claimed = donations.filter(isMine);
+
+    if (!rescuer) {
+      showError('Choose your organization to plan a route.');
+      return;
+    }
+    if (!dropOff) {
+      showError('Choose where the food should be dropped off.');
+      return;
+    }
+    if (claimed.length === 0) {
+      showError('Claim at least one donation to plan a route.');
+      return;
+    }
+
+    hideError();
+    routePlanButton.disabled = true;
+    routePlanButton.setAttribute('aria-busy', 'true');
+
+    try {
+      const result = await window.routePlanner.plan({
+        start: { label: rescuer.name, location: rescuer.location },
+        startTime: routeStartTime.value ? new Date(routeStartTime.value) : new Date(),
+        capacityLbs: parseFloat(routeCapacity.value) || rescuer.capacityLbs,
+        dropOff: { label: dropOff.name, location: dropOff.location },
+        stops: claimed.map(donation => ({
+          id: donation.id,
+          label: donation.businessName ? `${donation.businessName} (${donation.id})` : donation.id,
+          location: donation.location,
+          weightLbs: window.impact.calculate(donation.items || []).weightLbs,
+          window: donation.pickupWindow
+        }))
+      });
+
+      const win = claimed[0].pickupWindow;
+      routeSheet.textContent = window.routePlanner.formatRunSheet(result, {
+        title: `Pickup run for ${rescuer.name}`,
+        timeZone: win && win.timeZone
+      });
+      routeResult.hidden = false;
+      routeSheet.focus();
+
+      const scheduled = result.stops.filter(stop => stop.type === 'pickup').length;
+      announceToScreenReader(`Route planned with ${scheduled} of ${claimed.length} pickups.`);
+    } catch (error) {
+      showError(error.message);
+      console.error('Route planning error:', error);
+    } finally {
+      routePlanButton.disabled = false;
+      routePlanButton.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Share the run sheet (Web Share API, or copy to the clipboard)
+   */
+  async function shareRoute() {
+    const text = routeSheet.textContent;
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'Pickup run sheet', text: text });
+      } else {
+        await navigator.clipboard.writeText(text);
+        announceToScreenReader('Run sheet copied to the clipboard.');
+      }
+    } catch (error) {
+      // Closing the share sheet isn't an error
+      if (error.name !== 'AbortError') {
+        showError('We couldn\'t share the run sheet. Try printing it instead.');
+        console.error('Run sheet share error:', error);
+      }
+    }
+  }
+
+  function printRoute() {
+    document.body.classList.add('print-route');
+    window.print();
+  }
+
+  window.addEventListener('afterprint', () => document.body.classList.remove('print-route'));
+  routePlanButton.addEventListener('click', planRoute);
+  routeShare.addEventListener('click', shareRoute);
+  routePrint.addEventListener('click', printRoute);
+
+  // ========== REFRESH ==========
+  function scheduleRefresh() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    if (!document.hidden) {
+      refreshTimer = setInterval(refresh, CONFIG.refreshInterval);
+    }
+  }
+
+  orgSelect.addEventListener('change', () => {
+    try {
+      localStorage.setItem(CONFIG.storageKey, getRescuerId());
+    } catch (e) {
+      console.warn('Unable to save organization:', e);
+    }
+    donations = [];
+    hideError();
+    resetRoutePlanner();
+    refresh();
+  });
+
+  filtersForm.addEventListener('input', render);
+  filtersForm.addEventListener('change', render);
+  // Reset fires before the fields are cleared
+  filtersForm.addEventListener('reset', () => setTimeout(render));
+  filtersForm.addEventListener('submit', (e) => e.preventDefault());
+  refreshButton.addEventListener('click', refresh);
+
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) refresh();
+    scheduleRefresh();
+  });
+
+  loadRescuers().then(() => {
+    resetRoutePlanner();
+    refresh();
+    scheduleRefresh();
+  });
+
+})();
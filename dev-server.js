@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Local Stand-in Server (Node, no dependencies)
+ * Serves the site, answers /api/* with the mock-api.js handlers over real
+ * HTTP, and pushes donation status updates over SSE and WebSocket.
+ *
+ * Usage: node scripts/dev-server.js [--port 8080] [--accept-delay 5000] [--failure-rate 0] [--any-address 1]
+ *
+ * Pages are always served with <meta name="api-mock" content="off"> (even if
+ * switched on locally) so the browser talks to this server instead of
+ * intercepting fetch.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mockAPI = require('./mock-api.js');
+
+const HEARTBEAT_INTERVAL = 15000;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Site root: the directory holding index.html (this file's, or its parent for scripts/)
+const ROOT = fs.existsSync(path.join(__dirname, 'index.html')) ? __dirname : path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Parse --name value pairs
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([\w-]+)$/.exec(argv[i]);
+    if (match) args[match[1]] = argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * Current client view of a donation (includes derived statuses)
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getDonation(id) {
+  const result = await mockAPI.handle({ method: 'GET', url: `/api/donations/${encodeURIComponent(id)}` });
+  return result && result.status === 200 ? result.body : null;
+}
+
+/**
+ * Follow one donation: initial state, every change, and a heartbeat
+ * @param {string} id
+ * @param {Object} handlers - { status(donation), heartbeat() }
+ * @returns {Function} - Stop following
+ */
+function followDonation(id, handlers) {
+  let lastStatus = null;
+
+  function send(donation) {
+    if (!donation || donation.id !== id || donation.status === lastStatus) return;
+    lastStatus = donation.status;
+    handlers.status(donation);
+  }
+
+  const unsubscribe = mockAPI.subscribe(send);
+
+  // Heartbeat also catches time-based transitions (pickup window closing)
+  const timer = setInterval(async () => {
+    handlers.heartbeat();
+    send(await getDonation(id));
+  }, HEARTBEAT_INTERVAL);
+
+  getDonation(id).then(send);
+
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+  };
+}
+
+// ========== SERVER-SENT EVENTS ==========
+function handleEvents(req, res, id) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');
+
+  const stop = followDonation(id, {
+    status: (donation) => res.write(`event: status\ndata: ${JSON.stringify(donation)}\n\n`),
+    heartbeat: () => res.write(`event: heartbeat\ndata: ${Date.now()}\n\n`)
+  });
+
+  req.on('close', stop);
+}
+
+// ========== WEBSOCKET ==========
+
+/**
+ * Encode a server-to-client text frame (unmasked)
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode client frames (always masked) from a buffer
+ * @param {Buffer} buffer
+ * @returns {Object} - { frames: [{ opcode, payload }], rest: Buffer }
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 6) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 8) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 14) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+
+    const maskStart = offset + headerLength;
+    const dataStart = maskStart + 4;
+    if (buffer.length < dataStart + length) break;
+
+    const payload = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+      payload[i] = buffer[dataStart + i] ^ buffer[maskStart + (i % 4)];
+    }
+    frames.push({ opcode, payload });
+    offset = dataStart + length;
+  }
+
+  return { frames, rest: buffer.slice(offset) };
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!req.url.startsWith('/api/realtime') || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  const subscriptions = new Map();
+  let pending = Buffer.alloc(0);
+
+  const send = (message) => {
+    if (!socket.destroyed) socket.write(encodeFrame(JSON.stringify(message)));
+  };
+
+  function close() {
+    subscriptions.forEach(stop => stop());
+    subscriptions.clear();
+  }
+
+  socket.on('data', (chunk) => {
+    const decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = decoded.rest;
+
+    decoded.frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x8) {
+        socket.end(encodeFrame('', 0x8));
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(payload.toString(), 0xA));
+        return;
+      }
+      if (opcode !== 0x1) return;
+
+      let message;
+      try {
+        message = JSON.parse(payload.toString());
+      } catch (e) {
+        return;
+      }
+
+      if (message.type === 'subscribe' && message.donationId && !subscriptions.has(message.donationId)) {
+        subscriptions.set(message.donationId, followDonation(message.donationId, {
+          status: (donation) => send({ type: 'status', donation }),
+          heartbeat: () => send({ type: 'heartbeat', time: Date.now() })
+        }));
+      }
+    });
+  });
+
+  socket.on('close', close);
+  socket.on('error', close);
+}
+
+// ========== HTTP ==========
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+  });
+}
+
+async function handleAPI(req, res) {
+  const eventsMatch = /^\/api\/donations\/([^/]+)\/events\/?$/.exec(req.url.split('?')[0]);
+  if (req.method === 'GET' && eventsMatch) {
+    handleEvents(req, res, decodeURIComponent(eventsMatch[1]));
+    return;
+  }
+
+  const raw = await readBody(req);
+  let body;
+  if (raw) {
+    try {
+      body = JSON.parse(raw);
+    } catch (e) {
+      body = raw;
+    }
+  }
+
+  const result = await mockAPI.handle({ method: req.method, url: req.url, headers: req.headers, body });
+  if (!result) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Not found' }));
+    return;
+  }
+
+  res.writeHead(result.status, Object.assign({ 'Content-Type': 'application/json' }, result.headers));
+  res.end(result.status === 204 ? undefined : JSON.stringify(result.body));
+}
+
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.url.split('?')[0]);
+  } catch (error) {
+    // Malformed escapes (/%E0%A4%A)
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad request');
+    return;
+  }
+
+  // Views are routed in the browser (see router.js), so paths without an extension get index.html
+  const isView = pathname === '/' || !path.extname(pathname);
+  const filePath = path.normalize(path.join(ROOT, isView ? 'index.html' : pathname));
+
+  // ROOT + sep, so a sibling like /srv/app-secrets doesn't pass for /srv/app
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const ext = path.extname(filePath);
+    if (ext === '.html') {
+      data = data.toString().replace(
+        /<meta name="api-mock" content="on">/,
+        '<meta name="api-mock" content="off">'
+      );
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function createServer() {
+  const server = http.createServer((req, res) => {
+    const handler = req.url.startsWith('/api/') ? handleAPI(req, res) : serveStatic(req, res);
+    Promise.resolve(handler).catch(error => {
+      console.error('Request error:', error);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'Internal server error' }));
+    });
+  });
+  server.on('upgrade', handleUpgrade);
+  return server;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = parseInt(args.port, 10) || 8080;
+
+  if (args['accept-delay'] !== undefined) mockAPI.config.acceptDelay = parseInt(args['accept-delay'], 10);
+  if (args['failure-rate'] !== undefined) mockAPI.config.failureRate = parseFloat(args['failure-rate']);
+  if (args['any-address'] !== undefined) mockAPI.config.acceptUnknownAddresses = args['any-address'] === '1';
+
+  createServer().listen(port, () => {
+    console.log(`Stand-in server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,117 @@
+/**
+ * My Donations (API layer)
+ * Remembers which donations were submitted from this device and wraps the
+ * /api/donations endpoints used by the donor dashboard.
+ * Dispatches `donations:change` on document whenever the list changes.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'myDonations';
+
+  // Donor-facing labels for each status
+  const STATUS_LABELS = {
+    pending: 'Pending',
+    matched: 'Matched',
+    picked_up: 'Picked up',
+    cancelled: 'Cancelled'
+  };
+
+  // Donations can be edited or cancelled until they are picked up
+  const EDITABLE_STATUSES = ['pending', 'matched'];
+
+  function readIds() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeIds(ids) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+    } catch (e) {
+      console.warn('Unable to save donation list:', e);
+    }
+  }
+
+  function emitChange(detail) {
+    document.dispatchEvent(new CustomEvent('donations:change', { detail: detail }));
+  }
+
+  /**
+   * Remember a submitted donation
+   * @param {string} id - e.g. 'DON-…'
+   */
+  function track(id) {
+    const ids = readIds();
+    if (!ids.includes(id)) {
+      ids.unshift(id);
+      writeIds(ids);
+    }
+    emitChange({ action: 'submitted', id: id });
+  }
+
+  /**
+   * Donations submitted from this device, newest first
+   * @returns {Promise<Object[]>}
+   * @throws {ApiError}
+   */
+  async function list() {
+    const ids = readIds();
+    if (ids.length === 0) return [];
+
+    const response = await window.apiClient.get('/api/donations?ids=' + ids.map(encodeURIComponent).join(','));
+    const byId = {};
+    response.donations.forEach(donation => {
+      byId[donation.id] = donation;
+    });
+    return ids.filter(id => byId[id]).map(id => byId[id]);
+  }
+
+  /**
+   * Save changes to a donation
+   * @param {string} id
+   * @param {Object} changes - Same shape as the submission payload
+   * @returns {Promise<Object>} - { success, donation, matches }
+   * @throws {ApiError}
+   */
+  async function update(id, changes) {
+    const response = await window.apiClient.patch('/api/donations/' + encodeURIComponent(id), changes);
+    emitChange({ action: 'updated', id: id });
+    return response;
+  }
+
+  /**
+   * Cancel a donation before pickup
+   * @param {string} id
+   * @returns {Promise<Object>} - { success, donation }
+   * @throws {ApiError}
+   */
+  async function cancel(id) {
+    const response = await window.apiClient.post('/api/donations/' + encodeURIComponent(id) + '/cancel');
+    emitChange({ action: 'cancelled', id: id });
+    return response;
+  }
+
+  /**
+   * Whether a donation can still be edited or cancelled
+   * @param {Object} donation
+   * @returns {boolean}
+   */
+  function isEditable(donation) {
+    return EDITABLE_STATUSES.includes(donation.status);
+  }
+
+  window.donationsAPI = {
+    STATUS_LABELS: STATUS_LABELS,
+    track: track,
+    list: list,
+    update: update,
+    cancel: cancel,
+    isEditable: isEditable
+  };
+
+})();
@@ -0,0 +1,164 @@
+/**
+ * Food Safety Rules
+ * Data-driven constraints per food type (temperature control, prepared-at
+ * time, safe holding limits). Edit FOOD_SAFETY_RULES below to change
+ * thresholds; no validation code needs to change.
+ */
+
+(function(global) {
+  'use strict';
+
+  // ========== RULES (edit these) ==========
+  // requiresTemperatureControl: donor must confirm food is kept hot/cold
+  // requiresPreparedAt: donor must say when the food was prepared
+  // warnAfterHours: show a warning when pickup closes this long after preparation
+  // maxHoldingHours: block submission when pickup closes later than this
+  //   (measured from preparedAt, or from submission when preparedAt isn't required)
+  const FOOD_SAFETY_RULES = {
+    prepared: {
+      label: 'Prepared meals',
+      requiresTemperatureControl: true,
+      requiresPreparedAt: true,
+      warnAfterHours: 2,
+      maxHoldingHours: 4
+    },
+    dairy: {
+      label: 'Dairy products',
+      requiresTemperatureControl: true,
+      requiresPreparedAt: true,
+      warnAfterHours: 4,
+      maxHoldingHours: 24
+    },
+    produce: {
+      label: 'Fresh produce',
+      requiresTemperatureControl: false,
+      requiresPreparedAt: false,
+      warnAfterHours: 48,
+      maxHoldingHours: 120
+    },
+    bakery: {
+      label: 'Bakery items',
+      requiresTemperatureControl: false,
+      requiresPreparedAt: false,
+      warnAfterHours: 24,
+      maxHoldingHours: 72
+    },
+    other: {
+      label: 'Other food',
+      requiresTemperatureControl: false,
+      requiresPreparedAt: false,
+      warnAfterHours: null,
+      maxHoldingHours: null
+    }
+  };
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  /**
+   * Rules for the food types in a donation
+   * @param {Object[]} items - Line items ({ foodType })
+   * @param {Object} [rules]
+   * @returns {Object[]} - [{ foodType, ...rule }]
+   */
+  function rulesFor(items, rules = FOOD_SAFETY_RULES) {
+    const types = [];
+    (items || []).forEach(item => {
+      if (item.foodType && rules[item.foodType] && !types.includes(item.foodType)) {
+        types.push(item.foodType);
+      }
+    });
+    return types.map(type => Object.assign({ foodType: type }, rules[type]));
+  }
+
+  /**
+   * Which confirmations the form must collect for these items
+   * @param {Object[]} items
+   * @param {Object} [rules]
+   * @returns {Object} - { temperatureControl: boolean, preparedAt: boolean }
+   */
+  function getRequirements(items, rules) {
+    const applicable = rulesFor(items, rules);
+    return {
+      temperatureControl: applicable.some(rule => rule.requiresTemperatureControl),
+      preparedAt: applicable.some(rule => rule.requiresPreparedAt)
+    };
+  }
+
+  function formatHours(hours) {
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+
+  /**
+   * Evaluate a donation against the rules
+   * @param {Object} donation
+   * @param {Object[]} donation.items - Line items ({ foodType })
+   * @param {Date|string} [donation.preparedAt] - When the food was prepared
+   * @param {boolean} [donation.temperatureControlled] - Donor confirmation
+   * @param {Date|string} [donation.pickupEnd] - Latest pickup time
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {Object} [options.rules] - Override FOOD_SAFETY_RULES
+   * @returns {Object} - { errors: { field: message }, warnings: string[] }
+   */
+  function evaluate(donation, options = {}) {
+    const rules = options.rules || FOOD_SAFETY_RULES;
+    const now = options.now || new Date();
+    const applicable = rulesFor(donation.items, rules);
+    const requirements = getRequirements(donation.items, rules);
+    const errors = {};
+    const warnings = [];
+
+    const preparedAt = donation.preparedAt ? new Date(donation.preparedAt) : null;
+    const pickupEnd = donation.pickupEnd ? new Date(donation.pickupEnd) : null;
+
+    if (requirements.temperatureControl && donation.temperatureControlled !== true) {
+      const labels = applicable.filter(rule => rule.requiresTemperatureControl).map(rule => rule.label.toLowerCase());
+      errors.temperatureControlled = `Please confirm ${labels.join(' and ')} are kept at safe temperatures`;
+    }
+
+    if (requirements.preparedAt) {
+      if (!preparedAt || isNaN(preparedAt)) {
+        errors.preparedAt = 'Please tell us when this food was prepared';
+      } else if (preparedAt > now) {
+        errors.preparedAt = 'Preparation time can\'t be in the future';
+      }
+    }
+
+    if (!pickupEnd || isNaN(pickupEnd) || errors.preparedAt) {
+      return { errors, warnings };
+    }
+
+    applicable.forEach(rule => {
+      const from = rule.requiresPreparedAt ? preparedAt : now;
+      if (!from) return;
+
+      const heldHours = (pickupEnd - from) / HOUR_MS;
+
+      if (rule.maxHoldingHours !== null && heldHours > rule.maxHoldingHours) {
+        if (!errors.pickupEnd) {
+          errors.pickupEnd = `${rule.label} must be picked up within ${formatHours(rule.maxHoldingHours)}` +
+            (rule.requiresPreparedAt ? ' of preparation' : '') + '. Please choose an earlier end time.';
+        }
+      } else if (rule.warnAfterHours !== null && heldHours > rule.warnAfterHours) {
+        warnings.push(`${rule.label} may be held up to ${formatHours(Math.round(heldHours))} before pickup. ` +
+          `We recommend pickup within ${formatHours(rule.warnAfterHours)}.`);
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  const foodSafety = {
+    FOOD_SAFETY_RULES: FOOD_SAFETY_RULES,
+    rulesFor: rulesFor,
+    getRequirements: getRequirements,
+    evaluate: evaluate
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = foodSafety;
+  } else {
+    global.foodSafety = foodSafety;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
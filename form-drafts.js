@@ -0,0 +1,285 @@
+/**
+ * Form Drafts
+ * Autosaves field values to localStorage, offers to restore them
+ * on the next visit, and optionally remembers returning donor details
+ */
+
+(function() {
+  'use strict';
+
+  const SAVE_DELAY = 400; // Debounce autosave while typing (ms)
+
+  /**
+   * Read JSON from localStorage
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  function readJSON(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Write JSON to localStorage (ignores quota/private-mode errors)
+   * @param {string} key
+   * @param {Object} value
+   */
+  function writeJSON(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      console.warn('Unable to save to localStorage:', e);
+    }
+  }
+
+  function removeKey(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (e) {
+      // Storage unavailable, nothing to remove
+    }
+  }
+
+  /**
+   * Attach draft persistence to a form
+   * @param {HTMLFormElement} form
+   * @param {Object} options
+   * @param {string} options.key - localStorage key for the draft
+   * @param {string[]} options.fields - Field names to snapshot
+   * @param {HTMLElement} [options.banner] - "Restore your draft" banner
+   * @param {string} [options.rememberKey] - localStorage key for remembered details
+   * @param {string[]} [options.rememberFields] - Field names remembered across visits
+   * @param {HTMLInputElement} [options.rememberCheckbox] - Explicit opt-in checkbox
+   * @param {Object} [options.extras] - Composite values not backed by a single
+   *   named field, keyed by draft property: { get(), set(value), isBlank(), owns(field) }
+   * @param {Function} [options.onRestore] - Called after a draft is restored
+   * @returns {Object} - Controller with save/restore/clear/rememberDetails
+   */
+  function attach(form, options) {
+    const fields = options.fields;
+    const rememberFields = options.rememberFields || [];
+    const banner = options.banner;
+    const rememberCheckbox = options.rememberCheckbox;
+    const extras = options.extras || {};
+    let saveTimeout = null;
+    let paused = false;
+
+    /**
+     * Current values of the given fields
+     * @param {string[]} names
+     * @returns {Object}
+     */
+    function collect(names) {
+      const values = {};
+      names.forEach(name => {
+        const field = form.elements[name];
+        if (field) values[name] = field.value;
+      });
+      return values;
+    }
+
+    /**
+     * Write values into the form
+     * @param {Object} values
+     */
+    function apply(values) {
+      Object.keys(values).forEach(name => {
+        if (extras[name]) {
+          extras[name].set(values[name]);
+          return;
+        }
+
+        const field = form.elements[name];
+        if (field && fields.concat(rememberFields).includes(name)) {
+          field.value = values[name];
+        }
+      });
+    }
+
+    /**
+     * Value a field has after form.reset()
+     * @param {HTMLElement|RadioNodeList} field
+     * @returns {string}
+     */
+    function defaultValue(field) {
+      if (field.tagName === 'SELECT') {
+        const option = Array.from(field.options).find(o => o.defaultSelected) || field.options[0];
+        return option ? option.value : '';
+      }
+      return field.defaultValue || '';
+    }
+
+    /**
+     * Nothing typed or chosen: fields are blank or still hold their default
+     * (e.g. pickupRepeat 'none'); any non-blank extra counts as content
+     * @param {Object} values
+     * @returns {boolean}
+     */
+    function isEmpty(values) {
+      return Object.keys(values).every(name => {
+        if (!values[name]) return true;
+        const field = form.elements[name];
+        return !extras[name] && !!field && values[name] === defaultValue(field);
+      });
+    }
+
+    /**
+     * Snapshot the draft (skips empty forms, and while paused)
+     */
+    function save() {
+      if (paused) return;
+      const values = collect(fields);
+      Object.keys(extras).forEach(name => {
+        if (!extras[name].isBlank()) values[name] = extras[name].get();
+      });
+
+      if (isEmpty(values)) {
+        removeKey(options.key);
+        return;
+      }
+      writeJSON(options.key, { savedAt: new Date().toISOString(), values: values });
+    }
+
+    /**
+     * Restore the saved draft into the form
+     * @returns {boolean} - True if a draft was restored
+     */
+    function restore() {
+      const draft = readJSON(options.key);
+      hideBanner();
+      if (!draft || !draft.values) return false;
+
+      apply(draft.values);
+      if (options.onRestore) options.onRestore(draft);
+      return true;
+    }
+
+    /**
+     * Discard the saved draft
+     */
+    function clear() {
+      clearTimeout(saveTimeout);
+      removeKey(options.key);
+      hideBanner();
+    }
+
+    /**
+     * Suspend/resume autosave (e.g. while the form edits something else)
+     * @param {boolean} value
+     */
+    function setPaused(value) {
+      paused = value;
+      if (paused) clearTimeout(saveTimeout);
+    }
+
+    function hideBanner() {
+      if (banner) banner.hidden = true;
+    }
+
+    /**
+     * Show the restore banner if a draft exists
+     */
+    function offerRestore() {
+      const draft = readJSON(options.key);
+      if (!banner || !draft || !draft.values) return;
+
+      const savedAt = banner.querySelector('[data-draft-saved-at]');
+      if (savedAt && draft.savedAt) {
+        const date = new Date(draft.savedAt);
+        savedAt.setAttribute('datetime', draft.savedAt);
+        savedAt.textContent = date.toLocaleString([], {
+          weekday: 'short', hour: 'numeric', minute: '2-digit'
+        });
+      }
+      banner.hidden = false;
+    }
+
+    /**
+     * Persist or forget the donor's details based on the opt-in checkbox
+     * Call after a successful submission (with the submitted data)
+     * @param {Object} data - Submitted values
+     */
+    function rememberDetails(data) {
+      if (!options.rememberKey) return;
+
+      if (rememberCheckbox && rememberCheckbox.checked) {
+        const details = {};
+        rememberFields.forEach(name => {
+          details[name] = data[name] || '';
+        });
+        writeJSON(options.rememberKey, details);
+      } else {
+        removeKey(options.rememberKey);
+      }
+    }
+
+    /**
+     * Prefill remembered details (used on load and after form.reset())
+     */
+    function applyRemembered() {
+      if (!options.rememberKey) return;
+
+      const details = readJSON(options.rememberKey);
+      if (!details) return;
+
+      apply(details);
+      if (rememberCheckbox) rememberCheckbox.checked = true;
+    }
+
+    // Autosave on input (debounced)
+    form.addEventListener('input', (e) => {
+      const owned = Object.keys(extras).some(name => extras[name].owns(e.target));
+      if (paused || (!fields.includes(e.target.name) && !owned)) return;
+      clearTimeout(saveTimeout);
+      saveTimeout = setTimeout(save, SAVE_DELAY);
+    });
+
+    // Opting out forgets stored details immediately
+    if (rememberCheckbox) {
+      rememberCheckbox.addEventListener('change', () => {
+        if (!rememberCheckbox.checked && options.rememberKey) {
+          removeKey(options.rememberKey);
+        }
+      });
+    }
+
+    // Banner actions
+    if (banner) {
+      banner.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-draft-action]');
+        if (!button) return;
+
+        if (button.getAttribute('data-draft-action') === 'restore') {
+          restore();
+        } else {
+          clear();
+        }
+
+        // Keep keyboard focus inside the form once the banner disappears
+        const firstField = form.elements[fields[0]];
+        if (firstField) firstField.focus();
+      });
+    }
+
+    applyRemembered();
+    offerRestore();
+
+    return {
+      save: save,
+      restore: restore,
+      clear: clear,
+      setPaused: setPaused,
+      rememberDetails: rememberDetails,
+      applyRemembered: applyRemembered
+    };
+  }
+
+  // Export for use in other scripts
+  window.formDrafts = {
+    attach: attach
+  };
+
+})();
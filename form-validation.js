@@ -14,110 +14,485 @@
   const successMessage = document.getElementById('form-success');
   const errorMessage = document.getElementById('form-error');
   const errorText = document.getElementById('form-error-text');
+  const pendingMessage = document.getElementById('form-pending');
+  const pendingText = document.getElementById('form-pending-text');
+  const successText = document.getElementById('form-success-text');
+  const referenceSummary = document.getElementById('form-reference');
+  const liveStatus = document.getElementById('form-live-status');
+  const impactSummary = document.getElementById('form-impact');
+  const matchSummary = document.getElementById('form-match');
+  const matchText = document.getElementById('form-match-text');
   const liveRegion = document.getElementById('form-status');
+  const SUCCESS_TEXT = successText.textContent;
   
-  // Validation rules
-  const validators = {
-    businessName: {
-      test: (value) => value.trim().length >= 2,
-      message: 'Business name must be at least 2 characters'
-    },
-    contactName: {
-      test: (value) => value.trim().length >= 2,
-      message: 'Contact name must be at least 2 characters'
-    },
-    email: {
-      test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-      message: 'Please enter a valid email address'
-    },
-    phone: {
-      test: (value) => /^[\d\s\-\+\(\)]{10,}$/.test(value),
-      message: 'Please enter a valid phone number (at least 10 digits)'
-    },
-    foodType: {
-      test: (value) => value !== '',
-      message: 'Please select a food type'
-    },
-    quantity: {
-      test: (value) => {
-        const num = parseInt(value, 10);
-        return !isNaN(num) && num > 0;
+  // Food line items (one row per kind of food)
+  const lineItems = window.lineItems.attach({
+    list: document.getElementById('line-item-list'),
+    template: document.getElementById('line-item-template'),
+    addButton: document.getElementById('add-line-item'),
+    onChange: (action, count) => {
+      announceToScreenReader(action === 'add'
+        ? `Item added. ${count} items in this donation.`
+        : `Item removed. ${count} ${count === 1 ? 'item' : 'items'} in this donation.`);
+    }
+  });
+  
+  // Draft autosave + remembered donor details
+  const drafts = window.formDrafts.attach(form, {
+    key: 'donationDraft',
+    fields: [
+      'businessName', 'contactName', 'email', 'phone',
+      'street', 'unit', 'city', 'state', 'postalCode',
+      'preparedAt', 'pickupStart', 'pickupEnd', 'pickupRepeat', 'pickupUntil', 'pickupExceptions', 'notes'
+    ],
+    extras: {
+      items: {
+        get: lineItems.getItems,
+        set: lineItems.setItems,
+        isBlank: lineItems.isBlank,
+        owns: lineItems.owns
       },
-      message: 'Quantity must be greater than 0'
+      pickupDays: {
+        get: () => getCheckedDays(),
+        set: (days) => setCheckedDays(days),
+        isBlank: () => getCheckedDays().length === 0,
+        owns: (field) => field.name === 'pickupDays'
+      }
     },
-    pickupTime: {
-      test: (value) => {
-        if (!value) return false;
-        const selectedDate = new Date(value);
-        const now = new Date();
-        return selectedDate > now;
+    banner: document.getElementById('draft-banner'),
+    rememberKey: 'donorDetails',
+    rememberFields: ['businessName', 'contactName', 'email', 'phone', 'street', 'unit', 'city', 'state', 'postalCode'],
+    rememberCheckbox: document.getElementById('remember-details'),
+    onRestore: () => {
+      syncPickupRecurrence();
+      syncFoodSafety();
+      announceToScreenReader('Your draft has been restored.');
+    }
+  });
+  
+  // Validation schema (see validation-engine.js for the rule vocabulary)
+  const donationSchema = {
+    fields: {
+      businessName: {
+        required: true,
+        minLength: 2,
+        message: 'Business name must be at least 2 characters'
+      },
+      contactName: {
+        required: true,
+        minLength: 2,
+        message: 'Contact name must be at least 2 characters'
+      },
+      email: {
+        required: true,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        message: 'Please enter a valid email address'
+      },
+      phone: {
+        required: true,
+        pattern: /^[\d\s\-\+\(\)]{10,}$/,
+        message: 'Please enter a valid phone number (at least 10 digits)'
+      },
+      street: {
+        required: true,
+        minLength: 3,
+        message: 'Please enter the street address'
+      },
+      unit: {
+        maxLength: 20,
+        message: 'Unit must be 20 characters or fewer'
       },
-      message: 'Pickup time must be in the future'
+      city: {
+        required: true,
+        message: 'Please enter the city'
+      },
+      state: {
+        required: true,
+        pattern: /^[A-Za-z]{2}$/,
+        message: 'Please use the 2-letter state code'
+      },
+      postalCode: {
+        required: true,
+        pattern: /^\d{5}(-\d{4})?$/,
+        // Geocode the full address and check it against the service areas
+        asyncTest: (value, values) => addressError(values),
+        message: 'Please enter a valid ZIP code'
+      },
+      items: {
+        minItems: 1,
+        message: 'Please add at least one food item',
+        each: {
+          foodType: {
+            required: true,
+            message: 'Please select a food type'
+          },
+          quantity: {
+            required: true,
+            test: (value) => parseFloat(value) > 0,
+            message: 'Quantity must be greater than 0'
+          },
+          unit: {
+            required: true,
+            oneOf: window.lineItems.UNITS,
+            message: 'Please select a unit'
+          }
+        }
+      },
+      pickupStart: {
+        required: true,
+        message: 'Please choose when the pickup window opens'
+      },
+      pickupEnd: {
+        required: true,
+        message: 'Please choose when the pickup window closes'
+      },
+      preparedAt: {},
+      temperatureControlled: {},
+      pickupRepeat: {},
+      pickupUntil: {},
+      pickupExceptions: {},
+      terms: {
+        required: true,
+        message: 'You must agree to the terms and conditions'
+      }
     },
-    terms: {
-      test: (value) => value === true,
-      message: 'You must agree to the terms and conditions'
-    }
+    // Pickup window rules (future start, minimum length, horizon, recurrence)
+    rules: [
+      { fields: ['pickupStart'], target: 'pickupStart', test: (values) => pickupWindowError(values, 'start') },
+      { fields: ['pickupStart', 'pickupEnd'], target: 'pickupEnd', test: (values) => pickupWindowError(values, 'end') },
+      { fields: ['pickupStart', 'pickupRepeat'], target: 'pickupRepeat', test: (values) => pickupWindowError(values, 'recurrence') },
+      { fields: ['pickupStart', 'pickupRepeat'], target: 'pickupUntil', test: (values) => pickupWindowError(values, 'until') },
+      { fields: ['pickupStart', 'pickupRepeat'], target: 'pickupExceptions', test: (values) => pickupWindowError(values, 'exceptions') },
+      // Food safety rules (thresholds live in food-safety.js)
+      { fields: ['items'], target: 'preparedAt', test: (values) => foodSafetyError(values, 'preparedAt') },
+      { fields: ['items'], target: 'temperatureControlled', test: (values) => foodSafetyError(values, 'temperatureControlled') },
+      { fields: ['items', 'pickupEnd'], target: 'pickupEnd', test: (values) => foodSafetyError(values, 'pickupEnd') }
+    ]
   };
   
+  const validation = window.validationEngine.attach(form, donationSchema, {
+    getValues: collectData
+  });
+  
+  /**
+   * Validate entire form (including async and cross-field rules)
+   * @returns {Promise<boolean>} - True if all fields valid
+   */
+  function validateForm() {
+    return validation.validateForm();
+  }
+  
   /**
-   * Validate single field
-   * @param {HTMLElement} field - Form field to validate
-   * @returns {boolean} - True if valid
+   * Clear all form errors
    */
-  function validateField(field) {
-    const name = field.name;
-    const value = field.type === 'checkbox' ? field.checked : field.value;
-    const errorElement = document.getElementById(`${field.id}-error`);
+  function clearErrors() {
+    validation.clearErrors();
+  }
+  
+  /**
+   * Collect raw form values (used by validation rules)
+   * @returns {Object}
+   */
+  function collectData() {
+    const formData = new FormData(form);
+    const data = {};
+    formData.forEach((value, key) => {
+      // Line item fields are collected separately as an array
+      if (!key.startsWith('items[')) data[key] = value;
+    });
+    delete data.rememberDetails; // Local preference, not part of the donation
+    data.items = lineItems.getItems();
+    data.pickupDays = getCheckedDays();
+    return data;
+  }
+  
+  /**
+   * Build the submission payload: raw pickup fields become a pickupWindow
+   * object, address fields become address + geocoded location
+   * @returns {Promise<Object>}
+   */
+  async function buildPayload() {
+    const data = collectData();
+    data.address = getAddress(data);
     
-    // Skip if no validator for this field
-    if (!validators[name]) return true;
+    // Offline or geocoder down: submit without coordinates (location is null)
+    let place = await resolveLocation(data).catch(() => null);
+    if (place && place.unverified) place = null; // Offline testing: no coordinates
+    const area = place && window.geo.findServiceArea(place);
+    data.location = place ? { lat: place.lat, lng: place.lng, serviceArea: area ? area.properties.id : null } : null;
+    data.pickupWindow = window.pickupWindow.serialize(getPickupWindow(data));
+    data.temperatureControlled = data.temperatureControlled === 'on';
+    if (data.preparedAt) {
+      data.preparedAt = window.pickupWindow.zonedToDate(data.preparedAt, data.pickupTimeZone).toISOString();
+    }
     
-    const isValid = validators[name].test(value);
+    ['pickupStart', 'pickupEnd', 'pickupTimeZone', 'pickupRepeat', 'pickupDays', 'pickupUntil', 'pickupExceptions']
+      .forEach(key => delete data[key]);
+    ['street', 'unit', 'city', 'state', 'postalCode', 'latitude', 'longitude']
+      .forEach(key => delete data[key]);
     
-    if (!isValid) {
-      field.classList.add('error');
-      if (errorElement) {
-        errorElement.textContent = validators[name].message;
-      }
-      field.setAttribute('aria-invalid', 'true');
-    } else {
-      field.classList.remove('error');
-      if (errorElement) {
-        errorElement.textContent = '';
-      }
-      field.setAttribute('aria-invalid', 'false');
+    return data;
+  }
+  
+  // ========== PICKUP ADDRESS ==========
+  const useLocationButton = document.getElementById('use-my-location');
+  const addressHint = document.getElementById('address-hint');
+  const latitudeInput = document.getElementById('address-latitude');
+  const longitudeInput = document.getElementById('address-longitude');
+  const ADDRESS_FIELDS = ['street', 'unit', 'city', 'state', 'postalCode'];
+  const geocodeCache = new Map();
+  
+  /**
+   * Structured address from raw form values
+   * @param {Object} values - From collectData()
+   * @returns {Object} - { street, unit, city, state, postalCode }
+   */
+  function getAddress(values) {
+    const address = {};
+    ADDRESS_FIELDS.forEach(key => {
+      address[key] = (values[key] || '').trim();
+    });
+    address.state = address.state.toUpperCase();
+    return address;
+  }
+  
+  /**
+   * Coordinates for the pickup address
+   * "Use my location" coordinates win; otherwise the address is geocoded
+   * (cached per address so validation and submission share one lookup)
+   * @param {Object} values - From collectData()
+   * @returns {Promise<Object|null>} - { lat, lng }, { unverified: true } from a
+   *   test geocoder that accepts unknown addresses, or null if not found
+   */
+  function resolveLocation(values) {
+    if (values.latitude && values.longitude) {
+      return Promise.resolve({ lat: parseFloat(values.latitude), lng: parseFloat(values.longitude) });
     }
     
-    return isValid;
+    const address = getAddress(values);
+    const key = window.geo.formatAddress(address);
+    if (!geocodeCache.has(key)) {
+      const lookup = window.geo.getGeocoder().geocode(address);
+      lookup.catch(() => geocodeCache.delete(key)); // Don't cache failures
+      geocodeCache.set(key, lookup);
+    }
+    return geocodeCache.get(key);
   }
   
   /**
-   * Validate entire form
-   * @returns {boolean} - True if all fields valid
+   * Async validation for the address: found, and inside a service area
+   * @param {Object} values - From collectData()
+   * @returns {Promise<true|string>}
    */
-  function validateForm() {
-    let isValid = true;
-    const fields = form.querySelectorAll('input[required], select[required], textarea[required]');
+  async function addressError(values) {
+    let place;
+    try {
+      place = await resolveLocation(values);
+    } catch (error) {
+      return true; // Geocoder unreachable (e.g. offline): don't block the donation
+    }
     
-    fields.forEach(field => {
-      if (!validateField(field)) {
-        isValid = false;
+    if (!place) {
+      return 'We couldn\'t find this address. Please check the street and ZIP code.';
+    }
+    if (place.unverified) {
+      return true; // Only in offline testing (mock API with acceptUnknownAddresses): nothing to check
+    }
+    if (!window.geo.findServiceArea(place)) {
+      return 'Sorry, this address is outside the areas we currently serve.';
+    }
+    return true;
+  }
+  
+  function serviceAreaNames() {
+    const names = window.geo.SERVICE_AREAS.features.map(feature => feature.properties.name);
+    return names.length > 1 ? names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1] : names.join('');
+  }
+  
+  function clearCoordinates() {
+    latitudeInput.value = '';
+    longitudeInput.value = '';
+  }
+  
+  /**
+   * Fill the address from the device location (Geolocation + reverse geocoding)
+   */
+  async function useMyLocation() {
+    useLocationButton.disabled = true;
+    useLocationButton.setAttribute('aria-busy', 'true');
+    addressHint.textContent = 'Finding your location…';
+    
+    try {
+      const position = await window.geo.getCurrentPosition();
+      const place = await window.geo.getGeocoder().reverse(position).catch(() => null);
+      
+      if (place) {
+        ADDRESS_FIELDS.forEach(key => {
+          form.elements[key].value = place.address[key] || '';
+        });
+        clearCoordinates(); // Use the matched address's coordinates
+        addressHint.textContent = `Using ${place.label}`;
+      } else {
+        latitudeInput.value = position.lat;
+        longitudeInput.value = position.lng;
+        addressHint.textContent = 'Location found. Please add the street address so the rescuer can find you.';
       }
-    });
+      announceToScreenReader(addressHint.textContent);
+      
+      ADDRESS_FIELDS.forEach(key => {
+        if (form.elements[key].value) validation.validateField(form.elements[key]);
+      });
+      drafts.save();
+    } catch (error) {
+      addressHint.textContent = error.message;
+      announceToScreenReader(error.message);
+    } finally {
+      useLocationButton.disabled = false;
+      useLocationButton.removeAttribute('aria-busy');
+    }
+  }
+  
+  /**
+   * Initialize the address block
+   */
+  function initializeAddress() {
+    const defaultHint = `We currently collect in ${serviceAreaNames()}.`;
+    addressHint.textContent = defaultHint;
+    
+    if (!navigator.geolocation) {
+      useLocationButton.hidden = true;
+    }
+    useLocationButton.addEventListener('click', useMyLocation);
     
-    return isValid;
+    // Hidden inputs keep their value through form.reset()
+    form.addEventListener('reset', () => {
+      clearCoordinates();
+      addressHint.textContent = defaultHint;
+    });
+  }
+  
+  // ========== PICKUP WINDOW ==========
+  const pickupStartInput = document.getElementById('pickup-start');
+  const pickupEndInput = document.getElementById('pickup-end');
+  const pickupRepeatSelect = document.getElementById('pickup-repeat');
+  const pickupRecurrence = document.getElementById('pickup-recurrence');
+  const pickupDaysGroup = document.getElementById('pickup-days-group');
+  
+  function getCheckedDays() {
+    return Array.from(form.querySelectorAll('input[name="pickupDays"]:checked')).map(input => input.value);
+  }
+  
+  function setCheckedDays(days) {
+    form.querySelectorAll('input[name="pickupDays"]').forEach(input => {
+      input.checked = (days || []).includes(input.value);
+    });
   }
   
   /**
-   * Clear all form errors
+   * Pickup window model from raw form values
+   * @param {Object} values - From collectData()
+   * @returns {Object}
    */
-  function clearErrors() {
-    form.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
-    form.querySelectorAll('.form-error').forEach(el => el.textContent = '');
-    form.querySelectorAll('[aria-invalid="true"]').forEach(el => {
-      el.setAttribute('aria-invalid', 'false');
+  function getPickupWindow(values) {
+    return window.pickupWindow.createWindow({
+      start: values.pickupStart,
+      end: values.pickupEnd,
+      timeZone: values.pickupTimeZone,
+      recurrence: {
+        frequency: values.pickupRepeat,
+        byDay: values.pickupDays || [],
+        until: values.pickupUntil,
+        exceptions: (values.pickupExceptions || '').split(',').map(date => date.trim()).filter(Boolean)
+      }
+    });
+  }
+  
+  /**
+   * Validation rule adapter for pickup-window.js
+   * @param {Object} values - From collectData()
+   * @param {string} key - start | end | recurrence | until | exceptions
+   * @returns {true|string} - true if valid, otherwise the message
+   */
+  function pickupWindowError(values, key) {
+    const errors = window.pickupWindow.validate(getPickupWindow(values));
+    return errors[key] || true;
+  }
+  
+  // ========== FOOD SAFETY ==========
+  const foodSafetySection = document.getElementById('food-safety');
+  const preparedAtGroup = document.getElementById('prepared-at-group');
+  const temperatureGroup = document.getElementById('temperature-control-group');
+  const safetyWarnings = document.getElementById('food-safety-warnings');
+  const safetyWarningList = document.getElementById('food-safety-warning-list');
+  
+  /**
+   * Evaluate food-safety.js rules against raw form values
+   * @param {Object} values - From collectData()
+   * @returns {Object} - { errors, warnings }
+   */
+  function evaluateFoodSafety(values) {
+    const timeZone = values.pickupTimeZone;
+    return window.foodSafety.evaluate({
+      items: values.items,
+      preparedAt: values.preparedAt ? window.pickupWindow.zonedToDate(values.preparedAt, timeZone) : null,
+      temperatureControlled: values.temperatureControlled === 'on',
+      pickupEnd: values.pickupEnd ? window.pickupWindow.zonedToDate(values.pickupEnd, timeZone) : null
+    });
+  }
+  
+  /**
+   * Validation rule adapter for food-safety.js
+   * @param {Object} values - From collectData()
+   * @param {string} key - preparedAt | temperatureControlled | pickupEnd
+   * @returns {true|string}
+   */
+  function foodSafetyError(values, key) {
+    return evaluateFoodSafety(values).errors[key] || true;
+  }
+  
+  /**
+   * Show the confirmations the selected food types need, plus any warnings
+   */
+  function syncFoodSafety() {
+    const values = collectData();
+    const requirements = window.foodSafety.getRequirements(values.items);
+    
+    preparedAtGroup.hidden = !requirements.preparedAt;
+    temperatureGroup.hidden = !requirements.temperatureControl;
+    foodSafetySection.hidden = preparedAtGroup.hidden && temperatureGroup.hidden;
+    
+    const warnings = evaluateFoodSafety(values).warnings;
+    safetyWarningList.innerHTML = '';
+    warnings.forEach(warning => {
+      const li = document.createElement('li');
+      li.textContent = warning;
+      safetyWarningList.appendChild(li);
     });
+    safetyWarnings.hidden = warnings.length === 0;
+  }
+  
+  form.addEventListener('change', (e) => {
+    if (lineItems.owns(e.target) || ['preparedAt', 'pickupStart', 'pickupEnd'].includes(e.target.name)) {
+      syncFoodSafety();
+    }
+  });
+  
+  form.addEventListener('reset', () => setTimeout(syncFoodSafety, 0));
+  
+  /**
+   * Show recurrence options only when the window repeats
+   */
+  function syncPickupRecurrence() {
+    const frequency = pickupRepeatSelect.value;
+    pickupRecurrence.hidden = frequency === 'none';
+    pickupDaysGroup.hidden = frequency !== 'weekly';
+    document.getElementById('pickup-until').required = frequency !== 'none';
+    
+    // Weekly pickups start with the first pickup's day checked
+    if (frequency === 'weekly' && getCheckedDays().length === 0 && pickupStartInput.value) {
+      const day = new Date(pickupStartInput.value.slice(0, 10) + 'T00:00:00Z').getUTCDay();
+      setCheckedDays([window.pickupWindow.WEEKDAYS[day]]);
+    }
   }
   
   /**
@@ -133,13 +508,96 @@
     }
   }
   
+  /**
+   * Show the top-ranked rescuer from the submission response
+   * @param {Object[]} [matches] - Ranked candidates ({ name, distanceKm, reasons })
+   */
+  function showMatch(matches) {
+    const top = matches && matches[0];
+    matchSummary.hidden = !top;
+    if (!top) return;
+    
+    matchText.textContent = window.matching.summarize({
+      candidate: top,
+      distanceKm: top.distanceKm,
+      reasons: top.reasons
+    });
+  }
+  
+  // ========== REALTIME STATUS ==========
+  let stopWatching = null;
+  
+  /**
+   * Status line for the success panel
+   * @param {Object} donation
+   * @returns {string}
+   */
+  function describeStatus(donation) {
+    const label = window.donationsAPI.STATUS_LABELS[donation.status] || donation.status;
+    const rescuer = donation.matchedRescuer && donation.matchedRescuer.name;
+    switch (donation.status) {
+      case 'pending': return `Status: ${label}. We've notified nearby rescuers.`;
+      case 'matched': return `Status: ${label}. ${rescuer || 'A rescuer'} will pick up.`;
+      case 'picked_up': return `Status: ${label}. Thank you for rescuing food!`;
+      default: return `Status: ${label}.`;
+    }
+  }
+  
+  /**
+   * Follow a submitted donation's status in the success panel
+   * @param {string} id
+   * @param {string} [status] - Status at submission time
+   */
+  function watchDonation(id, status) {
+    if (stopWatching) stopWatching();
+    liveStatus.textContent = describeStatus({ status: status || 'pending' });
+    liveStatus.hidden = false;
+    
+    stopWatching = window.realtime.subscribe(id, (donation) => {
+      liveStatus.textContent = describeStatus(donation);
+      announceToScreenReader(`Donation ${id} update. ${liveStatus.textContent}`);
+      document.dispatchEvent(new CustomEvent('donations:change', {
+        detail: { action: 'status', id: id }
+      }));
+    }, { status: status || 'pending' });
+  }
+  
+  /**
+   * Show the estimated impact of the submitted items
+   * @param {Object[]} items - Line items from the payload
+   */
+  function showImpact(items) {
+    const result = window.impact.calculate(items);
+    impactSummary.hidden = result.meals === 0;
+    impactSummary.textContent = window.impact.describe(result) + '.';
+  }
+  
+  /**
+   * Show the donation reference (links to My Donations)
+   * @param {string} [id] - e.g. 'DON-…'
+   */
+  function showReference(id) {
+    referenceSummary.hidden = !id;
+    referenceSummary.querySelector('[data-reference-id]').textContent = id || '';
+  }
+  
   /**
    * Show success message
+   * @param {Object} data - Submitted payload
+   * @param {Object} [response] - Submission response
+   * @param {string} [message] - Replaces the default thank-you text
    */
-  function showSuccess() {
+  function showSuccess(data, response, message) {
+    successText.textContent = message || SUCCESS_TEXT;
+    liveStatus.hidden = true;
+    showReference(response && (response.id || (response.donation && response.donation.id)));
+    showImpact(data.items);
+    showMatch(response && response.matches);
     successMessage.hidden = false;
     errorMessage.hidden = true;
-    announceToScreenReader('Thank you! Your donation has been submitted successfully.');
+    announceToScreenReader((message || 'Thank you! Your donation has been submitted successfully.') +
+      (impactSummary.hidden ? '' : ' ' + impactSummary.textContent) +
+      (matchSummary.hidden ? '' : ' Likely pickup: ' + matchText.textContent));
     
     // Scroll to success message
     successMessage.scrollIntoView({ 
@@ -181,29 +639,6 @@
     }
   }
   
-  // Add real-time validation on blur
-  form.addEventListener('blur', (e) => {
-    if (e.target.matches('input, select, textarea')) {
-      validateField(e.target);
-    }
-  }, true); // Use capture phase
-  
-  // Clear errors on input (immediate feedback)
-  form.addEventListener('input', (e) => {
-    if (e.target.classList.contains('error')) {
-      validateField(e.target);
-    }
-  });
-  
-  // Clear errors on change (for select/checkbox)
-  form.addEventListener('change', (e) => {
-    if (e.target.matches('select, input[type="checkbox"]')) {
-      if (e.target.classList.contains('error')) {
-        validateField(e.target);
-      }
-    }
-  });
-  
   // Form submission
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -213,7 +648,7 @@
     errorMessage.hidden = true;
     
     // Validate
-    if (!validateForm()) {
+    if (!(await validateForm())) {
       announceToScreenReader('Form has errors. Please correct them and try again.');
       
       // Focus first error
@@ -233,36 +668,61 @@
     // Show loading state
     setLoading(true);
     
-    // Collect form data
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData.entries());
-    
-    // Add timestamp
-    data.submittedAt = new Date().toISOString();
-    
+    let data;
     try {
-      // Call API (replace mockAPICall with real implementation)
+      // Collect form data
+      data = await buildPayload();
+      
+      // Editing a submitted donation: save changes instead of creating a new one
+      if (editingId) {
+        await saveChanges(data);
+        return;
+      }
+      
+      // Add timestamp and idempotency key (lets the server drop duplicate retries)
+      data.submittedAt = new Date().toISOString();
+      data.idempotencyKey = window.offlineQueue.generateKey();
+      
+      // Offline: save for later instead of failing
+      if (!navigator.onLine) {
+        await queueSubmission(data);
+        return;
+      }
+      
+      // Call API
       const response = await submitDonation(data);
       
       if (response.success) {
-        // Show success message
-        showSuccess();
+        // Show success message (with impact estimate and top rescuer match)
+        showSuccess(data, response);
+        window.donationsAPI.track(response.id);
+        watchDonation(response.id);
         
-        // Reset form
+        // Remember details (if opted in), drop the draft and reset form
+        drafts.rememberDetails(data);
+        drafts.clear();
         form.reset();
+        lineItems.reset();
         clearErrors();
+        drafts.applyRemembered();
         
         // Optional: track conversion
         if (window.gtag) {
           window.gtag('event', 'donation_submitted', {
             event_category: 'form',
-            event_label: data.foodType
+            event_label: data.items.map(item => item.foodType).join(',')
           });
         }
       } else {
         throw new Error(response.error || 'Submission failed');
       }
     } catch (error) {
+      // Connectivity or server trouble: keep the donation and retry later
+      if (error.retryable) {
+        await queueSubmission(data);
+        return;
+      }
+      
       // Show error message
       showError(error.message);
       
@@ -286,95 +746,253 @@
    * Submit donation to API
    * @param {Object} data - Form data
    * @returns {Promise<Object>} - Response object
+   * @throws {ApiError} - Typed error whose message is safe to display
    */
   async function submitDonation(data) {
-    // MOCK API CALL - Replace with real implementation
-    return mockAPICall(data);
+    return window.apiClient.post('/api/donations', data, {
+      headers: { 'Idempotency-Key': data.idempotencyKey }
+    });
+  }
+  
+  /**
+   * Save changes to the donation being edited
+   * @param {Object} data - Payload from buildPayload()
+   */
+  async function saveChanges(data) {
+    const id = editingId;
+    
+    try {
+      const response = await window.donationsAPI.update(id, data);
+      stopEditing();
+      showSuccess(data, response, `Your changes to donation ${id} have been saved.`);
+      watchDonation(id, response.donation.status);
+    } catch (error) {
+      showError(error.message);
+      console.error('Donation update error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }
+  
+  /**
+   * Save a submission for automatic retry when back online
+   * If storage fails, the form stays filled in and an error is shown
+   * @param {Object} data - Form data (with idempotencyKey)
+   */
+  async function queueSubmission(data) {
+    try {
+      await window.offlineQueue.enqueue('/api/donations', data);
+    } catch (error) {
+      console.error('Offline queue error:', error);
+      showError('We could not save your donation offline. Your details are still in the form, so please try again when you\'re back online.');
+      return;
+    }
     
-    /* REAL API IMPLEMENTATION:
+    drafts.rememberDetails(data);
+    drafts.clear();
+    form.reset();
+    lineItems.reset();
+    clearErrors();
+    drafts.applyRemembered();
     
-    const response = await fetch('/api/donations', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        // Add authentication headers if needed
-        // 'Authorization': 'Bearer ' + getAuthToken()
-      },
-      body: JSON.stringify(data)
+    announceToScreenReader('We could not reach the server. Your donation was saved and will be sent automatically.');
+    
+    pendingMessage.scrollIntoView({ 
+      behavior: window.motionUtils && window.motionUtils.isMotionEnabled() ? 'smooth' : 'auto',
+      block: 'nearest' 
     });
+  }
+  
+  /**
+   * Update "pending sync" message with the number of queued donations
+   * @param {number} count - Pending submissions
+   */
+  function updatePending(count) {
+    pendingMessage.hidden = count === 0;
+    pendingText.textContent = count === 1
+      ? '1 donation is waiting to sync. It will be sent automatically when you\'re back online.'
+      : `${count} donations are waiting to sync. They will be sent automatically when you're back online.`;
+  }
+  
+  // ========== OFFLINE QUEUE EVENTS ==========
+  document.addEventListener('offlinequeue:change', (e) => {
+    updatePending(e.detail.count);
+  });
+  
+  document.addEventListener('offlinequeue:synced', (e) => {
+    if (e.detail.entry.endpoint !== '/api/donations') return;
     
-    if (!response.ok) {
-      // Handle HTTP errors
-      if (response.status === 400) {
-        const error = await response.json();
-        throw new Error(error.message || 'Invalid form data');
-      } else if (response.status === 429) {
-        throw new Error('Too many requests. Please try again later.');
-      } else if (response.status >= 500) {
-        throw new Error('Server error. Please try again later.');
-      } else {
-        throw new Error('Network error. Please check your connection.');
-      }
+    showSuccess(e.detail.entry.payload, e.detail.response, 'Your saved donation has been sent successfully.');
+    if (e.detail.response && e.detail.response.id) {
+      window.donationsAPI.track(e.detail.response.id);
+      watchDonation(e.detail.response.id);
     }
+  });
+  
+  document.addEventListener('offlinequeue:failed', (e) => {
+    if (e.detail.entry.endpoint !== '/api/donations') return;
+    
+    showError(e.detail.error.message);
+  });
+  
+  // ========== EDITING A SUBMITTED DONATION ==========
+  const editBanner = document.getElementById('edit-banner');
+  const draftBanner = document.getElementById('draft-banner');
+  const submitText = submitButton.querySelector('.btn-text');
+  const SUBMIT_LABEL = submitText.textContent;
+  let editingId = null;
+  
+  /**
+   * Fill the form from a submitted donation (inverse of buildPayload)
+   * @param {Object} donation - As returned by the API
+   */
+  function populateForm(donation) {
+    ['businessName', 'contactName', 'email', 'phone', 'notes'].forEach(name => {
+      form.elements[name].value = donation[name] || '';
+    });
+    
+    const address = donation.address || {};
+    ADDRESS_FIELDS.forEach(key => {
+      form.elements[key].value = address[key] || '';
+    });
+    
+    lineItems.setItems(donation.items || []);
     
-    return await response.json();
-    */
+    const win = donation.pickupWindow || {};
+    const timeZone = win.timeZone || window.pickupWindow.getDefaultTimeZone();
+    const rule = win.recurrence;
+    document.getElementById('pickup-timezone').value = timeZone;
+    form.querySelector('[data-pickup-timezone]').textContent = timeZone.replace(/_/g, ' ');
+    pickupStartInput.value = win.localStart ? win.localStart.slice(0, 16) : '';
+    pickupEndInput.value = win.localEnd ? win.localEnd.slice(0, 16) : '';
+    pickupRepeatSelect.value = rule ? rule.frequency : 'none';
+    setCheckedDays(rule ? rule.byDay : []);
+    form.elements.pickupUntil.value = rule ? rule.until : '';
+    form.elements.pickupExceptions.value = rule ? rule.exceptions.join(', ') : '';
+    
+    form.elements.preparedAt.value = donation.preparedAt
+      ? window.pickupWindow.toZonedISO(new Date(donation.preparedAt), timeZone).slice(0, 16)
+      : '';
+    form.elements.temperatureControlled.checked = !!donation.temperatureControlled;
+    form.elements.terms.checked = true; // Accepted when first submitted
+    
+    syncPickupRecurrence();
+    syncFoodSafety();
   }
   
   /**
-   * Mock API call for development
-   * @param {Object} data - Form data
-   * @returns {Promise<Object>} - Mock response
+   * Load a submitted donation into the form for editing
+   * Any unfinished new donation stays saved as a draft meanwhile
+   * @param {Object} donation
    */
-  function mockAPICall(data) {
-    return new Promise((resolve, reject) => {
-      // Simulate network delay
-      setTimeout(() => {
-        // Simulate 90% success rate
-        const success = Math.random() > 0.1;
-        
-        if (success) {
-          resolve({
-            success: true,
-            id: 'DON-' + Math.random().toString(36).substr(2, 9).toUpperCase(),
-            message: 'Donation received successfully'
-          });
-        } else {
-          // Simulate random errors
-          const errors = [
-            'Server error. Please try again later.',
-            'Network timeout. Please check your connection.',
-            'Unable to process donation. Please contact support.'
-          ];
-          reject(new Error(errors[Math.floor(Math.random() * errors.length)]));
-        }
-      }, 1500);
+  function startEditing(donation) {
+    if (!editingId) drafts.save();
+    drafts.setPaused(true);
+    
+    form.reset();
+    lineItems.reset();
+    clearErrors();
+    populateForm(donation);
+    
+    editingId = donation.id;
+    editBanner.querySelector('[data-edit-id]').textContent = donation.id;
+    editBanner.hidden = false;
+    draftBanner.hidden = true;
+    submitText.textContent = 'Save Changes';
+    successMessage.hidden = true;
+    errorMessage.hidden = true;
+    
+    announceToScreenReader(`Editing donation ${donation.id}.`);
+    
+    // Editing starts from My Donations, a separate view (see router.js)
+    if (window.appRouter) window.appRouter.navigate('/donate');
+    
+    form.scrollIntoView({ 
+      behavior: window.motionUtils && window.motionUtils.isMotionEnabled() ? 'smooth' : 'auto',
+      block: 'start' 
     });
+    form.elements.businessName.focus({ preventScroll: true });
+  }
+  
+  /**
+   * Leave edit mode and bring back the unfinished draft (or remembered details)
+   */
+  function stopEditing() {
+    editingId = null;
+    editBanner.hidden = true;
+    submitText.textContent = SUBMIT_LABEL;
+    
+    form.reset();
+    lineItems.reset();
+    clearErrors();
+    drafts.setPaused(false);
+    if (!drafts.restore()) drafts.applyRemembered();
+  }
+  
+  document.addEventListener('donations:edit', (e) => {
+    startEditing(e.detail.donation);
+  });
+  
+  editBanner.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-edit-action="stop"]')) return;
+    
+    stopEditing();
+    announceToScreenReader('Stopped editing. No changes were saved.');
+    form.elements.businessName.focus();
+  });
+  
+  /**
+   * Format a Date for datetime-local inputs (YYYY-MM-DDTHH:MM, local time)
+   * @param {Date} date
+   * @returns {string}
+   */
+  function toLocalInputValue(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    
+    return `${year}-${month}-${day}T${hours}:${minutes}`;
   }
   
   /**
-   * Initialize datetime-local input with minimum time (now + 1 hour)
+   * Initialize pickup window inputs: timezone, min/max bounds, recurrence toggles
    */
-  function initializePickupTime() {
-    const pickupInput = document.getElementById('pickup-time');
-    if (!pickupInput) return;
+  function initializePickupWindow() {
+    const limits = window.pickupWindow.DEFAULTS;
+    const timeZone = window.pickupWindow.getDefaultTimeZone();
+    
+    document.getElementById('pickup-timezone').value = timeZone;
+    form.querySelector('[data-pickup-timezone]').textContent = timeZone.replace(/_/g, ' ');
+    
+    const min = new Date(Date.now() + limits.minLeadMinutes * 60000);
+    const max = new Date(Date.now() + limits.maxHorizonDays * 24 * 60 * 60000);
+    pickupStartInput.setAttribute('min', toLocalInputValue(min));
+    pickupStartInput.setAttribute('max', toLocalInputValue(max));
+    pickupEndInput.setAttribute('min', toLocalInputValue(min));
+    
+    // Keep end after start, and suggest a 2-hour window when end is empty
+    pickupStartInput.addEventListener('change', () => {
+      const start = new Date(pickupStartInput.value);
+      if (isNaN(start)) return;
+      
+      pickupEndInput.setAttribute('min', pickupStartInput.value);
+      if (!pickupEndInput.value) {
+        pickupEndInput.value = toLocalInputValue(new Date(start.getTime() + 2 * 60 * 60000));
+      }
+    });
     
-    const now = new Date();
-    now.setHours(now.getHours() + 1); // Minimum 1 hour from now
-    now.setMinutes(0, 0, 0); // Round to nearest hour
+    pickupRepeatSelect.addEventListener('change', syncPickupRecurrence);
     
-    // Format for datetime-local input (YYYY-MM-DDTHH:MM)
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
+    // form.reset() doesn't fire change events
+    form.addEventListener('reset', () => setTimeout(syncPickupRecurrence, 0));
     
-    const minDateTime = `${year}-${month}-${day}T${hours}:${minutes}`;
-    pickupInput.setAttribute('min', minDateTime);
+    syncPickupRecurrence();
   }
   
   // Initialize on load
-  initializePickupTime();
+  initializeAddress();
+  initializePickupWindow();
   
 })();
\ No newline at end of file
@@ -0,0 +1,303 @@
+/**
+ * Location & Geocoding
+ * Service areas (GeoJSON), point-in-polygon checks, browser geolocation
+ * and a pluggable geocoder interface. Runs in the browser or under Node.
+ *
+ * A geocoder is any object with:
+ *   geocode(address) -> Promise<Place|null>
+ *   reverse({ lat, lng }) -> Promise<Place|null>
+ * where address is { street, unit, city, state, postalCode } and
+ * Place is { lat, lng, address, label }.
+ */
+
+(function(global) {
+  'use strict';
+
+  // ========== SERVICE AREAS (edit these) ==========
+  // GeoJSON FeatureCollection; coordinates are [lng, lat]. Polygon and
+  // MultiPolygon geometries are supported, including holes.
+  const SERVICE_AREAS = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: { id: 'sf', name: 'San Francisco' },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [-122.5149, 37.7081], [-122.3569, 37.7081], [-122.3569, 37.7340],
+            [-122.3816, 37.8120], [-122.4780, 37.8120], [-122.5149, 37.7790],
+            [-122.5149, 37.7081]
+          ]]
+        }
+      },
+      {
+        type: 'Feature',
+        properties: { id: 'oakland', name: 'Oakland' },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [-122.3330, 37.7900], [-122.2500, 37.7300], [-122.1600, 37.7300],
+            [-122.1600, 37.8500], [-122.2500, 37.8500], [-122.3330, 37.8300],
+            [-122.3330, 37.7900]
+          ]]
+        }
+      }
+    ]
+  };
+
+  const EARTH_RADIUS_KM = 6371;
+
+  /**
+   * Great-circle distance
+   * @param {Object} a - { lat, lng }
+   * @param {Object} b - { lat, lng }
+   * @returns {number} - Kilometres
+   */
+  function haversineKm(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Ray-casting test against one linear ring
+   * @param {Object} point - { lat, lng }
+   * @param {number[][]} ring - [[lng, lat], ...]
+   * @returns {boolean}
+   */
+  function inRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const crosses = (yi > point.lat) !== (yj > point.lat) &&
+        point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi;
+      if (crosses) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * Whether a point is inside a Polygon/MultiPolygon geometry
+   * The first ring of each polygon is the outline; the rest are holes
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {Object} point - { lat, lng }
+   * @returns {boolean}
+   */
+  function containsPoint(geometry, point) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates
+      : geometry.type === 'Polygon' ? [geometry.coordinates]
+      : [];
+
+    return polygons.some(([outline, ...holes]) =>
+      inRing(point, outline) && !holes.some(hole => inRing(point, hole)));
+  }
+
+  /**
+   * Service area containing a point
+   * @param {Object} point - { lat, lng }
+   * @param {Object} [areas] - FeatureCollection (defaults to SERVICE_AREAS)
+   * @returns {Object|null} - Matching feature
+   */
+  function findServiceArea(point, areas = SERVICE_AREAS) {
+    if (!point || typeof point.lat !== 'number' || typeof point.lng !== 'number') return null;
+    return areas.features.find(feature => containsPoint(feature.geometry, point)) || null;
+  }
+
+  /**
+   * One-line address
+   * @param {Object} address - { street, unit, city, state, postalCode }
+   * @returns {string}
+   */
+  function formatAddress(address) {
+    if (!address) return '';
+    const street = [address.street, address.unit].filter(Boolean).join(' ');
+    const region = [address.state, address.postalCode].filter(Boolean).join(' ');
+    return [street, address.city, region].filter(Boolean).join(', ');
+  }
+
+  // Common abbreviations, so "123 Main Street" matches "123 Main St"
+  const STREET_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', boulevard: 'blvd', drive: 'dr', road: 'rd',
+    lane: 'ln', place: 'pl', court: 'ct', north: 'n', south: 's', east: 'e', west: 'w'
+  };
+
+  function normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[.,#]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(word => STREET_ABBREVIATIONS[word] || word)
+      .join(' ');
+  }
+
+  /**
+   * Offline geocoder backed by fixture data (local testing, Node scripts)
+   *
+   * Addresses missing from the fixtures resolve to null ("not found"). For
+   * offline testing with real addresses, `acceptUnknown: true` resolves them
+   * as unverified places instead ({ unverified: true, address, label }, no
+   * coordinates, so no service area can be checked).
+   *
+   * @param {Object[]} fixtures - [{ address: { street, city, state, postalCode }, lat, lng }]
+   * @param {Object} [options]
+   * @param {number} [options.reverseRadiusKm=0.5] - Max distance for reverse lookups
+   * @param {boolean} [options.acceptUnknown=false] - Unknown addresses resolve as unverified
+   * @returns {Object} - Geocoder
+   */
+  function createFixtureGeocoder(fixtures, options = {}) {
+    const reverseRadiusKm = options.reverseRadiusKm || 0.5;
+
+    function toPlace(fixture) {
+      return {
+        lat: fixture.lat,
+        lng: fixture.lng,
+        address: Object.assign({}, fixture.address),
+        label: formatAddress(fixture.address)
+      };
+    }
+
+    return {
+      async geocode(address) {
+        const street = normalize(address.street);
+        const fixture = fixtures.find(entry =>
+          normalize(entry.address.street) === street &&
+          (entry.address.postalCode === String(address.postalCode || '').trim() ||
+            normalize(entry.address.city) === normalize(address.city)));
+        if (fixture) return toPlace(fixture);
+        if (!options.acceptUnknown) return null;
+
+        const unverified = {};
+        ['street', 'unit', 'city', 'state', 'postalCode'].forEach(key => {
+          if (address[key]) unverified[key] = String(address[key]).trim();
+        });
+        return { unverified: true, address: unverified, label: formatAddress(unverified) };
+      },
+
+      async reverse(point) {
+        let nearest = null;
+        let nearestKm = Infinity;
+        fixtures.forEach(entry => {
+          const km = haversineKm(point, entry);
+          if (km < nearestKm) {
+            nearest = entry;
+            nearestKm = km;
+          }
+        });
+        return nearest && nearestKm <= reverseRadiusKm ? toPlace(nearest) : null;
+      }
+    };
+  }
+
+  /**
+   * Geocoder that asks the backend (GET /api/geocode, /api/geocode/reverse)
+   * @param {Object} [options]
+   * @param {Object} [options.client] - api-client instance (defaults to window.apiClient)
+   * @param {string} [options.path='/api/geocode']
+   * @returns {Object} - Geocoder
+   */
+  function createHttpGeocoder(options = {}) {
+    const path = options.path || '/api/geocode';
+    const client = () => options.client || global.apiClient;
+
+    // 404 means "no match", not a failure
+    async function lookup(url) {
+      try {
+        const response = await client().get(url);
+        return response.place || null;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    }
+
+    return {
+      async geocode(address) {
+        const query = new URLSearchParams();
+        ['street', 'unit', 'city', 'state', 'postalCode'].forEach(key => {
+          if (address[key]) query.set(key, address[key]);
+        });
+        return lookup(`${path}?${query}`);
+      },
+
+      async reverse(point) {
+        return lookup(`${path}/reverse?lat=${point.lat}&lng=${point.lng}`);
+      }
+    };
+  }
+
+  let geocoder = null;
+
+  /**
+   * Swap the active geocoder
+   * @param {Object} next - Object implementing geocode/reverse
+   */
+  function setGeocoder(next) {
+    geocoder = next;
+  }
+
+  /**
+   * Active geocoder (HTTP geocoder unless one has been set)
+   * @returns {Object}
+   */
+  function getGeocoder() {
+    if (!geocoder) geocoder = createHttpGeocoder();
+    return geocoder;
+  }
+
+  const GEOLOCATION_ERRORS = {
+    1: 'Location access was denied. Please enter your address instead.',
+    2: 'Your location could not be determined. Please enter your address instead.',
+    3: 'Finding your location took too long. Please try again or enter your address.'
+  };
+
+  /**
+   * Current position from the browser's Geolocation API
+   * @param {Object} [options] - PositionOptions
+   * @returns {Promise<Object>} - { lat, lng, accuracy }
+   * @throws {Error} - With a message safe to display
+   */
+  function getCurrentPosition(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!global.navigator || !global.navigator.geolocation) {
+        reject(new Error('Your browser does not support location lookup. Please enter your address.'));
+        return;
+      }
+
+      global.navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        }),
+        (error) => reject(new Error(GEOLOCATION_ERRORS[error.code] || GEOLOCATION_ERRORS[2])),
+        Object.assign({ enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }, options)
+      );
+    });
+  }
+
+  const geo = {
+    SERVICE_AREAS: SERVICE_AREAS,
+    haversineKm: haversineKm,
+    containsPoint: containsPoint,
+    findServiceArea: findServiceArea,
+    formatAddress: formatAddress,
+    createFixtureGeocoder: createFixtureGeocoder,
+    createHttpGeocoder: createHttpGeocoder,
+    setGeocoder: setGeocoder,
+    getGeocoder: getGeocoder,
+    getCurrentPosition: getCurrentPosition
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = geo;
+  } else {
+    global.geo = geo;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
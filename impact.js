@@ -0,0 +1,146 @@
+/**
+ * Impact Calculator
+ * Converts donation line items into weight, meals equivalent and CO2e
+ * avoided. Edit IMPACT_FACTORS below to change conversion/emission factors.
+ * Pure functions; runs in the browser or under Node.
+ */
+
+(function(global) {
+  'use strict';
+
+  // ========== FACTORS (edit these) ==========
+  // kgPerMeal: weight of one meal of this food type
+  // kgPerTray: weight of one catering tray
+  // co2eKgPerKg: emissions avoided per kg kept out of landfill
+  const IMPACT_FACTORS = {
+    prepared: { label: 'Prepared meals', kgPerMeal: 0.45, kgPerTray: 4.5, co2eKgPerKg: 2.5 },
+    produce: { label: 'Fresh produce', kgPerMeal: 0.5, kgPerTray: 5, co2eKgPerKg: 1.1 },
+    bakery: { label: 'Bakery items', kgPerMeal: 0.3, kgPerTray: 3, co2eKgPerKg: 1.6 },
+    dairy: { label: 'Dairy products', kgPerMeal: 0.5, kgPerTray: 5, co2eKgPerKg: 3.2 },
+    other: { label: 'Other food', kgPerMeal: 0.45, kgPerTray: 4.5, co2eKgPerKg: 2.0 }
+  };
+
+  const KG_PER_LB = 0.45359237;
+
+  function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Impact of one line item
+   * @param {Object} item - { foodType, quantity, unit }
+   * @param {Object} [factors] - Override IMPACT_FACTORS
+   * @returns {Object} - { weightKg, meals, co2eKg } (unrounded)
+   */
+  function itemImpact(item, factors = IMPACT_FACTORS) {
+    const factor = factors[item.foodType] || factors.other;
+    const quantity = parseFloat(item.quantity) || 0;
+
+    let weightKg;
+    switch (item.unit) {
+      case 'kg': weightKg = quantity; break;
+      case 'lbs': weightKg = quantity * KG_PER_LB; break;
+      case 'meals': weightKg = quantity * factor.kgPerMeal; break;
+      case 'trays': weightKg = quantity * factor.kgPerTray; break;
+      default: weightKg = 0;
+    }
+
+    return {
+      weightKg: weightKg,
+      meals: item.unit === 'meals' ? quantity : weightKg / factor.kgPerMeal,
+      co2eKg: weightKg * factor.co2eKgPerKg
+    };
+  }
+
+  /**
+   * Impact of one donation
+   * @param {Object[]} items - Line items
+   * @param {Object} [options]
+   * @param {Object} [options.factors] - Override IMPACT_FACTORS
+   * @returns {Object} - { meals, weightKg, weightLbs, co2eKg, byFoodType: { [type]: { meals, weightKg, co2eKg } } }
+   */
+  function calculate(items, options = {}) {
+    const factors = options.factors || IMPACT_FACTORS;
+    const totals = { meals: 0, weightKg: 0, co2eKg: 0 };
+    const byFoodType = {};
+
+    (items || []).forEach(item => {
+      const result = itemImpact(item, factors);
+      const type = factors[item.foodType] ? item.foodType : 'other';
+      byFoodType[type] = byFoodType[type] || { meals: 0, weightKg: 0, co2eKg: 0 };
+
+      ['meals', 'weightKg', 'co2eKg'].forEach(key => {
+        totals[key] += result[key];
+        byFoodType[type][key] += result[key];
+      });
+    });
+
+    Object.keys(byFoodType).forEach(type => {
+      byFoodType[type] = {
+        meals: Math.round(byFoodType[type].meals),
+        weightKg: round(byFoodType[type].weightKg),
+        co2eKg: round(byFoodType[type].co2eKg)
+      };
+    });
+
+    return {
+      meals: Math.round(totals.meals),
+      weightKg: round(totals.weightKg),
+      weightLbs: round(totals.weightKg / KG_PER_LB),
+      co2eKg: round(totals.co2eKg),
+      byFoodType: byFoodType
+    };
+  }
+
+  /**
+   * Totals across donations
+   * @param {Object[]} donations - Objects with an `items` array
+   * @param {Object} [options] - As for calculate
+   * @returns {Object} - { donations, meals, weightKg, weightLbs, co2eKg }
+   */
+  function aggregate(donations, options = {}) {
+    const totals = { donations: 0, meals: 0, weightKg: 0, weightLbs: 0, co2eKg: 0 };
+
+    (donations || []).forEach(donation => {
+      const result = calculate(donation.items, options);
+      totals.donations++;
+      totals.meals += result.meals;
+      totals.weightKg += result.weightKg;
+      totals.weightLbs += result.weightLbs;
+      totals.co2eKg += result.co2eKg;
+    });
+
+    totals.weightKg = round(totals.weightKg);
+    totals.weightLbs = round(totals.weightLbs);
+    totals.co2eKg = round(totals.co2eKg);
+    return totals;
+  }
+
+  /**
+   * Donor-facing summary
+   * @param {Object} result - From calculate()
+   * @returns {string} - e.g. 'This pickup saves ~40 meals and 45 kg CO2e'
+   */
+  function describe(result) {
+    const meals = result.meals === 1 ? '1 meal' : `${result.meals.toLocaleString()} meals`;
+    const co2e = result.co2eKg >= 10 ? Math.round(result.co2eKg).toLocaleString() : result.co2eKg;
+    return `This pickup saves ~${meals} and ${co2e} kg CO₂e`;
+  }
+
+  const impact = {
+    IMPACT_FACTORS: IMPACT_FACTORS,
+    KG_PER_LB: KG_PER_LB,
+    itemImpact: itemImpact,
+    calculate: calculate,
+    aggregate: aggregate,
+    describe: describe
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = impact;
+  } else {
+    global.impact = impact;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
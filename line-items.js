@@ -0,0 +1,221 @@
+/**
+ * Line Item Editor
+ * Repeatable rows (food type, quantity, unit, allergen/storage flags)
+ * for donations made up of several kinds of food
+ */
+
+(function() {
+  'use strict';
+
+  const UNITS = ['meals', 'lbs', 'kg', 'trays'];
+  const MAX_ITEMS = 20;
+
+  /**
+   * Attach the editor to a list element
+   * @param {Object} options
+   * @param {HTMLElement} options.list - Container the rows are rendered into
+   * @param {HTMLTemplateElement} options.template - Markup for one row
+   * @param {HTMLElement} [options.addButton] - "Add item" button
+   * @param {Function} [options.onChange] - Called with (action, rowCount) on add/remove
+   * @returns {Object} - Controller with getItems/setItems/reset/isBlank
+   */
+  function attach(options) {
+    const list = options.list;
+    const template = options.template;
+    const addButton = options.addButton;
+    let nextIndex = 0;
+
+    function rows() {
+      return Array.from(list.querySelectorAll('.line-item'));
+    }
+
+    /**
+     * Give a row's fields unique ids/names and wire labels + error ids
+     * @param {HTMLElement} row
+     * @param {number} index - Stable row index (not reused after removal)
+     */
+    function wireRow(row, index) {
+      row.querySelectorAll('[data-item-field]').forEach(field => {
+        const key = field.getAttribute('data-item-field');
+        const slug = key.replace(/([A-Z])/g, '-$1').toLowerCase();
+        const id = field.type === 'checkbox'
+          ? `item-${index}-${slug}-${field.value}`
+          : `item-${index}-${slug}`;
+
+        field.id = id;
+        field.name = `items[${index}][${key}]`;
+
+        const label = row.querySelector(`[data-label-for="${key}"]`);
+        if (label && field.type !== 'checkbox') label.setAttribute('for', id);
+
+        const error = row.querySelector(`[data-error-for="${key}"]`);
+        if (error) {
+          error.id = `${id}-error`;
+          field.setAttribute('aria-describedby', error.id);
+        }
+      });
+    }
+
+    /**
+     * Renumber visible row headings ("Item 1", "Item 2", ...)
+     * and disable removal when only one row is left
+     */
+    function refresh() {
+      const all = rows();
+      all.forEach((row, i) => {
+        const heading = row.querySelector('[data-item-number]');
+        if (heading) heading.textContent = i + 1;
+
+        const remove = row.querySelector('[data-line-item-action="remove"]');
+        if (remove) {
+          remove.disabled = all.length === 1;
+          remove.setAttribute('aria-label', `Remove item ${i + 1}`);
+        }
+      });
+
+      if (addButton) addButton.disabled = all.length >= MAX_ITEMS;
+    }
+
+    /**
+     * Append a row
+     * @param {Object} [values] - Initial values for the row
+     * @returns {HTMLElement} - The new row
+     */
+    function addRow(values) {
+      const row = template.content.firstElementChild.cloneNode(true);
+      wireRow(row, nextIndex++);
+      list.appendChild(row);
+      if (values) setRowValues(row, values);
+      refresh();
+      return row;
+    }
+
+    /**
+     * Remove a row (always keeps at least one)
+     * @param {HTMLElement} row
+     */
+    function removeRow(row) {
+      if (rows().length <= 1) return;
+      row.remove();
+      refresh();
+    }
+
+    /**
+     * Read one row
+     * @param {HTMLElement} row
+     * @returns {Object} - { foodType, quantity, unit, storage, allergens }
+     */
+    function getRowValues(row) {
+      const item = { allergens: [] };
+
+      row.querySelectorAll('[data-item-field]').forEach(field => {
+        const key = field.getAttribute('data-item-field');
+        if (field.type === 'checkbox') {
+          if (field.checked) item[key].push(field.value);
+        } else if (key === 'quantity') {
+          item[key] = field.value === '' ? null : parseFloat(field.value);
+        } else {
+          item[key] = field.value;
+        }
+      });
+
+      return item;
+    }
+
+    /**
+     * Write one row
+     * @param {HTMLElement} row
+     * @param {Object} values
+     */
+    function setRowValues(row, values) {
+      row.querySelectorAll('[data-item-field]').forEach(field => {
+        const key = field.getAttribute('data-item-field');
+        if (!(key in values)) return;
+
+        if (field.type === 'checkbox') {
+          field.checked = (values[key] || []).includes(field.value);
+        } else {
+          field.value = values[key] === null ? '' : values[key];
+        }
+      });
+    }
+
+    /**
+     * All rows as payload items
+     * @returns {Object[]}
+     */
+    function getItems() {
+      return rows().map(getRowValues);
+    }
+
+    /**
+     * Replace all rows
+     * @param {Object[]} items
+     */
+    function setItems(items) {
+      list.innerHTML = '';
+      (items && items.length ? items : [null]).forEach(item => addRow(item || undefined));
+    }
+
+    /**
+     * Back to a single empty row
+     */
+    function reset() {
+      setItems([]);
+    }
+
+    /**
+     * Whether the user hasn't entered anything yet
+     * @returns {boolean}
+     */
+    function isBlank() {
+      return getItems().every(item =>
+        !item.foodType && item.quantity === null && !item.storage && item.allergens.length === 0
+      );
+    }
+
+    // Add/remove actions
+    if (addButton) {
+      addButton.addEventListener('click', () => {
+        const row = addRow();
+        const firstField = row.querySelector('[data-item-field]');
+        if (firstField) firstField.focus();
+        if (options.onChange) options.onChange('add', rows().length);
+      });
+    }
+
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-line-item-action="remove"]');
+      if (!button) return;
+
+      const row = button.closest('.line-item');
+      const index = rows().indexOf(row);
+      removeRow(row);
+
+      // Move focus to a sensible neighbour
+      const remaining = rows();
+      const neighbour = remaining[Math.min(index, remaining.length - 1)];
+      const focusTarget = neighbour && neighbour.querySelector('[data-item-field]');
+      if (focusTarget) focusTarget.focus();
+
+      if (options.onChange) options.onChange('remove', remaining.length);
+    });
+
+    addRow();
+
+    return {
+      getItems: getItems,
+      setItems: setItems,
+      reset: reset,
+      isBlank: isBlank,
+      owns: (field) => list.contains(field)
+    };
+  }
+
+  // Export for use in other scripts
+  window.lineItems = {
+    UNITS: UNITS,
+    attach: attach
+  };
+
+})();
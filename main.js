@@ -30,8 +30,8 @@
       }
     });
     
-    // Close menu when clicking nav links
-    navMenu.querySelectorAll('.nav-link').forEach(link => {
+    // Close menu when clicking nav links (or opening accessibility settings)
+    navMenu.querySelectorAll('.nav-link, .a11y-toggle-btn').forEach(link => {
       link.addEventListener('click', () => {
         mobileMenuToggle.setAttribute('aria-expanded', 'false');
         navMenu.classList.remove('open');
@@ -109,85 +109,118 @@
     }
   }
   
-  // ========== SMOOTH SCROLL FOR ANCHOR LINKS ==========
-  document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function(e) {
-      const href = this.getAttribute('href');
-      if (href === '#' || href === '#!') return;
-      
-      const target = document.querySelector(href);
-      if (target) {
-        e.preventDefault();
-        
-        // Close mobile menu if open
-        if (navMenu && navMenu.classList.contains('open')) {
-          mobileMenuToggle.setAttribute('aria-expanded', 'false');
-          navMenu.classList.remove('open');
-          body.style.overflow = '';
-          releaseFocus();
-        }
-        
-        const headerOffset = 80;
-        const elementPosition = target.getBoundingClientRect().top;
-        const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-        
-        const motionEnabled = window.motionUtils && window.motionUtils.isMotionEnabled();
-        
-        window.scrollTo({
-          top: offsetPosition,
-          behavior: motionEnabled ? 'smooth' : 'auto'
-        });
-        
-        // Set focus to target for keyboard users
-        target.setAttribute('tabindex', '-1');
-        target.focus({ preventScroll: true });
-        
-        // Remove tabindex after focus (so it doesn't stay in tab order)
-        target.addEventListener('blur', function() {
-          target.removeAttribute('tabindex');
-        }, { once: true });
-      }
+  // ========== STAT COUNTER ANIMATION ==========
+  // Values come from /api/stats (see stats-feed.js); keys match data-stat
+  const statValues = document.querySelectorAll('.stat-value[data-stat]');
+  const counterTimers = new Map();
+  let statsVisible = false;
+  let latestStats = null;
+  
+  /**
+   * Decimal places a stat is reported with (e.g. 12.5 tons CO₂ -> 1), at most 2
+   * @param {number} value
+   * @returns {number}
+   */
+  function decimalsOf(value) {
+    const fraction = String(value).split('.')[1];
+    return fraction ? Math.min(fraction.length, 2) : 0;
+  }
+  
+  function formatStat(value, decimals) {
+    return value.toLocaleString(undefined, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
     });
-  });
+  }
   
-  // ========== STAT COUNTER ANIMATION ==========
-  const statValues = document.querySelectorAll('.stat-value[data-count]');
-  let hasCounted = false;
-  
-  function animateCounter(element) {
-    const target = parseInt(element.getAttribute('data-count'), 10);
-    const duration = 2000; // 2 seconds
-    const start = 0;
-    const increment = target / (duration / 16); // 60fps
-    let current = start;
-    
+  /**
+   * Animate a counter from its current value to a new one
+   * @param {HTMLElement} element - .stat-value
+   * @param {number} target - New value
+   */
+  function animateCounter(element, target) {
+    const from = parseFloat(element.dataset.value) || 0;
     const motionScale = window.motionUtils ? window.motionUtils.getMotionScale() : 1;
+    const countersEnabled = !window.motionUtils || window.motionUtils.isCategoryEnabled('counters');
+    const duration = 2000 * motionScale; // 2 seconds at full motion, shorter when reduced
+    const increment = (target - from) / (duration / 16); // 60fps
+    const decimals = decimalsOf(target);
+    let current = from;
     
-    // If motion is disabled, show final value immediately
-    if (motionScale === 0) {
-      element.textContent = target.toLocaleString();
+    clearInterval(counterTimers.get(element));
+    element.dataset.value = target;
+    
+    // If counters are off (or nothing changed), show final value immediately
+    if (motionScale === 0 || !countersEnabled || increment === 0) {
+      element.textContent = formatStat(target, decimals);
       return;
     }
     
     const timer = setInterval(() => {
       current += increment;
-      if (current >= target) {
+      if ((increment > 0 && current >= target) || (increment < 0 && current <= target)) {
         current = target;
         clearInterval(timer);
       }
-      element.textContent = Math.floor(current).toLocaleString();
+      element.textContent = formatStat(current, decimals);
     }, 16);
+    counterTimers.set(element, timer);
+  }
+  
+  /**
+   * Jump running counters to their final values
+   */
+  function finishCounters() {
+    counterTimers.forEach((timer, element) => {
+      clearInterval(timer);
+      const value = parseFloat(element.dataset.value) || 0;
+      element.textContent = formatStat(value, decimalsOf(value));
+    });
+    counterTimers.clear();
+  }
+  
+  /**
+   * Published figures from the markup (data-count), for when live stats can't load
+   * @returns {Object} - { [data-stat key]: number }
+   */
+  function fallbackStats() {
+    const stats = {};
+    statValues.forEach(stat => {
+      const value = parseFloat(stat.dataset.count);
+      if (!isNaN(value)) stats[stat.dataset.stat] = value;
+    });
+    return stats;
+  }
+  
+  /**
+   * Update counters with the latest stats (once the section has been seen)
+   * @param {Object} stats - { [data-stat key]: number }
+   */
+  function renderStats(stats) {
+    latestStats = stats;
+    if (!statsVisible) return;
+    
+    statValues.forEach(stat => {
+      const value = stats[stat.dataset.stat];
+      if (typeof value === 'number') {
+        animateCounter(stat, value);
+      }
+    });
   }
   
-  // Intersection Observer for stat counters
-  if (statValues.length > 0) {
+  if (statValues.length > 0 && window.statsFeed) {
+    window.statsFeed.watch(renderStats, () => {
+      // Nothing loaded or cached yet: show the published figures meanwhile
+      if (!latestStats) renderStats(fallbackStats());
+    });
+    
+    // Intersection Observer: count up the first time the section is visible
     const statsObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
-        if (entry.isIntersecting && !hasCounted) {
-          hasCounted = true;
-          statValues.forEach(stat => {
-            animateCounter(stat);
-          });
+        if (entry.isIntersecting && !statsVisible) {
+          statsVisible = true;
+          statsObserver.disconnect();
+          if (latestStats) renderStats(latestStats);
         }
       });
     }, {
@@ -203,8 +236,10 @@
   // ========== FADE-IN ANIMATION ON SCROLL ==========
   const fadeElements = document.querySelectorAll('.step-card, .stat-card');
   
+  let fadeObserver = null;
+  
   if (fadeElements.length > 0 && 'IntersectionObserver' in window) {
-    const fadeObserver = new IntersectionObserver((entries) => {
+    fadeObserver = new IntersectionObserver((entries) => {
       entries.forEach((entry, index) => {
         if (entry.isIntersecting) {
           // Stagger animation
@@ -219,12 +254,44 @@
       rootMargin: '0px 0px -50px 0px'
     });
     
-    fadeElements.forEach(el => fadeObserver.observe(el));
+    // Scroll reveals off: leave elements in place, unanimated
+    if (!window.motionUtils || window.motionUtils.isCategoryEnabled('reveals')) {
+      fadeElements.forEach(el => fadeObserver.observe(el));
+    }
   } else {
     // Fallback: show all elements immediately
     fadeElements.forEach(el => el.classList.add('fade-in'));
   }
   
+  /**
+   * Start or stop scroll reveals; turning them back on only
+   * affects cards that haven't scrolled into view yet
+   * @param {boolean} enabled
+   */
+  function watchReveals(enabled) {
+    if (!fadeObserver) return;
+    
+    fadeObserver.disconnect();
+    if (!enabled) return;
+    
+    fadeElements.forEach(el => {
+      if (!el.classList.contains('fade-in') && el.getBoundingClientRect().top > window.innerHeight) {
+        fadeObserver.observe(el);
+      }
+    });
+  }
+  
+  // ========== MOTION PREFERENCE CHANGES ==========
+  // Smooth scrolling checks motionUtils on every click; counters and reveals follow here
+  if (window.motionUtils) {
+    window.motionUtils.subscribe((state) => {
+      if (!state.categories.counters) {
+        finishCounters();
+      }
+      watchReveals(state.categories.reveals);
+    });
+  }
+  
   // ========== HEADER SHADOW ON SCROLL ==========
   const header = document.querySelector('.site-header');
   let lastScrollY = window.pageYOffset;
@@ -254,36 +321,19 @@
   updateHeader(); // Initial check
   
   // ========== CTA BUTTON ACTIONS ==========
+  // Open the form's view (see router.js) and focus its first field
   document.querySelectorAll('.btn[data-action]').forEach(button => {
     button.addEventListener('click', (e) => {
       const action = button.getAttribute('data-action');
+      if (action !== 'donate' && action !== 'volunteer') return;
       
-      if (action === 'donate') {
-        const donateSection = document.getElementById('donate');
-        if (donateSection) {
-          e.preventDefault();
-          
-          const headerOffset = 80;
-          const elementPosition = donateSection.getBoundingClientRect().top;
-          const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-          
-          const motionEnabled = window.motionUtils && window.motionUtils.isMotionEnabled();
-          
-          window.scrollTo({
-            top: offsetPosition,
-            behavior: motionEnabled ? 'smooth' : 'auto'
-          });
-          
-          // Focus first form field
-          const firstInput = donateSection.querySelector('input');
-          if (firstInput) {
-            setTimeout(() => firstInput.focus(), 500);
-          }
-        }
-      } else if (action === 'volunteer') {
-        // Replace with actual volunteer form/page
-        // For now, show alert (replace with modal or navigation)
-        alert('Volunteer registration coming soon! For now, please contact us directly at volunteer@foodrescue.org');
+      const section = document.getElementById(action);
+      if (section && window.appRouter) {
+        e.preventDefault();
+        window.appRouter.navigate('/' + action);
+        
+        const firstInput = section.querySelector('input');
+        if (firstInput) firstInput.focus();
       }
     });
   });
@@ -293,6 +343,7 @@
     button.addEventListener('click', function(e) {
       const ripple = this.querySelector('.btn-ripple');
       if (!ripple) return;
+      if (window.motionUtils && !window.motionUtils.isCategoryEnabled('ripples')) return;
       
       const rect = this.getBoundingClientRect();
       const size = Math.max(rect.width, rect.height);
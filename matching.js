@@ -0,0 +1,235 @@
+/**
+ * Donor-to-Rescuer Matching
+ * Ranks rescue organizations/volunteers for a donation by food type
+ * coverage, capacity, distance and availability. Pure and deterministic;
+ * runs in the browser or under Node with fixture rosters.
+ */
+
+(function(global) {
+  'use strict';
+
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const pickupWindow = isNode ? require('./pickup-window.js') : global.pickupWindow;
+  const geo = isNode ? require('./geo.js') : global.geo;
+  const impact = isNode ? require('./impact.js') : global.impact;
+
+  // Relative weight of each scoring factor (sums to 100)
+  const WEIGHTS = {
+    foodTypes: 30,
+    capacity: 20,
+    distance: 30,
+    availability: 20
+  };
+
+  const FOOD_TYPE_LABELS = {
+    prepared: 'prepared meals',
+    produce: 'fresh produce',
+    bakery: 'bakery items',
+    dairy: 'dairy',
+    other: 'other food'
+  };
+
+  const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+  /**
+   * Estimated total weight of a donation (conversion factors live in impact.js)
+   * @param {Object[]} items - [{ foodType, quantity, unit }]
+   * @returns {number} - Pounds
+   */
+  function estimateWeightLbs(items) {
+    return impact.calculate(items).weightLbs;
+  }
+
+  /**
+   * Local calendar date and weekday of an instant in a timezone
+   * @param {Date} date
+   * @param {string} timeZone
+   * @returns {Object} - { date: 'YYYY-MM-DD', weekday: 'MO' }
+   */
+  function localDay(date, timeZone) {
+    const offset = pickupWindow.getTimeZoneOffset(date, timeZone);
+    const local = new Date(date.getTime() + offset * 60000);
+    return {
+      date: local.toISOString().slice(0, 10),
+      weekday: WEEKDAYS[local.getUTCDay()]
+    };
+  }
+
+  /**
+   * Calendar date a number of days later
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {number} days
+   * @returns {string}
+   */
+  function addDays(date, days) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Minutes of a pickup window covered by a candidate's availability slots
+   * Checks the day before the window starts (slots running past midnight),
+   * its start day and the following day (overnight windows)
+   * @param {Date} start
+   * @param {Date} end
+   * @param {Object[]} availability - [{ days, from: 'HH:MM', until: 'HH:MM', timeZone }];
+   *   an `until` at or before `from` ends the next day (22:00-02:00)
+   * @returns {number}
+   */
+  function overlapMinutes(start, end, availability) {
+    let total = 0;
+
+    (availability || []).forEach(slot => {
+      const timeZone = slot.timeZone || 'UTC';
+      const overnight = slot.until <= slot.from;
+      [-1, 0, 1].forEach(offsetDays => {
+        const day = localDay(new Date(start.getTime() + offsetDays * 86400000), timeZone);
+        if (!slot.days.includes(day.weekday)) return;
+
+        const slotStart = pickupWindow.zonedToDate(`${day.date}T${slot.from}`, timeZone);
+        const endDate = overnight ? addDays(day.date, 1) : day.date;
+        const slotEnd = pickupWindow.zonedToDate(`${endDate}T${slot.until}`, timeZone);
+        const overlap = Math.min(end, slotEnd) - Math.max(start, slotStart);
+        if (overlap > 0) total += overlap / 60000;
+      });
+    });
+
+    return total;
+  }
+
+  function formatList(words) {
+    if (words.length <= 1) return words.join('');
+    return words.slice(0, -1).join(', ') + ' and ' + words[words.length - 1];
+  }
+
+  /**
+   * Score one candidate
+   * @param {Object} donation
+   * @param {Object} candidate
+   * @returns {Object} - { candidate, eligible, score, reasons, distanceKm }
+   */
+  function scoreCandidate(donation, candidate) {
+    const reasons = [];
+    let eligible = true;
+    let score = 0;
+
+    // Food types
+    const donatedTypes = Array.from(new Set((donation.items || []).map(item => item.foodType)));
+    const accepted = donatedTypes.filter(type => (candidate.acceptedFoodTypes || []).includes(type));
+    if (accepted.length === 0) {
+      eligible = false;
+      reasons.push('Does not accept these food types');
+    } else {
+      score += WEIGHTS.foodTypes * accepted.length / donatedTypes.length;
+      const labels = formatList(accepted.map(type => FOOD_TYPE_LABELS[type] || type));
+      reasons.push(accepted.length === donatedTypes.length
+        ? `Accepts ${labels}`
+        : `Accepts ${labels} only`);
+    }
+
+    // Capacity
+    const weight = estimateWeightLbs(donation.items);
+    if (candidate.capacityLbs) {
+      const fit = Math.min(candidate.capacityLbs / Math.max(weight, 1), 1);
+      score += WEIGHTS.capacity * fit;
+      reasons.push(fit >= 1
+        ? `Capacity ${candidate.capacityLbs} lbs covers ~${Math.round(weight)} lbs`
+        : `Can take ~${candidate.capacityLbs} of ~${Math.round(weight)} lbs`);
+    }
+
+    // Distance
+    let distanceKm = null;
+    if (donation.location && candidate.location) {
+      distanceKm = geo.haversineKm(donation.location, candidate.location);
+      const radius = candidate.serviceRadiusKm || Infinity;
+      if (distanceKm > radius) {
+        eligible = false;
+        reasons.push(`${distanceKm.toFixed(1)} km away, outside ${radius} km service area`);
+      } else {
+        score += WEIGHTS.distance * (1 - distanceKm / Math.max(radius, distanceKm, 1));
+        reasons.push(`${distanceKm.toFixed(1)} km away`);
+      }
+    } else {
+      score += WEIGHTS.distance / 2; // Unknown distance: neutral
+    }
+
+    // Availability
+    const pickup = donation.pickupWindow;
+    if (pickup && pickup.start && pickup.end && candidate.availability) {
+      const start = new Date(pickup.start);
+      const end = new Date(pickup.end);
+      const windowMinutes = Math.max((end - start) / 60000, 1);
+      const covered = Math.min(overlapMinutes(start, end, candidate.availability), windowMinutes);
+
+      if (covered === 0) {
+        eligible = false;
+        reasons.push('Not available during the pickup window');
+      } else {
+        score += WEIGHTS.availability * covered / windowMinutes;
+        reasons.push(covered >= windowMinutes
+          ? 'Available for the whole pickup window'
+          : `Available for ${Math.round(covered)} of ${Math.round(windowMinutes)} minutes`);
+      }
+    }
+
+    return {
+      candidate: candidate,
+      eligible: eligible,
+      score: Math.round(score * 10) / 10,
+      reasons: reasons,
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10
+    };
+  }
+
+  /**
+   * Rank a roster for a donation
+   * @param {Object} donation - { items, pickupWindow: { start, end }, location: { lat, lng } }
+   * @param {Object[]} roster - Organizations/volunteers: { id, name, acceptedFoodTypes,
+   *   capacityLbs, location, serviceRadiusKm, availability }
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Max results
+   * @param {boolean} [options.includeIneligible=false]
+   * @returns {Object[]} - Highest score first; ties broken by id
+   */
+  function rankCandidates(donation, roster, options = {}) {
+    const results = (roster || [])
+      .map(candidate => scoreCandidate(donation, candidate))
+      .filter(result => options.includeIneligible || result.eligible)
+      .sort((a, b) => {
+        if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+        if (b.score !== a.score) return b.score - a.score;
+        return String(a.candidate.id).localeCompare(String(b.candidate.id));
+      });
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  /**
+   * One-line summary of a match for display
+   * @param {Object} match - Result from rankCandidates
+   * @returns {string} - e.g. 'City Harvest Pantry — 1 km away, accepts prepared meals'
+   */
+  function summarize(match) {
+    if (!match) return '';
+    const details = [];
+    if (match.distanceKm !== null && match.distanceKm !== undefined) details.push(`${match.distanceKm} km away`);
+    if (match.reasons[0]) details.push(match.reasons[0].charAt(0).toLowerCase() + match.reasons[0].slice(1));
+    return details.length ? `${match.candidate.name} — ${details.join(', ')}` : match.candidate.name;
+  }
+
+  const matching = {
+    WEIGHTS: WEIGHTS,
+    estimateWeightLbs: estimateWeightLbs,
+    scoreCandidate: scoreCandidate,
+    rankCandidates: rankCandidates,
+    summarize: summarize
+  };
+
+  if (isNode) {
+    module.exports = matching;
+  } else {
+    global.matching = matching;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
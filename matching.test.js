@@ -0,0 +1,139 @@
+/**
+ * Matching tests against the fixture roster (Node, no dependencies)
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const matching = require('./matching.js');
+const { RESCUERS } = require('./mock-data.js');
+
+// Fixture addresses (mock-data.js ADDRESSES)
+const CITY_HALL = { lat: 37.7793, lng: -122.4193 };
+const STANYAN = { lat: 37.7710, lng: -122.4545 };
+const OAKLAND = { lat: 37.8053, lng: -122.2723 };
+
+// 2026-10-20 is a Tuesday, 2026-10-21 a Wednesday (Pacific daylight time)
+function donation(foodType, lbs, location, start, end) {
+  return {
+    items: [{ foodType: foodType, quantity: lbs, unit: 'lbs' }],
+    location: location,
+    pickupWindow: { start: start, end: end }
+  };
+}
+
+function ids(results) {
+  return results.map(result => result.candidate.id);
+}
+
+function find(results, id) {
+  return results.find(result => result.candidate.id === id);
+}
+
+test('ranks eligible rescuers by score', () => {
+  const prepared = donation('prepared', 20, CITY_HALL, '2026-10-21T18:00:00-07:00', '2026-10-21T19:00:00-07:00');
+  const results = matching.rankCandidates(prepared, RESCUERS);
+
+  assert.deepStrictEqual(ids(results), ['ORG-CITYHARVEST', 'ORG-MISSIONMEALS', 'ORG-BAYSHELTER']);
+  assert.ok(results[0].score > results[1].score && results[1].score > results[2].score);
+  assert.deepStrictEqual(results[0].reasons, [
+    'Accepts prepared meals',
+    'Capacity 400 lbs covers ~20 lbs',
+    '0.0 km away',
+    'Available for the whole pickup window'
+  ]);
+});
+
+test('ineligible rescuers are dropped unless asked for, and rank last', () => {
+  const prepared = donation('prepared', 20, CITY_HALL, '2026-10-21T18:00:00-07:00', '2026-10-21T19:00:00-07:00');
+  const results = matching.rankCandidates(prepared, RESCUERS, { includeIneligible: true });
+
+  assert.deepStrictEqual(ids(results.slice(3)), ['VOL-DRIVER-ANA', 'VOL-DRIVER-SAM']);
+  assert.ok(results.slice(3).every(result => !result.eligible));
+  assert.ok(find(results, 'VOL-DRIVER-SAM').reasons.includes('Does not accept these food types'));
+});
+
+test('a rescuer who is not available during the window is ineligible', () => {
+  // Ana drives Tuesdays, Thursdays and Saturdays
+  const wednesday = donation('produce', 20, STANYAN, '2026-10-21T12:00:00-07:00', '2026-10-21T13:00:00-07:00');
+  const tuesday = donation('produce', 20, STANYAN, '2026-10-20T12:00:00-07:00', '2026-10-20T13:00:00-07:00');
+  const ana = RESCUERS.find(rescuer => rescuer.id === 'VOL-DRIVER-ANA');
+
+  const unavailable = matching.scoreCandidate(wednesday, ana);
+  assert.strictEqual(unavailable.eligible, false);
+  assert.ok(unavailable.reasons.includes('Not available during the pickup window'));
+
+  assert.strictEqual(matching.scoreCandidate(tuesday, ana).eligible, true);
+});
+
+test('partial availability counts the covered minutes', () => {
+  // Sam is available until 12:00
+  const lateMorning = donation('produce', 20, OAKLAND, '2026-10-20T11:30:00-07:00', '2026-10-20T12:30:00-07:00');
+  const sam = RESCUERS.find(rescuer => rescuer.id === 'VOL-DRIVER-SAM');
+  const result = matching.scoreCandidate(lateMorning, sam);
+
+  assert.strictEqual(result.eligible, true);
+  assert.ok(result.reasons.includes('Available for 30 of 60 minutes'));
+});
+
+test('a rescuer outside their service radius is ineligible', () => {
+  const oakland = donation('produce', 20, OAKLAND, '2026-10-20T09:00:00-07:00', '2026-10-20T10:00:00-07:00');
+  const results = matching.rankCandidates(oakland, RESCUERS, { includeIneligible: true });
+
+  assert.deepStrictEqual(ids(results.filter(result => result.eligible)), ['VOL-DRIVER-SAM']);
+
+  const cityHarvest = find(results, 'ORG-CITYHARVEST');
+  assert.strictEqual(cityHarvest.eligible, false);
+  assert.ok(cityHarvest.distanceKm > 12);
+  assert.ok(cityHarvest.reasons.some(reason => reason.endsWith('km away, outside 12 km service area')));
+});
+
+test('a rescuer without room for the whole donation ranks below one with room', () => {
+  // Ana is closer than Sam but can carry 80 of the 200 lbs
+  const large = donation('produce', 200, STANYAN, '2026-10-20T11:00:00-07:00', '2026-10-20T12:00:00-07:00');
+  const results = matching.rankCandidates(large, RESCUERS);
+
+  assert.deepStrictEqual(ids(results), ['ORG-CITYHARVEST', 'VOL-DRIVER-SAM', 'VOL-DRIVER-ANA']);
+
+  const ana = find(results, 'VOL-DRIVER-ANA');
+  const sam = find(results, 'VOL-DRIVER-SAM');
+  assert.ok(ana.distanceKm < sam.distanceKm);
+  assert.ok(ana.reasons.includes('Can take ~80 of ~200 lbs'));
+});
+
+test('equal scores are ordered by id, whatever the roster order', () => {
+  const prepared = donation('prepared', 20, CITY_HALL, '2026-10-21T18:00:00-07:00', '2026-10-21T19:00:00-07:00');
+  const cityHarvest = RESCUERS.find(rescuer => rescuer.id === 'ORG-CITYHARVEST');
+  const twin = Object.assign({}, cityHarvest, { id: 'ORG-A-TWIN', name: 'Twin Pantry' });
+  const roster = RESCUERS.concat(twin);
+
+  const forward = matching.rankCandidates(prepared, roster, { includeIneligible: true });
+  const reversed = matching.rankCandidates(prepared, roster.slice().reverse(), { includeIneligible: true });
+
+  assert.deepStrictEqual(ids(forward).slice(0, 2), ['ORG-A-TWIN', 'ORG-CITYHARVEST']);
+  assert.strictEqual(forward[0].score, forward[1].score);
+  assert.deepStrictEqual(ids(reversed), ids(forward));
+});
+
+test('limit keeps the best matches', () => {
+  const prepared = donation('prepared', 20, CITY_HALL, '2026-10-21T18:00:00-07:00', '2026-10-21T19:00:00-07:00');
+  assert.deepStrictEqual(ids(matching.rankCandidates(prepared, RESCUERS, { limit: 1 })), ['ORG-CITYHARVEST']);
+});
+
+test('overnight availability covers both sides of midnight', () => {
+  const nightDriver = {
+    id: 'VOL-NIGHT',
+    name: 'Night driver',
+    acceptedFoodTypes: ['produce'],
+    capacityLbs: 100,
+    availability: [{ days: ['MO'], from: '22:00', until: '02:00', timeZone: 'America/Los_Angeles' }]
+  };
+  const score = (start, end) => matching.scoreCandidate(donation('produce', 20, null, start, end), nightDriver);
+
+  assert.ok(score('2026-10-19T23:00:00-07:00', '2026-10-20T01:00:00-07:00').reasons
+    .includes('Available for the whole pickup window'));
+  assert.strictEqual(score('2026-10-20T01:00:00-07:00', '2026-10-20T02:00:00-07:00').eligible, true);
+  assert.strictEqual(score('2026-10-20T03:00:00-07:00', '2026-10-20T04:00:00-07:00').eligible, false);
+});
@@ -0,0 +1,891 @@
+/**
+ * Mock API (development stand-in)
+ * Answers /api/* requests from in-memory handlers so the site
+ * can be exercised end-to-end without a live backend
+ */
+
+(function(global) {
+  'use strict';
+
+  const CONFIG = {
+    latency: 800,      // Simulated network delay (ms)
+    failureRate: 0,    // 0..1 chance of a simulated 503 (exercises retries)
+    acceptDelay: 5000, // Top-ranked rescuer accepts a pending donation after this (ms)
+    reminderLeadMinutes: 60, // Pickup reminders go out this long before the window opens
+    acceptUnknownAddresses: false // Addresses missing from the fixtures geocode as unverified instead of 404
+  };
+
+  const routes = [];
+
+  /**
+   * Resolve a sibling module (require under Node, window global in the browser)
+   * Looked up per request so script order on the page doesn't matter
+   * @param {string} name - Global name, e.g. 'matching'
+   * @param {string} file - Module path, e.g. './matching.js'
+   */
+  function lib(name, file) {
+    return typeof module !== 'undefined' && module.exports ? require(file) : global[name];
+  }
+
+  /**
+   * Register a route handler
+   * Handlers receive { method, params, query, body, headers } and return
+   * json(status, body) (or a plain object, sent as 200 JSON)
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern, e.g. '/api/donations/:id'
+   * @param {Function} handler
+   */
+  function route(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+
+    routes.push({ method: method.toUpperCase(), regex, keys, handler });
+  }
+
+  /**
+   * JSON response helper
+   * @param {number} status
+   * @param {*} body
+   * @param {Object} [headers]
+   */
+  function json(status, body, headers) {
+    return { status, body, headers: headers || {} };
+  }
+
+  // Handlers may return json(...) or a plain body (which may itself have a `status` field)
+  function isResponse(result) {
+    return !!result && typeof result.status === 'number' && 'body' in result && 'headers' in result;
+  }
+
+  /**
+   * Dispatch a request to the matching route
+   * @param {Object} req
+   * @param {string} req.method
+   * @param {string} req.url - Path with optional query string
+   * @param {Object} [req.headers] - Lower-cased header names
+   * @param {*} [req.body] - Parsed JSON body
+   * @returns {Promise<Object|null>} - Response, or null if no route matches
+   */
+  async function handle(req) {
+    const [pathname, search] = req.url.split('?');
+    const method = (req.method || 'GET').toUpperCase();
+
+    for (const r of routes) {
+      const match = r.method === method && pathname.match(r.regex);
+      if (!match) continue;
+
+      if (CONFIG.failureRate > 0 && Math.random() < CONFIG.failureRate) {
+        return json(503, { message: 'Service temporarily unavailable' });
+      }
+
+      const params = {};
+      r.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(match[i + 1]);
+      });
+
+      const query = {};
+      new URLSearchParams(search || '').forEach((value, key) => {
+        query[key] = value;
+      });
+
+      try {
+        const result = await r.handler({
+          method,
+          params,
+          query,
+          body: req.body,
+          headers: req.headers || {}
+        });
+        return isResponse(result) ? result : json(200, result);
+      } catch (error) {
+        console.error('Mock API handler error:', error);
+        return json(500, { message: 'Internal server error' });
+      }
+    }
+
+    return null;
+  }
+
+  // ========== IN-MEMORY DATA ==========
+  const db = {
+    donations: new Map(),
+    volunteers: new Map(),
+    notificationPreferences: new Map(), // recipient id (email) -> preferences
+    pushSubscriptions: new Map(), // endpoint -> { subscription, donationIds }
+    pushOutbox: [],
+    idempotency: new Map() // Idempotency-Key -> response already sent
+  };
+
+  function generateId(prefix) {
+    return prefix + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+
+  // Donations survive page reloads in the browser (so "My donations" has data)
+  const STORAGE_KEY = 'mockApiDonations';
+
+  function loadDonations() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      (JSON.parse(localStorage.getItem(STORAGE_KEY)) || []).forEach(donation => {
+        db.donations.set(donation.id, donation);
+        if (donation.status === 'pending') scheduleAcceptance(donation.id);
+      });
+    } catch (e) {
+      console.warn('Unable to load mock donations:', e);
+    }
+  }
+
+  function saveDonations() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(db.donations.values())));
+    } catch (e) {
+      console.warn('Unable to save mock donations:', e);
+    }
+  }
+
+  // Donations can be edited or cancelled until they are picked up
+  const EDITABLE_STATUSES = ['pending', 'matched'];
+  const STATUSES = ['pending', 'matched', 'picked_up', 'cancelled'];
+
+  // ========== CHANGE NOTIFICATIONS ==========
+  const listeners = new Set();
+
+  /**
+   * Listen for donation changes (realtime stand-ins push these to clients)
+   * @param {Function} listener - Called with the donation as clients see it
+   * @returns {Function} - Unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function notify(donation) {
+    const view = donationView(donation);
+    listeners.forEach(listener => listener(view));
+  }
+
+  /**
+   * Simulate the top candidate accepting a pending donation
+   * @param {string} id
+   */
+  function scheduleAcceptance(id) {
+    const timer = setTimeout(() => {
+      const donation = db.donations.get(id);
+      if (!donation || donation.status !== 'pending' || !donation.candidates || !donation.candidates.length) return;
+
+      donation.status = 'matched';
+      donation.matchedRescuer = donation.candidates[0];
+      donation.matchedAt = new Date().toISOString();
+      saveDonations();
+      notify(donation);
+    }, CONFIG.acceptDelay);
+
+    // Don't keep headless Node scripts alive
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Rank rescuers so the donor can see who will likely pick up
+   * @param {Object} donation
+   * @returns {Object[]} - Top candidates
+   */
+  function matchDonation(donation) {
+    return lib('matching', './matching.js')
+      .rankCandidates(donation, lib('mockData', './mock-data.js').RESCUERS, { limit: 3 })
+      .map(match => ({
+        id: match.candidate.id,
+        name: match.candidate.name,
+        type: match.candidate.type,
+        score: match.score,
+        distanceKm: match.distanceKm,
+        reasons: match.reasons
+      }));
+  }
+
+  /**
+   * Donation as returned to clients (matched pickups become picked_up once
+   * the pickup window has closed)
+   * @param {Object} donation
+   * @returns {Object}
+   */
+  function donationView(donation) {
+    const view = Object.assign({}, donation);
+    const end = donation.pickupWindow && donation.pickupWindow.end;
+    if (view.status === 'matched' && end && new Date(end) < new Date() && !donation.pickupWindow.recurrence) {
+      view.status = 'picked_up';
+    }
+    return view;
+  }
+
+  function validateDonation(data) {
+    if (!data || typeof data !== 'object') {
+      return json(400, { message: 'Invalid form data' });
+    }
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      return json(400, { message: 'At least one food item is required' });
+    }
+    return null;
+  }
+
+  // ========== ROUTES ==========
+  route('POST', '/api/donations', (req) => {
+    const data = req.body;
+    const invalid = validateDonation(data);
+    if (invalid) return invalid;
+
+    // Replay the original response for a retried submission
+    const key = req.headers['idempotency-key'] || data.idempotencyKey;
+    if (key && db.idempotency.has(key)) {
+      return db.idempotency.get(key);
+    }
+
+    // Top candidates are notified; the first to accept becomes the matched rescuer
+    const id = generateId('DON');
+    const matches = matchDonation(data);
+    const donation = Object.assign({}, data, {
+      id: id,
+      status: 'pending',
+      candidates: matches,
+      matchedRescuer: null,
+      createdAt: new Date().toISOString()
+    });
+    db.donations.set(id, donation);
+    saveDonations();
+    notify(donation);
+    scheduleAcceptance(id);
+
+    const response = json(201, {
+      success: true,
+      id: id,
+      message: 'Donation received successfully',
+      matches: matches
+    });
+    if (key) db.idempotency.set(key, response);
+
+    return response;
+  });
+
+  route('GET', '/api/donations', (req) => {
+    const ids = (req.query.ids || '').split(',').filter(Boolean);
+    return {
+      donations: ids
+        .filter(id => db.donations.has(id))
+        .map(id => donationView(db.donations.get(id)))
+    };
+  });
+
+  route('GET', '/api/donations/:id', (req) => {
+    const donation = db.donations.get(req.params.id);
+    return donation ? donationView(donation) : json(404, { message: 'Donation not found' });
+  });
+
+  route('PATCH', '/api/donations/:id', (req) => {
+    const donation = db.donations.get(req.params.id);
+    if (!donation) return json(404, { message: 'Donation not found' });
+    if (!EDITABLE_STATUSES.includes(donationView(donation).status)) {
+      return json(422, { message: 'This donation can no longer be changed' });
+    }
+
+    const data = Object.assign({}, donation, req.body);
+    const invalid = validateDonation(data);
+    if (invalid) return invalid;
+
+    // Changes go back out to rescuers for re-acceptance
+    const matches = matchDonation(data);
+    const updated = Object.assign(data, {
+      id: donation.id,
+      status: 'pending',
+      candidates: matches,
+      matchedRescuer: null,
+      createdAt: donation.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    db.donations.set(donation.id, updated);
+    saveDonations();
+    notify(updated);
+    scheduleAcceptance(donation.id);
+
+    return { success: true, donation: donationView(updated), matches: matches };
+  });
+
+  route('POST', '/api/donations/:id/cancel', (req) => {
+    const donation = db.donations.get(req.params.id);
+    if (!donation) return json(404, { message: 'Donation not found' });
+    if (!EDITABLE_STATUSES.includes(donationView(donation).status)) {
+      return json(422, { message: 'This donation can no longer be cancelled' });
+    }
+
+    donation.status = 'cancelled';
+    donation.cancelledAt = new Date().toISOString();
+    saveDonations();
+    notify(donation);
+
+    return { success: true, donation: donationView(donation) };
+  });
+
+  // ========== CLAIM BOARD ==========
+  function findRescuer(id) {
+    return lib('mockData', './mock-data.js').RESCUERS.find(rescuer => rescuer.id === id) || null;
+  }
+
+  function rescuerSummary(rescuer) {
+    return { id: rescuer.id, name: rescuer.name, type: rescuer.type };
+  }
+
+  function isClaimedBy(donation, rescuer) {
+    return donation.status === 'matched' && !!donation.matchedRescuer && donation.matchedRescuer.id === rescuer.id;
+  }
+
+  // Open donations plus the ones this rescuer has claimed, nearest first
+  route('GET', '/api/board', (req) => {
+    const rescuer = findRescuer(req.query.rescuerId);
+    if (!rescuer) return json(400, { message: 'Please choose your organization' });
+
+    const geo = lib('geo', './geo.js');
+    const donations = Array.from(db.donations.values())
+      .map(donationView)
+      .filter(donation => donation.status === 'pending' || isClaimedBy(donation, rescuer))
+      .map(donation => Object.assign(donation, {
+        distanceKm: donation.location && rescuer.location
+          ? Math.round(geo.haversineKm(rescuer.location, donation.location) * 10) / 10
+          : null
+      }))
+      .sort((a, b) => (a.distanceKm === null) - (b.distanceKm === null) || a.distanceKm - b.distanceKm);
+
+    return { donations: donations };
+  });
+
+  /**
+   * Shared checks for claim/release/reassign
+   * @returns {Object} - { donation, rescuer } or { error }
+   */
+  function boardAction(req) {
+    const donation = db.donations.get(req.params.id);
+    if (!donation) return { error: json(404, { message: 'Donation not found' }) };
+
+    const rescuer = findRescuer(req.body && req.body.rescuerId);
+    if (!rescuer) return { error: json(400, { message: 'Please choose your organization' }) };
+
+    return { donation, rescuer };
+  }
+
+  // First claim wins; later claims get 409 with the current state
+  route('POST', '/api/donations/:id/claim', (req) => {
+    const { donation, rescuer, error } = boardAction(req);
+    if (error) return error;
+
+    const current = donationView(donation);
+    if (current.status !== 'pending') {
+      const claimedBy = current.matchedRescuer ? current.matchedRescuer.name : 'another organization';
+      return json(409, {
+        message: current.status === 'matched'
+          ? `Already claimed by ${claimedBy}`
+          : 'This donation is no longer available',
+        donation: current
+      });
+    }
+
+    donation.status = 'matched';
+    donation.matchedRescuer = rescuerSummary(rescuer);
+    donation.matchedAt = new Date().toISOString();
+    saveDonations();
+    notify(donation);
+
+    return { success: true, donation: donationView(donation) };
+  });
+
+  route('POST', '/api/donations/:id/release', (req) => {
+    const { donation, rescuer, error } = boardAction(req);
+    if (error) return error;
+
+    const current = donationView(donation);
+    if (!isClaimedBy(current, rescuer)) {
+      return json(409, { message: 'You no longer hold this claim', donation: current });
+    }
+
+    donation.status = 'pending';
+    donation.matchedRescuer = null;
+    // Don't suggest it straight back to the rescuer who let it go
+    donation.candidates = (donation.candidates || []).filter(candidate => candidate.id !== rescuer.id);
+    saveDonations();
+    notify(donation);
+
+    return { success: true, donation: donationView(donation) };
+  });
+
+  route('POST', '/api/donations/:id/reassign', (req) => {
+    const { donation, rescuer, error } = boardAction(req);
+    if (error) return error;
+
+    const target = findRescuer(req.body.toRescuerId);
+    if (!target || target.id === rescuer.id) {
+      return json(400, { message: 'Please choose another organization' });
+    }
+
+    const current = donationView(donation);
+    if (!isClaimedBy(current, rescuer)) {
+      return json(409, { message: 'You no longer hold this claim', donation: current });
+    }
+
+    donation.matchedRescuer = rescuerSummary(target);
+    donation.matchedAt = new Date().toISOString();
+    saveDonations();
+    notify(donation);
+
+    return { success: true, donation: donationView(donation) };
+  });
+
+  // Development only: force a status transition (e.g. to test realtime updates)
+  route('POST', '/api/donations/:id/status', (req) => {
+    const donation = db.donations.get(req.params.id);
+    if (!donation) return json(404, { message: 'Donation not found' });
+    if (!req.body || !STATUSES.includes(req.body.status)) {
+      return json(400, { message: 'Status must be one of: ' + STATUSES.join(', ') });
+    }
+
+    donation.status = req.body.status;
+    if (donation.status === 'matched' && !donation.matchedRescuer) {
+      donation.matchedRescuer = (donation.candidates || [])[0] || null;
+    }
+    saveDonations();
+    notify(donation);
+
+    return { success: true, donation: donationView(donation) };
+  });
+
+  route('GET', '/api/stats', () => {
+    const stats = Object.assign({}, lib('mockData', './mock-data.js').STATS);
+
+    // Add donations received by the stand-in (see impact.js)
+    const received = Array.from(db.donations.values()).filter(donation => donation.status !== 'cancelled');
+    const session = lib('impact', './impact.js').aggregate(received);
+    stats.mealsRescued += session.meals;
+    stats.co2SavedTons = Math.round((stats.co2SavedTons + session.co2eKg / 1000) * 10) / 10;
+    stats.updatedAt = new Date().toISOString();
+
+    return stats;
+  });
+
+  route('GET', '/api/rescuers', () => {
+    return { rescuers: lib('mockData', './mock-data.js').RESCUERS };
+  });
+
+  // ========== NOTIFICATIONS ==========
+  // Messages are recorded in an outbox rather than sent (see notifications.js)
+  const NOTIFICATIONS_KEY = 'mockApiNotifications';
+  let notifierInstance = null;
+  let outbox = null;
+  const lastNotifiedStatus = new Map();
+
+  function notifier() {
+    if (!notifierInstance) {
+      const notifications = lib('notifications', './notifications.js');
+      outbox = notifications.createOutbox();
+      notifierInstance = notifications.createNotifier({
+        providers: { email: outbox, sms: outbox, push: outbox, inApp: outbox },
+        getPreferences: (id) => db.notificationPreferences.get(id)
+      });
+      loadNotifications();
+
+      // Deliver reminders, quiet-hours holds and digests as they come due
+      const timer = setInterval(() => {
+        notifier().run().then(saveNotifications).catch(e => {
+          console.warn('Unable to deliver mock notifications:', e);
+        });
+      }, 30000);
+      if (timer.unref) timer.unref();
+    }
+    return notifierInstance;
+  }
+
+  function loadNotifications() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      const saved = JSON.parse(localStorage.getItem(NOTIFICATIONS_KEY)) || {};
+      Object.keys(saved.preferences || {}).forEach(id => db.notificationPreferences.set(id, saved.preferences[id]));
+      (saved.outbox || []).forEach(message => outbox.messages.push(message));
+    } catch (e) {
+      console.warn('Unable to load mock notifications:', e);
+    }
+  }
+
+  function saveNotifications() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(NOTIFICATIONS_KEY, JSON.stringify({
+        preferences: Object.fromEntries(db.notificationPreferences),
+        outbox: outbox.messages
+      }));
+    } catch (e) {
+      console.warn('Unable to save mock notifications:', e);
+    }
+  }
+
+  function recipientId(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Contact details for a recipient, from their latest donation with a phone number
+   * @param {string} id - From recipientId()
+   * @returns {Object} - { id, email, phone }
+   */
+  function findRecipient(id) {
+    const withPhone = Array.from(db.donations.values())
+      .filter(donation => recipientId(donation.email) === id && donation.phone);
+    const latest = withPhone[withPhone.length - 1];
+    return { id: id, email: id, phone: latest ? latest.phone : undefined };
+  }
+
+  /**
+   * Template values for a donation
+   * @param {Object} donation
+   * @returns {Object}
+   */
+  function notificationData(donation) {
+    const factors = lib('impact', './impact.js').IMPACT_FACTORS;
+    const win = donation.pickupWindow || {};
+
+    return {
+      id: donation.id,
+      contactName: donation.contactName || 'there',
+      businessName: donation.businessName,
+      items: (donation.items || []).map(item => {
+        const factor = factors[item.foodType];
+        return `${item.quantity} ${item.unit} of ${factor ? factor.label.toLowerCase() : item.foodType}`;
+      }).join(', '),
+      pickup: win.start
+        ? new Date(win.start).toLocaleString('en-US', {
+          timeZone: win.timeZone, weekday: 'short', hour: 'numeric', minute: '2-digit'
+        })
+        : 'to be scheduled',
+      rescuer: donation.matchedRescuer ? donation.matchedRescuer.name : 'A rescuer'
+    };
+  }
+
+  // Status changes -> donor notifications
+  subscribe((donation) => {
+    const previous = lastNotifiedStatus.get(donation.id);
+    lastNotifiedStatus.set(donation.id, donation.status);
+    if (previous === donation.status || !donation.email) return;
+
+    const recipient = {
+      id: recipientId(donation.email),
+      email: donation.email,
+      phone: donation.phone,
+      name: donation.contactName
+    };
+    const data = notificationData(donation);
+    const reminderKey = `reminder:${donation.id}`;
+    const sent = [];
+
+    if (donation.status === 'pending' && previous === undefined && !donation.updatedAt) {
+      sent.push(notifier().notify('donation_received', recipient, data));
+    } else if (donation.status === 'matched') {
+      sent.push(notifier().notify('donation_matched', recipient, data));
+
+      const start = donation.pickupWindow && new Date(donation.pickupWindow.start);
+      if (start && start > new Date()) {
+        notifier().schedule(reminderKey, new Date(start - CONFIG.reminderLeadMinutes * 60000), 'pickup_reminder', recipient, data);
+      }
+    } else if (donation.status === 'cancelled') {
+      notifier().unschedule(reminderKey);
+      sent.push(notifier().notify('donation_cancelled', recipient, data));
+    } else if (donation.status === 'pending') {
+      // Edited or released: the old rescuer's reminder no longer applies
+      notifier().unschedule(reminderKey);
+    }
+
+    Promise.all(sent).then(saveNotifications);
+  });
+
+  route('GET', '/api/notifications/preferences', (req) => {
+    const id = recipientId(req.query.recipient);
+    if (!id) return json(400, { message: 'Recipient email is required' });
+
+    notifier();
+    return {
+      recipient: id,
+      preferences: lib('notifications', './notifications.js').normalizePreferences(db.notificationPreferences.get(id))
+    };
+  });
+
+  route('PUT', '/api/notifications/preferences', (req) => {
+    const notifications = lib('notifications', './notifications.js');
+    const id = recipientId(req.body && req.body.recipient);
+    if (!id) return json(400, { message: 'Recipient email is required' });
+
+    const preferences = notifications.normalizePreferences(req.body.preferences);
+    const errors = notifications.validatePreferences(preferences, findRecipient(id));
+    if (Object.keys(errors).length > 0) {
+      return json(422, { message: 'Please check your notification settings', errors: errors });
+    }
+
+    notifier();
+    db.notificationPreferences.set(id, preferences);
+    saveNotifications();
+    return { success: true, recipient: id, preferences: preferences };
+  });
+
+  // In-app inbox, newest first
+  route('GET', '/api/notifications', async (req) => {
+    const id = recipientId(req.query.recipient);
+    if (!id) return json(400, { message: 'Recipient email is required' });
+
+    await notifier().run();
+    saveNotifications();
+    return { notifications: outbox.list({ channel: 'inApp', recipientId: id }).slice().reverse() };
+  });
+
+  // Development only: everything "sent" on any channel
+  route('GET', '/api/notifications/outbox', async () => {
+    await notifier().run();
+    saveNotifications();
+    return { messages: outbox.messages, pending: notifierInstance.pending() };
+  });
+
+  // ========== WEB PUSH (STAND-IN) ==========
+  // Real Web Push needs VAPID signing and payload encryption on the server.
+  // The stand-in records each push and, in the browser, hands it straight to
+  // the service worker, which shows it exactly like a delivered push.
+  const PUSH_MESSAGES = {
+    matched: (donation) => `${donation.matchedRescuer ? donation.matchedRescuer.name : 'A rescuer'} will pick it up.`,
+    picked_up: () => 'Picked up. Thank you for donating!',
+    cancelled: () => 'This donation was cancelled.',
+    pending: () => 'Looking for a new rescuer.'
+  };
+  const lastPushedStatus = new Map();
+
+  /**
+   * "Send" a push to one subscription
+   * @param {Object} subscription - PushSubscription JSON
+   * @param {Object} payload - { title, body, donationId, status, url }
+   */
+  function deliverPush(subscription, payload) {
+    db.pushOutbox.push({ endpoint: subscription.endpoint, payload: payload, sentAt: new Date().toISOString() });
+
+    const serviceWorker = global.navigator && global.navigator.serviceWorker;
+    if (serviceWorker) {
+      serviceWorker.ready.then(registration => {
+        if (registration.active) registration.active.postMessage({ type: 'push', payload: payload });
+      });
+    }
+  }
+
+  subscribe((donation) => {
+    const previous = lastPushedStatus.get(donation.id);
+    lastPushedStatus.set(donation.id, donation.status);
+    if (previous === undefined || previous === donation.status || !PUSH_MESSAGES[donation.status]) return;
+
+    const payload = {
+      title: `Donation ${donation.id}`,
+      body: PUSH_MESSAGES[donation.status](donation),
+      donationId: donation.id,
+      status: donation.status,
+      url: './#my-donations'
+    };
+    db.pushSubscriptions.forEach(entry => {
+      if (entry.donationIds.includes(donation.id)) deliverPush(entry.subscription, payload);
+    });
+  });
+
+  // Subscribe this device to a donation's status updates
+  route('POST', '/api/push/subscriptions', (req) => {
+    const subscription = req.body && req.body.subscription;
+    const donationId = req.body && req.body.donationId;
+    if (!subscription || !subscription.endpoint || !donationId) {
+      return json(400, { message: 'A push subscription and donation are required' });
+    }
+    if (!db.donations.has(donationId)) return json(404, { message: 'Donation not found' });
+
+    const entry = db.pushSubscriptions.get(subscription.endpoint) || { subscription, donationIds: [] };
+    entry.subscription = subscription;
+    if (!entry.donationIds.includes(donationId)) entry.donationIds.push(donationId);
+    db.pushSubscriptions.set(subscription.endpoint, entry);
+
+    // Pushes only go out for changes after this point
+    if (!lastPushedStatus.has(donationId)) lastPushedStatus.set(donationId, db.donations.get(donationId).status);
+
+    return json(201, { success: true, donationIds: entry.donationIds });
+  });
+
+  route('DELETE', '/api/push/subscriptions', (req) => {
+    const entry = db.pushSubscriptions.get(req.query.endpoint);
+    if (!entry) return json(204, null);
+
+    entry.donationIds = req.query.donationId
+      ? entry.donationIds.filter(id => id !== req.query.donationId)
+      : [];
+    if (entry.donationIds.length === 0) db.pushSubscriptions.delete(req.query.endpoint);
+
+    return json(204, null);
+  });
+
+  // Development only: pushes sent so far, or send one by hand
+  route('GET', '/api/push/outbox', () => {
+    return { pushes: db.pushOutbox };
+  });
+
+  route('POST', '/api/push/test', (req) => {
+    const payload = Object.assign({ title: 'Food Rescue', body: 'Test notification' }, req.body && req.body.payload);
+    db.pushSubscriptions.forEach(entry => deliverPush(entry.subscription, payload));
+    return { success: true, sent: db.pushSubscriptions.size };
+  });
+
+  function geocoder() {
+    return lib('geo', './geo.js').createFixtureGeocoder(lib('mockData', './mock-data.js').ADDRESSES, {
+      acceptUnknown: CONFIG.acceptUnknownAddresses
+    });
+  }
+
+  route('GET', '/api/geocode', async (req) => {
+    const place = await geocoder().geocode(req.query);
+    return place ? { place } : json(404, { message: 'Address not found' });
+  });
+
+  route('GET', '/api/geocode/reverse', async (req) => {
+    const place = await geocoder().reverse({
+      lat: parseFloat(req.query.lat),
+      lng: parseFloat(req.query.lng)
+    });
+    return place ? { place } : json(404, { message: 'No address found near this location' });
+  });
+
+  route('POST', '/api/volunteers', (req) => {
+    const data = req.body;
+    if (!data || !data.email || !data.availability || !data.vehicle) {
+      return json(400, { message: 'Invalid form data' });
+    }
+
+    const id = generateId('VOL');
+    db.volunteers.set(id, Object.assign({ id }, data));
+
+    return json(201, {
+      success: true,
+      id: id,
+      message: 'Volunteer registration received'
+    });
+  });
+
+  // ========== BROWSER FETCH INTERCEPTOR ==========
+
+  /**
+   * Replace window.fetch so /api/* requests are answered locally
+   * Unmatched requests fall through to the real network
+   */
+  let installed = false;
+
+  function install() {
+    const realFetch = global.fetch.bind(global);
+    installed = true;
+
+    global.fetch = async function(input, init = {}) {
+      const url = new URL(typeof input === 'string' ? input : input.url, global.location.href);
+
+      if (url.origin !== global.location.origin || !url.pathname.startsWith('/api/')) {
+        return realFetch(input, init);
+      }
+
+      const headers = {};
+      new Headers(init.headers || {}).forEach((value, key) => {
+        headers[key] = value;
+      });
+
+      let body;
+      if (init.body) {
+        try {
+          body = JSON.parse(init.body);
+        } catch (e) {
+          body = init.body;
+        }
+      }
+
+      // Simulate network delay (abortable, so client timeouts still work)
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, CONFIG.latency);
+        if (init.signal) {
+          init.signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+          }, { once: true });
+        }
+      });
+
+      const result = await handle({
+        method: init.method,
+        url: url.pathname + url.search,
+        headers,
+        body
+      });
+
+      if (!result) {
+        return realFetch(input, init);
+      }
+
+      const responseHeaders = Object.assign({ 'Content-Type': 'application/json' }, result.headers);
+      const responseBody = result.status === 204 ? null : JSON.stringify(result.body);
+      return new Response(responseBody, { status: result.status, headers: responseHeaders });
+    };
+  }
+
+  /**
+   * Whether the stand-in should intercept requests on this page
+   * On for file:// pages, <meta name="api-mock" content="on"> or ?mock=1
+   * @returns {boolean}
+   */
+  function shouldInstall() {
+    const params = new URLSearchParams(global.location.search);
+    if (params.get('mock') === '0') return false;
+    if (params.get('mock') === '1') return true;
+    if (global.location.protocol === 'file:') return true;
+
+    const meta = global.document.querySelector('meta[name="api-mock"]');
+    return !!meta && meta.getAttribute('content') === 'on';
+  }
+
+  /**
+   * Whether fetch is currently being answered by the stand-in
+   * (EventSource/WebSocket can't be intercepted; realtime.js polls instead)
+   * @returns {boolean}
+   */
+  function isInstalled() {
+    return installed;
+  }
+
+  loadDonations();
+
+  const mockAPI = {
+    config: CONFIG,
+    db: db,
+    route: route,
+    json: json,
+    handle: handle,
+    subscribe: subscribe,
+    install: install,
+    isInstalled: isInstalled
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node (local stand-in server, headless scripts)
+    module.exports = mockAPI;
+  } else {
+    global.mockAPI = mockAPI;
+
+    if (shouldInstall()) {
+      const failureRate = parseFloat(new URLSearchParams(global.location.search).get('mockFailureRate'));
+      if (failureRate >= 0) CONFIG.failureRate = failureRate;
+      if (new URLSearchParams(global.location.search).get('mockAnyAddress') === '1') {
+        CONFIG.acceptUnknownAddresses = true;
+      }
+
+      install();
+      console.log('Mock API installed: /api/* requests are answered locally');
+    }
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
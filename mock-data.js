@@ -0,0 +1,106 @@
+/**
+ * Mock Data (fixtures)
+ * Shared sample data for the mock API and headless scripts
+ */
+
+(function(global) {
+  'use strict';
+
+  // Rescue organizations and volunteers available for matching
+  const RESCUERS = [
+    {
+      id: 'ORG-CITYHARVEST',
+      name: 'City Harvest Pantry',
+      type: 'organization',
+      acceptedFoodTypes: ['prepared', 'produce', 'bakery', 'dairy', 'other'],
+      capacityLbs: 400,
+      location: { lat: 37.7793, lng: -122.4193 },
+      serviceRadiusKm: 12,
+      availability: [
+        { days: ['MO', 'TU', 'WE', 'TH', 'FR'], from: '08:00', until: '20:00', timeZone: 'America/Los_Angeles' }
+      ]
+    },
+    {
+      id: 'ORG-MISSIONMEALS',
+      name: 'Mission Community Meals',
+      type: 'organization',
+      acceptedFoodTypes: ['prepared', 'bakery'],
+      capacityLbs: 150,
+      location: { lat: 37.7599, lng: -122.4148 },
+      serviceRadiusKm: 6,
+      availability: [
+        { days: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'], from: '15:00', until: '23:00', timeZone: 'America/Los_Angeles' }
+      ]
+    },
+    {
+      id: 'ORG-BAYSHELTER',
+      name: 'Bayview Family Shelter',
+      type: 'organization',
+      acceptedFoodTypes: ['prepared', 'produce', 'dairy'],
+      capacityLbs: 250,
+      location: { lat: 37.7296, lng: -122.3925 },
+      serviceRadiusKm: 10,
+      availability: [
+        { days: ['SA', 'SU'], from: '09:00', until: '18:00', timeZone: 'America/Los_Angeles' },
+        { days: ['MO', 'WE', 'FR'], from: '17:00', until: '21:00', timeZone: 'America/Los_Angeles' }
+      ]
+    },
+    {
+      id: 'VOL-DRIVER-ANA',
+      name: 'Ana R. (volunteer driver)',
+      type: 'volunteer',
+      acceptedFoodTypes: ['prepared', 'produce', 'bakery', 'other'],
+      capacityLbs: 80,
+      location: { lat: 37.7694, lng: -122.4862 },
+      serviceRadiusKm: 8,
+      availability: [
+        { days: ['TU', 'TH', 'SA'], from: '11:00', until: '22:00', timeZone: 'America/Los_Angeles' }
+      ]
+    },
+    {
+      id: 'VOL-DRIVER-SAM',
+      name: 'Sam K. (volunteer driver)',
+      type: 'volunteer',
+      acceptedFoodTypes: ['produce', 'bakery', 'other'],
+      capacityLbs: 300,
+      location: { lat: 37.8044, lng: -122.2712 },
+      serviceRadiusKm: 25,
+      availability: [
+        { days: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'], from: '06:00', until: '12:00', timeZone: 'America/Los_Angeles' }
+      ]
+    }
+  ];
+
+  // Known addresses for the offline fixture geocoder (see geo.js)
+  const ADDRESSES = [
+    { address: { street: '1 Dr Carlton B Goodlett Pl', city: 'San Francisco', state: 'CA', postalCode: '94102' }, lat: 37.7793, lng: -122.4193 },
+    { address: { street: '2200 Mission St', city: 'San Francisco', state: 'CA', postalCode: '94110' }, lat: 37.7623, lng: -122.4192 },
+    { address: { street: '1 Ferry Building', city: 'San Francisco', state: 'CA', postalCode: '94111' }, lat: 37.7955, lng: -122.3937 },
+    { address: { street: '501 Stanyan St', city: 'San Francisco', state: 'CA', postalCode: '94117' }, lat: 37.7710, lng: -122.4545 },
+    { address: { street: '3rd St & Evans Ave', city: 'San Francisco', state: 'CA', postalCode: '94124' }, lat: 37.7424, lng: -122.3872 },
+    { address: { street: '1 Frank H Ogawa Plaza', city: 'Oakland', state: 'CA', postalCode: '94612' }, lat: 37.8053, lng: -122.2723 },
+    // Outside every service area (exercises the "not served yet" path)
+    { address: { street: '200 E Santa Clara St', city: 'San Jose', state: 'CA', postalCode: '95113' }, lat: 37.3375, lng: -121.8863 }
+  ];
+
+  // Impact totals before any donations made through the stand-in
+  const STATS = {
+    mealsRescued: 120000,
+    partnerBusinesses: 450,
+    rescueOrganizations: 85,
+    co2SavedTons: 200
+  };
+
+  const mockData = {
+    RESCUERS: RESCUERS,
+    STATS: STATS,
+    ADDRESSES: ADDRESSES
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = mockData;
+  } else {
+    global.mockData = mockData;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
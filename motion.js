@@ -1,52 +1,106 @@
 /**
  * Motion Control & Accessibility
  * Manages motion preferences and --motion-scale CSS variable
- * Respects prefers-reduced-motion and provides user toggle
+ * Respects prefers-reduced-motion and provides a settings popover
+ *
+ * Levels: full (1), reduced (fractional scale: subtle, shorter movement), none (0)
+ * Categories: background particles, scroll reveals, counters, button ripples,
+ * each switchable on its own (all off when the level is none)
+ *
+ * Changes (popover, setMotionLevel/setMotionEnabled, system preference) reach
+ * motionUtils.subscribe() listeners and a 'motion:change' event on document
+ *
+ * Saved with the other accessibility settings (see preferences.js); a null
+ * level there means "follow the system preference"
  */
 
 (function() {
   'use strict';
-  
-  const STORAGE_KEY = 'motionEnabled';
+
+  const store = window.a11yPreferences;
   const root = document.documentElement;
   const motionToggleBtn = document.querySelector('.motion-toggle-btn');
-  
+  const popover = document.getElementById('motion-popover');
+
+  // Scale applied to --motion-scale for each level
+  const LEVELS = {
+    full: 1,
+    reduced: 0.4,
+    none: 0
+  };
+
+  const LEVEL_LABELS = {
+    full: 'Full animations',
+    reduced: 'Reduced animations',
+    none: 'Animations off'
+  };
+
+  const CATEGORIES = ['particles', 'reveals', 'counters', 'ripples'];
+
   // Check system preference
   const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-  
-  // Get stored preference or use system preference
-  let motionEnabled = localStorage.getItem(STORAGE_KEY);
-  if (motionEnabled === null) {
-    // No stored preference, use system preference (invert because we want motion enabled by default)
-    motionEnabled = !prefersReducedMotion;
-  } else {
-    motionEnabled = motionEnabled === 'true';
-  }
-  
+
+  /**
+   * Level to use when the user hasn't chosen one
+   * @param {boolean} reduce - System prefers reduced motion
+   * @returns {string}
+   */
+  function systemLevel(reduce) {
+    return reduce ? 'none' : 'full';
+  }
+
+  function defaultCategories() {
+    const categories = {};
+    CATEGORIES.forEach(name => {
+      categories[name] = true;
+    });
+    return categories;
+  }
+
+  const stored = store.get().motion;
+  let hasUserPreference = stored.level !== null;
+  let motionLevel = stored.level || systemLevel(prefersReducedMotion);
+  let categories = Object.assign(defaultCategories(), stored.categories);
+
+  function writePreferences() {
+    store.set({
+      motion: { level: hasUserPreference ? motionLevel : null, categories: categories }
+    });
+  }
+
   /**
-   * Set motion scale CSS variable
-   * @param {boolean} enabled - Whether motion is enabled
+   * Apply the current level and categories to the page
    */
-  function setMotionScale(enabled) {
-    // Set CSS variable: 1 for full motion, 0 for no motion
-    root.style.setProperty('--motion-scale', enabled ? '1' : '0');
-    
+  function applyMotion() {
+    const scale = LEVELS[motionLevel];
+
+    // Set CSS variable: 1 for full motion, fractional for reduced, 0 for none
+    root.style.setProperty('--motion-scale', String(scale));
+    root.dataset.motionLevel = motionLevel;
+
+    // Per-category hooks for CSS (e.g. data-motion-ripples="off")
+    CATEGORIES.forEach(name => {
+      root.setAttribute('data-motion-' + name, isCategoryEnabled(name) ? 'on' : 'off');
+    });
+
     // Update button state
     if (motionToggleBtn) {
-      motionToggleBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
-      motionToggleBtn.title = enabled ? 'Disable animations' : 'Enable animations';
-      
+      motionToggleBtn.dataset.level = motionLevel;
+      motionToggleBtn.title = 'Motion settings: ' + LEVEL_LABELS[motionLevel].toLowerCase();
+
       // Update icon (optional visual feedback)
       const icon = motionToggleBtn.querySelector('.toggle-icon');
       if (icon) {
-        icon.textContent = enabled ? '🎬' : '⏸️';
+        icon.textContent = motionLevel === 'none' ? '⏸️' : '🎬';
       }
     }
-    
+
+    syncPopover();
+
     // Add class to body for additional CSS hooks
-    document.body.classList.toggle('motion-reduced', !enabled);
+    document.body.classList.toggle('motion-reduced', motionLevel !== 'full');
   }
-  
+
   /**
    * Announce to screen readers
    * @param {string} message - Message to announce
@@ -60,83 +114,282 @@
       }, 1000);
     }
   }
-  
+
+  function isCategoryEnabled(name) {
+    return motionLevel !== 'none' && categories[name] !== false;
+  }
+
+  // ========== CHANGE EVENTS ==========
+  const listeners = new Set();
+
+  /**
+   * Current preference as listeners see it
+   * @returns {Object} - { level, scale, enabled, categories: { [name]: boolean } }
+   */
+  function getMotionState() {
+    const state = {
+      level: motionLevel,
+      scale: LEVELS[motionLevel],
+      enabled: motionLevel !== 'none',
+      categories: {}
+    };
+    CATEGORIES.forEach(name => {
+      state.categories[name] = isCategoryEnabled(name);
+    });
+    return state;
+  }
+
+  /**
+   * Listen for motion preference changes
+   * Also dispatched as a 'motion:change' CustomEvent on document
+   * @param {Function} listener - Called with getMotionState()
+   * @returns {Function} - Unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Apply a change and tell listeners if the effective preference moved
+   * @param {Function} change - Mutates level/categories
+   */
+  function update(change) {
+    const before = JSON.stringify(getMotionState());
+    change();
+    applyMotion();
+
+    const state = getMotionState();
+    if (JSON.stringify(state) === before) return;
+
+    listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Motion listener error:', error);
+      }
+    });
+    document.dispatchEvent(new CustomEvent('motion:change', { detail: state }));
+  }
+
+  /**
+   * Change the motion level and remember it
+   * @param {string} level - full | reduced | none
+   */
+  function setMotionLevel(level) {
+    if (!LEVELS.hasOwnProperty(level)) {
+      throw new Error('Unknown motion level: ' + level);
+    }
+    update(() => {
+      motionLevel = level;
+      hasUserPreference = true;
+      writePreferences();
+    });
+  }
+
+  /**
+   * Switch one category of motion on or off and remember it
+   * @param {string} name - particles | reveals | counters | ripples
+   * @param {boolean} enabled
+   */
+  function setCategoryEnabled(name, enabled) {
+    if (CATEGORIES.indexOf(name) === -1) {
+      throw new Error('Unknown motion category: ' + name);
+    }
+    update(() => {
+      categories[name] = !!enabled;
+      writePreferences();
+    });
+  }
+
+  // ========== SETTINGS POPOVER ==========
+
+  function syncPopover() {
+    if (!popover) return;
+
+    popover.querySelectorAll('input[name="motionLevel"]').forEach(input => {
+      input.checked = input.value === motionLevel;
+    });
+    popover.querySelectorAll('input[name="motionCategory"]').forEach(input => {
+      input.checked = categories[input.value] !== false;
+    });
+
+    // Categories don't apply while everything is off
+    const categoryGroup = popover.querySelector('.motion-categories');
+    if (categoryGroup) {
+      categoryGroup.disabled = motionLevel === 'none';
+    }
+  }
+
+  function isPopoverOpen() {
+    return !!popover && !popover.hidden;
+  }
+
+  function openPopover() {
+    popover.hidden = false;
+    motionToggleBtn.setAttribute('aria-expanded', 'true');
+
+    const checked = popover.querySelector('input[name="motionLevel"]:checked');
+    if (checked) checked.focus();
+  }
+
+  /**
+   * Close the popover
+   * @param {boolean} returnFocus - Move focus back to the toggle button
+   */
+  function closePopover(returnFocus) {
+    popover.hidden = true;
+    motionToggleBtn.setAttribute('aria-expanded', 'false');
+    if (returnFocus) motionToggleBtn.focus();
+  }
+
   // Initialize motion scale
-  setMotionScale(motionEnabled);
-  
-  // Toggle button handler
-  if (motionToggleBtn) {
+  applyMotion();
+
+  if (motionToggleBtn && popover) {
     motionToggleBtn.addEventListener('click', () => {
-      motionEnabled = !motionEnabled;
-      localStorage.setItem(STORAGE_KEY, motionEnabled);
-      setMotionScale(motionEnabled);
-      
-      // Announce to screen readers
-      const announcement = motionEnabled ? 'Animations enabled' : 'Animations disabled';
-      announceToScreenReader(announcement);
+      if (isPopoverOpen()) {
+        closePopover(false);
+      } else {
+        openPopover();
+      }
+    });
+
+    popover.addEventListener('change', (e) => {
+      const input = e.target;
+
+      if (input.name === 'motionLevel') {
+        setMotionLevel(input.value);
+        announceToScreenReader(LEVEL_LABELS[motionLevel]);
+      } else if (input.name === 'motionCategory') {
+        setCategoryEnabled(input.value, input.checked);
+        const label = input.closest('label');
+        announceToScreenReader((label ? label.textContent.trim() : input.value) +
+          (input.checked ? ' on' : ' off'));
+      }
+    });
+
+    popover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        closePopover(true);
+      }
+    });
+
+    // Close on outside click or when focus leaves the settings
+    document.addEventListener('click', (e) => {
+      if (isPopoverOpen() && !popover.contains(e.target) && !motionToggleBtn.contains(e.target)) {
+        closePopover(false);
+      }
+    });
+
+    popover.addEventListener('focusout', (e) => {
+      if (e.relatedTarget && !popover.contains(e.relatedTarget) && e.relatedTarget !== motionToggleBtn) {
+        closePopover(false);
+      }
     });
   }
-  
+
   // Listen for system preference changes
   const motionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-  
+
+  function handleSystemChange(e) {
+    // Only update if user hasn't set manual preference
+    if (!hasUserPreference) {
+      update(() => {
+        motionLevel = systemLevel(e.matches);
+      });
+    }
+  }
+
+  // Changes saved elsewhere (the accessibility dialog, another reset)
+  store.subscribe((prefs) => {
+    update(() => {
+      hasUserPreference = prefs.motion.level !== null;
+      motionLevel = prefs.motion.level || systemLevel(motionMediaQuery.matches);
+      categories = Object.assign(defaultCategories(), prefs.motion.categories);
+    });
+  });
+
   // Modern browsers
   if (motionMediaQuery.addEventListener) {
-    motionMediaQuery.addEventListener('change', (e) => {
-      // Only update if user hasn't set manual preference
-      if (localStorage.getItem(STORAGE_KEY) === null) {
-        motionEnabled = !e.matches;
-        setMotionScale(motionEnabled);
-      }
-    });
-  } 
+    motionMediaQuery.addEventListener('change', handleSystemChange);
+  }
   // Older browsers
   else if (motionMediaQuery.addListener) {
-    motionMediaQuery.addListener((e) => {
-      if (localStorage.getItem(STORAGE_KEY) === null) {
-        motionEnabled = !e.matches;
-        setMotionScale(motionEnabled);
-      }
-    });
+    motionMediaQuery.addListener(handleSystemChange);
   }
-  
+
   // Export utilities for use in other scripts
   window.motionUtils = {
+    LEVELS: LEVELS,
+    CATEGORIES: CATEGORIES,
+
     /**
-     * Check if motion is currently enabled
+     * Check if motion is currently enabled (full or reduced)
      * @returns {boolean}
      */
     isMotionEnabled: function() {
-      return motionEnabled;
+      return motionLevel !== 'none';
     },
-    
+
     /**
      * Get current motion scale value
-     * @returns {number} 0 or 1
+     * @returns {number} 0 to 1 (fractional when reduced)
      */
     getMotionScale: function() {
       const value = getComputedStyle(root).getPropertyValue('--motion-scale').trim();
       return parseFloat(value) || 0;
     },
-    
+
+    /**
+     * Get current motion level
+     * @returns {string} full | reduced | none
+     */
+    getMotionLevel: function() {
+      return motionLevel;
+    },
+
+    setMotionLevel: setMotionLevel,
+
+    /**
+     * Check if a category of motion should run
+     * @param {string} name - particles | reveals | counters | ripples
+     * @returns {boolean}
+     */
+    isCategoryEnabled: isCategoryEnabled,
+
+    setCategoryEnabled: setCategoryEnabled,
+
     /**
      * Manually set motion enabled state
-     * @param {boolean} enabled
+     * @param {boolean} enabled - true for full motion, false for none
      */
     setMotionEnabled: function(enabled) {
-      motionEnabled = enabled;
-      localStorage.setItem(STORAGE_KEY, enabled);
-      setMotionScale(enabled);
+      setMotionLevel(enabled ? 'full' : 'none');
+    },
+
+    getMotionState: getMotionState,
+
+    subscribe: subscribe,
+
+    /**
+     * Stop listening for motion preference changes
+     * @param {Function} listener - As passed to subscribe()
+     */
+    unsubscribe: function(listener) {
+      listeners.delete(listener);
     }
   };
-  
+
   // Log initialization (development only - remove in production)
   if (console && console.log) {
     console.log('Motion initialized:', {
-      enabled: motionEnabled,
+      level: motionLevel,
+      categories: categories,
       systemPreference: prefersReducedMotion ? 'reduce' : 'no-preference',
       scale: window.motionUtils.getMotionScale()
     });
   }
-  
+
 })();
\ No newline at end of file
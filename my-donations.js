@@ -0,0 +1,163 @@
+/**
+ * My Donations (donor dashboard)
+ * Lists donations submitted from this device with status, pickup window
+ * and matched rescuer; edit or cancel before pickup
+ */
+
+(function() {
+  'use strict';
+
+  const list = document.getElementById('my-donations-list');
+  if (!list) return;
+
+  const template = document.getElementById('donation-card-template');
+  const emptyState = document.getElementById('my-donations-empty');
+  const errorMessage = document.getElementById('my-donations-error');
+  const errorText = document.getElementById('my-donations-error-text');
+  const liveRegion = document.getElementById('form-status');
+  let donations = [];
+
+  /**
+   * Announce to screen readers
+   * @param {string} message - Message to announce
+   */
+  function announceToScreenReader(message) {
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      setTimeout(() => {
+        liveRegion.textContent = '';
+      }, 3000);
+    }
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message to display
+   */
+  function showError(message) {
+    errorText.textContent = message || 'We couldn\'t load your donations. Please try again.';
+    errorMessage.hidden = false;
+    announceToScreenReader(errorText.textContent);
+  }
+
+  function describeItems(items) {
+    return (items || []).map(item => {
+      const factor = window.impact.IMPACT_FACTORS[item.foodType];
+      return `${factor ? factor.label : item.foodType}: ${item.quantity} ${item.unit}`;
+    }).join('; ');
+  }
+
+  function describePickup(win) {
+    if (!win || !win.start) return 'Not scheduled';
+
+    const options = { timeZone: win.timeZone, hour: 'numeric', minute: '2-digit' };
+    const start = new Date(win.start).toLocaleString([], Object.assign({
+      weekday: 'short', month: 'short', day: 'numeric'
+    }, options));
+    const end = new Date(win.end).toLocaleTimeString([], options);
+    const repeats = win.recurrence
+      ? ` (repeats ${win.recurrence.frequency} until ${win.recurrence.until})`
+      : '';
+    return `${start} – ${end}${repeats}`;
+  }
+
+  function describeRescuer(donation) {
+    if (donation.status === 'cancelled') return '—';
+    return donation.matchedRescuer ? donation.matchedRescuer.name : 'Finding a rescuer…';
+  }
+
+  /**
+   * Build one donation card from the template
+   * @param {Object} donation
+   * @returns {HTMLElement}
+   */
+  function renderCard(donation) {
+    const card = template.content.firstElementChild.cloneNode(true);
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+
+    card.dataset.donationId = donation.id;
+    field('id').textContent = donation.id;
+    field('status').textContent = window.donationsAPI.STATUS_LABELS[donation.status] || donation.status;
+    field('status').classList.add(`status-${donation.status.replace(/_/g, '-')}`);
+    field('items').textContent = describeItems(donation.items);
+    field('pickup').textContent = describePickup(donation.pickupWindow);
+    field('rescuer').textContent = describeRescuer(donation);
+
+    // Edit/cancel only before pickup
+    const editable = window.donationsAPI.isEditable(donation);
+    card.querySelectorAll('[data-action]').forEach(button => {
+      button.hidden = !editable;
+      button.setAttribute('aria-label', `${button.textContent} ${donation.id}`);
+    });
+
+    return card;
+  }
+
+  function render() {
+    list.innerHTML = '';
+    donations.forEach(donation => list.appendChild(renderCard(donation)));
+    emptyState.hidden = donations.length > 0;
+  }
+
+  /**
+   * Reload the list from the API
+   */
+  async function refresh() {
+    list.setAttribute('aria-busy', 'true');
+
+    try {
+      donations = await window.donationsAPI.list();
+      errorMessage.hidden = true;
+      render();
+    } catch (error) {
+      // Keep showing the last loaded list
+      showError(error.message);
+      console.error('Donation list error:', error);
+    } finally {
+      list.setAttribute('aria-busy', 'false');
+    }
+  }
+
+  /**
+   * Cancel a donation after confirmation
+   * @param {Object} donation
+   * @param {HTMLButtonElement} button
+   */
+  async function cancelDonation(donation, button) {
+    if (!window.confirm(`Cancel donation ${donation.id}? The rescuer will be told not to come.`)) return;
+
+    button.disabled = true;
+    button.setAttribute('aria-busy', 'true');
+
+    try {
+      await window.donationsAPI.cancel(donation.id);
+      announceToScreenReader(`Donation ${donation.id} has been cancelled.`);
+    } catch (error) {
+      showError(error.message);
+      console.error('Donation cancel error:', error);
+      button.disabled = false;
+      button.removeAttribute('aria-busy');
+    }
+  }
+
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const id = button.closest('.donation-card').dataset.donationId;
+    const donation = donations.find(d => d.id === id);
+    if (!donation) return;
+
+    if (button.dataset.action === 'edit') {
+      // Handled by the donation form (form-validation.js)
+      document.dispatchEvent(new CustomEvent('donations:edit', { detail: { donation: donation } }));
+    } else if (button.dataset.action === 'cancel') {
+      cancelDonation(donation, button);
+    }
+  });
+
+  document.addEventListener('donations:change', refresh);
+
+  refresh();
+
+})();
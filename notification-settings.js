@@ -0,0 +1,295 @@
+/**
+ * Notification Settings
+ * Donor notification preferences (channels, events, instant or digest,
+ * quiet hours) and the in-app inbox, stored per donor email.
+ * Same inline validation and messaging conventions as the donation form
+ */
+
+(function() {
+  'use strict';
+
+  const form = document.getElementById('notification-preferences');
+  if (!form) return;
+
+  const STORAGE_KEY = 'notificationRecipient';
+
+  const recipientInput = document.getElementById('notify-recipient');
+  const digestTimeInput = document.getElementById('notify-digest-time');
+  const modeSelect = document.getElementById('notify-mode');
+  const quietCheckbox = document.getElementById('notify-quiet');
+  const quietHours = document.getElementById('notify-quiet-hours');
+  const submitButton = document.getElementById('notify-save');
+  const errorMessage = document.getElementById('notify-error');
+  const errorText = document.getElementById('notify-error-text');
+  const inbox = document.getElementById('notification-inbox');
+  const inboxEmpty = document.getElementById('notification-inbox-empty');
+  const liveRegion = document.getElementById('form-status');
+
+  // Validation schema (see validation-engine.js for the rule vocabulary)
+  const preferencesSchema = {
+    fields: {
+      recipient: {
+        required: true,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        message: 'Please enter the email address you donate with'
+      },
+      digestTime: {
+        required: true,
+        message: 'Please choose when the digest should arrive'
+      },
+      quietStart: {
+        required: true,
+        message: 'Please choose when quiet hours start'
+      },
+      quietEnd: {
+        required: true,
+        message: 'Please choose when quiet hours end'
+      }
+    },
+    rules: [
+      {
+        fields: ['quietStart', 'quietEnd'],
+        target: 'quietEnd',
+        test: (values) => values.quietStart !== values.quietEnd,
+        message: 'Quiet hours must end at a different time'
+      }
+    ]
+  };
+
+  const validation = window.validationEngine.attach(form, preferencesSchema);
+
+  /**
+   * Announce to screen readers
+   * @param {string} message - Message to announce
+   */
+  function announceToScreenReader(message) {
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      setTimeout(() => {
+        liveRegion.textContent = '';
+      }, 3000);
+    }
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message to display
+   */
+  function showError(message) {
+    errorText.textContent = message || 'We couldn\'t save your notification settings. Please try again.';
+    errorMessage.hidden = false;
+    announceToScreenReader(errorText.textContent);
+  }
+
+  /**
+   * Set button loading state
+   * @param {boolean} loading - Whether button is loading
+   */
+  function setLoading(loading) {
+    submitButton.classList.toggle('loading', loading);
+    submitButton.disabled = loading;
+    submitButton.setAttribute('aria-busy', loading ? 'true' : 'false');
+  }
+
+  function getRecipient() {
+    return recipientInput.value.trim().toLowerCase();
+  }
+
+  function syncQuietHours() {
+    quietHours.hidden = !quietCheckbox.checked;
+  }
+
+  function syncDigestTime() {
+    digestTimeInput.closest('.form-group').hidden = modeSelect.value !== 'digest';
+  }
+
+  /**
+   * Show saved preferences in the form
+   * @param {Object} prefs - Normalized preferences (see notifications.js)
+   */
+  function fillForm(prefs) {
+    form.querySelectorAll('input[name="channels"]').forEach(input => {
+      input.checked = !!prefs.channels[input.value];
+    });
+    form.querySelectorAll('input[name="events"]').forEach(input => {
+      input.checked = !!prefs.events[input.value];
+    });
+    modeSelect.value = prefs.mode;
+    digestTimeInput.value = prefs.digestTime;
+    quietCheckbox.checked = prefs.quietHours.enabled;
+    form.elements.quietStart.value = prefs.quietHours.start;
+    form.elements.quietEnd.value = prefs.quietHours.end;
+    syncQuietHours();
+    syncDigestTime();
+  }
+
+  /**
+   * Preferences from the form
+   * @returns {Object}
+   */
+  function collectPreferences() {
+    const formData = new FormData(form);
+    const checked = (name) => {
+      const values = formData.getAll(name);
+      const result = {};
+      form.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+        result[input.value] = values.includes(input.value);
+      });
+      return result;
+    };
+
+    return {
+      channels: checked('channels'),
+      events: checked('events'),
+      mode: formData.get('mode'),
+      digestTime: formData.get('digestTime'),
+      quietHours: {
+        enabled: quietCheckbox.checked,
+        start: formData.get('quietStart'),
+        end: formData.get('quietEnd')
+      },
+      timeZone: window.pickupWindow ? window.pickupWindow.getDefaultTimeZone() : undefined
+    };
+  }
+
+  function renderInbox(notifications) {
+    inbox.innerHTML = '';
+    notifications.forEach(notification => {
+      const item = document.createElement('li');
+      item.className = 'notification-item';
+
+      const title = document.createElement('strong');
+      title.textContent = notification.subject || notification.text;
+      const time = document.createElement('time');
+      time.dateTime = notification.sentAt;
+      time.textContent = new Date(notification.sentAt).toLocaleString([], {
+        month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+      });
+      const body = document.createElement('p');
+      body.textContent = notification.text;
+
+      item.append(title, ' ', time, body);
+      inbox.appendChild(item);
+    });
+    inboxEmpty.hidden = notifications.length > 0;
+  }
+
+  /**
+   * Load in-app notifications for the current recipient
+   */
+  async function loadInbox() {
+    const recipient = getRecipient();
+    if (!recipient) return;
+
+    inbox.setAttribute('aria-busy', 'true');
+    try {
+      const response = await window.apiClient.get('/api/notifications?recipient=' + encodeURIComponent(recipient), {
+        retries: 0
+      });
+      renderInbox(response.notifications);
+    } catch (error) {
+      // The inbox is a convenience; keep what's shown
+      console.warn('Notification inbox unavailable:', error.message);
+    } finally {
+      inbox.setAttribute('aria-busy', 'false');
+    }
+  }
+
+  /**
+   * Load saved preferences and the inbox for the current recipient
+   */
+  async function load() {
+    const recipient = getRecipient();
+    if (!recipient) {
+      fillForm(window.notifications.normalizePreferences());
+      return;
+    }
+
+    try {
+      const response = await window.apiClient.get(
+        '/api/notifications/preferences?recipient=' + encodeURIComponent(recipient)
+      );
+      fillForm(response.preferences);
+      errorMessage.hidden = true;
+    } catch (error) {
+      showError(error.message);
+      console.error('Notification settings error:', error);
+    }
+
+    loadInbox();
+  }
+
+  /**
+   * Email to start with: the last one used here, or the donation form's
+   * @returns {string}
+   */
+  function initialRecipient() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      // Storage unavailable
+    }
+    const donorEmail = document.getElementById('email');
+    return saved || (donorEmail ? donorEmail.value : '');
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    errorMessage.hidden = true;
+
+    if (!(await validation.validateForm())) {
+      announceToScreenReader('Form has errors. Please correct them and try again.');
+      const firstError = form.querySelector('.error');
+      if (firstError) firstError.focus();
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await window.apiClient.put('/api/notifications/preferences', {
+        recipient: getRecipient(),
+        preferences: collectPreferences()
+      });
+      fillForm(response.preferences);
+      try {
+        localStorage.setItem(STORAGE_KEY, response.recipient);
+      } catch (storageError) {
+        console.warn('Unable to remember notification email:', storageError);
+      }
+      announceToScreenReader('Your notification settings have been saved.');
+    } catch (error) {
+      // Field-level problems go next to the field; anything else in the banner
+      const fieldErrors = error.body && error.body.errors;
+      const otherErrors = [];
+      if (fieldErrors) {
+        Object.keys(fieldErrors).forEach(key => {
+          const field = form.elements[key];
+          if (field instanceof HTMLElement) {
+            validation.showFieldError(field, fieldErrors[key]);
+          } else {
+            otherErrors.push(fieldErrors[key]); // e.g. sms: no phone number on file
+          }
+        });
+      }
+      showError(otherErrors.length ? otherErrors.join(' ') : error.message);
+      console.error('Notification settings error:', error);
+    } finally {
+      setLoading(false);
+    }
+  });
+
+  recipientInput.addEventListener('change', () => {
+    if (validation.validateField(recipientInput)) load();
+  });
+  quietCheckbox.addEventListener('change', syncQuietHours);
+  modeSelect.addEventListener('change', syncDigestTime);
+
+  // Status changes may have produced new messages
+  document.addEventListener('donations:change', () => setTimeout(loadInbox, 1000));
+
+  recipientInput.value = initialRecipient();
+  load();
+
+})();
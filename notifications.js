@@ -0,0 +1,414 @@
+/**
+ * Notifications
+ * Templated messages for donation events, delivered per recipient
+ * preferences (channels, quiet hours, instant or daily digest) through
+ * pluggable providers. Ships with an outbox provider that records messages
+ * instead of sending them. Runs in the browser or under Node.
+ */
+
+(function(global) {
+  'use strict';
+
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const pickupWindow = isNode ? require('./pickup-window.js') : global.pickupWindow;
+
+  const CHANNELS = ['email', 'sms', 'push', 'inApp'];
+
+  // Channels that buzz a phone; held back during quiet hours
+  const INTERRUPTIVE_CHANNELS = ['sms', 'push'];
+
+  // Urgent events skip the digest (a reminder in tonight's digest is too late)
+  const EVENTS = {
+    donation_received: { label: 'Donation received', urgent: false },
+    donation_matched: { label: 'Rescuer matched', urgent: false },
+    pickup_reminder: { label: 'Pickup reminder', urgent: true },
+    donation_cancelled: { label: 'Donation cancelled', urgent: true }
+  };
+
+  // `short` is used for SMS and push, `subject`/`body` for email and in-app
+  const TEMPLATES = {
+    donation_received: {
+      subject: 'We received donation {{id}}',
+      body: 'Thanks, {{contactName}}! We\'re finding a rescuer for {{items}}. Pickup: {{pickup}}.',
+      short: 'Food Rescue: donation {{id}} received. We\'ll let you know when a rescuer is matched.'
+    },
+    donation_matched: {
+      subject: '{{rescuer}} will pick up donation {{id}}',
+      body: 'Good news, {{contactName}}: {{rescuer}} will collect {{items}}. Pickup: {{pickup}}.',
+      short: 'Food Rescue: {{rescuer}} will pick up donation {{id}} ({{pickup}}).'
+    },
+    pickup_reminder: {
+      subject: 'Pickup for donation {{id}} starts soon',
+      body: '{{rescuer}} is due to collect {{items}} at {{pickup}}. Please have it ready.',
+      short: 'Food Rescue reminder: pickup for {{id}} at {{pickup}} by {{rescuer}}.'
+    },
+    donation_cancelled: {
+      subject: 'Donation {{id}} was cancelled',
+      body: 'Donation {{id}} ({{items}}) has been cancelled and no one will come to collect it.',
+      short: 'Food Rescue: donation {{id}} was cancelled.'
+    }
+  };
+
+  const DEFAULT_PREFERENCES = {
+    channels: { email: true, sms: false, push: false, inApp: true },
+    events: { donation_received: true, donation_matched: true, pickup_reminder: true, donation_cancelled: true },
+    mode: 'instant',          // 'instant' | 'digest'
+    digestTime: '18:00',      // Local time the daily digest goes out
+    quietHours: { enabled: false, start: '21:00', end: '07:00' },
+    timeZone: null            // IANA zone for quiet hours and digests (default: the device's)
+  };
+
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  /**
+   * Fill in a template
+   * @param {string} event - EVENTS key
+   * @param {Object} data - Placeholder values
+   * @param {string} channel
+   * @param {Object} [templates=TEMPLATES]
+   * @returns {Object} - { subject, text }
+   */
+  function render(event, data, channel, templates = TEMPLATES) {
+    const template = templates[event];
+    if (!template) throw new Error(`No template for ${event}`);
+
+    const fill = (text) => text.replace(/\{\{(\w+)\}\}/g, (_, key) =>
+      data[key] === undefined || data[key] === null ? '' : String(data[key]));
+
+    return INTERRUPTIVE_CHANNELS.includes(channel)
+      ? { subject: null, text: fill(template.short) }
+      : { subject: fill(template.subject), text: fill(template.body) };
+  }
+
+  /**
+   * Complete preferences from partial input
+   * @param {Object} [input]
+   * @returns {Object}
+   */
+  function normalizePreferences(input = {}) {
+    const prefs = {
+      channels: Object.assign({}, DEFAULT_PREFERENCES.channels, input.channels),
+      events: Object.assign({}, DEFAULT_PREFERENCES.events, input.events),
+      mode: input.mode === 'digest' ? 'digest' : 'instant',
+      digestTime: input.digestTime || DEFAULT_PREFERENCES.digestTime,
+      quietHours: Object.assign({}, DEFAULT_PREFERENCES.quietHours, input.quietHours),
+      timeZone: input.timeZone || pickupWindow.getDefaultTimeZone()
+    };
+
+    CHANNELS.forEach(channel => {
+      prefs.channels[channel] = !!prefs.channels[channel];
+    });
+    Object.keys(EVENTS).forEach(event => {
+      prefs.events[event] = !!prefs.events[event];
+    });
+    prefs.quietHours.enabled = !!prefs.quietHours.enabled;
+
+    return prefs;
+  }
+
+  /**
+   * Validate preferences
+   * @param {Object} prefs - Normalized preferences
+   * @param {Object} [recipient] - { email, phone } (checked against enabled channels)
+   * @returns {Object} - { [field]: message }, empty when valid
+   */
+  function validatePreferences(prefs, recipient) {
+    const errors = {};
+
+    if (!TIME_PATTERN.test(prefs.digestTime)) errors.digestTime = 'Enter a time like 18:00';
+    if (prefs.quietHours.enabled) {
+      if (!TIME_PATTERN.test(prefs.quietHours.start)) errors.quietStart = 'Enter a time like 21:00';
+      if (!TIME_PATTERN.test(prefs.quietHours.end)) errors.quietEnd = 'Enter a time like 07:00';
+      if (prefs.quietHours.start === prefs.quietHours.end) errors.quietEnd = 'Quiet hours must end at a different time';
+    }
+    try {
+      new Intl.DateTimeFormat(undefined, { timeZone: prefs.timeZone });
+    } catch (error) {
+      errors.timeZone = 'Choose a valid time zone'; // RangeError for unknown IANA names
+    }
+    if (recipient && prefs.channels.sms && !recipient.phone) {
+      errors.sms = 'Add a phone number to get text messages';
+    }
+
+    return errors;
+  }
+
+  /**
+   * Local 'YYYY-MM-DD' and minutes since midnight of an instant in a timezone
+   * @param {Date} date
+   * @param {string} timeZone
+   * @returns {Object} - { date, minutes }
+   */
+  function localClock(date, timeZone) {
+    const offset = pickupWindow.getTimeZoneOffset(date, timeZone);
+    const local = new Date(date.getTime() + offset * 60000);
+    return {
+      date: local.toISOString().slice(0, 10),
+      minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+    };
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Next instant (after `now`) at which the local clock reads `time`
+   * @param {string} time - 'HH:MM'
+   * @param {Date} now
+   * @param {string} timeZone
+   * @returns {Date}
+   */
+  function nextLocalTime(time, now, timeZone) {
+    const today = localClock(now, timeZone).date;
+    let next = pickupWindow.zonedToDate(`${today}T${time}`, timeZone);
+    if (next <= now) {
+      const tomorrow = new Date(Date.parse(today + 'T00:00:00Z') + 86400000).toISOString().slice(0, 10);
+      next = pickupWindow.zonedToDate(`${tomorrow}T${time}`, timeZone);
+    }
+    return next;
+  }
+
+  /**
+   * When quiet hours end, if they're in effect now
+   * @param {Object} prefs - Normalized preferences
+   * @param {Date} now
+   * @returns {Date|null} - null when not in quiet hours
+   */
+  function quietUntil(prefs, now) {
+    const quiet = prefs.quietHours;
+    if (!quiet.enabled) return null;
+
+    const minutes = localClock(now, prefs.timeZone).minutes;
+    const start = toMinutes(quiet.start);
+    const end = toMinutes(quiet.end);
+    // Overnight ranges (21:00–07:00) wrap past midnight
+    const inQuiet = start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+
+    return inQuiet ? nextLocalTime(quiet.end, now, prefs.timeZone) : null;
+  }
+
+  /**
+   * Outbox provider: records messages instead of sending them
+   * @returns {Object} - Provider with send(), list(filter) and clear()
+   */
+  function createOutbox() {
+    const messages = [];
+    let sequence = 0;
+
+    return {
+      messages: messages,
+      async send(message) {
+        const record = Object.assign({ id: `MSG-${Date.now().toString(36).toUpperCase()}-${++sequence}`, sentAt: new Date().toISOString() }, message);
+        messages.push(record);
+        return { id: record.id };
+      },
+      list(filter = {}) {
+        return messages.filter(message => Object.keys(filter).every(key => message[key] === filter[key]));
+      },
+      clear() {
+        messages.length = 0;
+      }
+    };
+  }
+
+  /**
+   * Address a message can be delivered to on a channel
+   * @param {Object} recipient - { id, email, phone }
+   * @param {string} channel
+   * @returns {string|null}
+   */
+  function addressFor(recipient, channel) {
+    if (channel === 'email') return recipient.email || null;
+    if (channel === 'sms') return recipient.phone || null;
+    return recipient.id || null;
+  }
+
+  /**
+   * Create a notifier
+   * Providers implement send({ channel, to, subject, text, event, recipientId })
+   * and may return a Promise
+   * @param {Object} options
+   * @param {Object} options.providers - { [channel]: provider }
+   * @param {Function} [options.getPreferences] - (recipientId) => preferences (partial is fine)
+   * @param {Object} [options.templates] - Overrides for TEMPLATES
+   * @returns {Object} - { notify, schedule, unschedule, run, pending }
+   */
+  function createNotifier(options) {
+    const providers = options.providers || {};
+    const templates = Object.assign({}, TEMPLATES, options.templates);
+    const getPreferences = options.getPreferences || (() => null);
+
+    const deferred = [];             // Held for quiet hours: { at, message }
+    const digests = [];              // Waiting for the digest: { at, channel, recipient, event, rendered }
+    const scheduled = new Map();     // key -> { at, event, recipient, data }
+
+    async function deliver(message) {
+      const provider = providers[message.channel];
+      if (!provider) return { channel: message.channel, status: 'skipped', reason: 'No provider' };
+
+      try {
+        const result = await provider.send(message);
+        return { channel: message.channel, status: 'sent', id: result && result.id };
+      } catch (error) {
+        console.warn(`Notification ${message.event} via ${message.channel} failed:`, error);
+        return { channel: message.channel, status: 'failed', reason: error.message };
+      }
+    }
+
+    /**
+     * Send an event to a recipient on every channel they've enabled
+     * @param {string} event - EVENTS key
+     * @param {Object} recipient - { id, email, phone, name }
+     * @param {Object} data - Template values
+     * @param {Object} [sendOptions] - { now }
+     * @returns {Promise<Object[]>} - Per channel: { channel, status: 'sent'|'deferred'|'digest'|'skipped'|'failed', reason }
+     */
+    async function notify(event, recipient, data, sendOptions = {}) {
+      if (!EVENTS[event]) throw new Error(`Unknown notification event: ${event}`);
+
+      const now = sendOptions.now || new Date();
+      const prefs = normalizePreferences(getPreferences(recipient.id) || {});
+
+      return Promise.all(CHANNELS.map(async channel => {
+        if (!prefs.channels[channel]) return { channel, status: 'skipped', reason: 'Channel off' };
+        if (!prefs.events[event]) return { channel, status: 'skipped', reason: 'Event off' };
+
+        const to = addressFor(recipient, channel);
+        if (!to) return { channel, status: 'skipped', reason: 'No address' };
+
+        const rendered = render(event, data, channel, templates);
+        const message = Object.assign({ channel, to, event, recipientId: recipient.id }, rendered);
+
+        // In-app messages wait in the inbox, so they're never held back
+        if (channel !== 'inApp' && prefs.mode === 'digest' && !EVENTS[event].urgent) {
+          digests.push({ at: nextLocalTime(prefs.digestTime, now, prefs.timeZone), channel, recipient, to, event, rendered });
+          return { channel, status: 'digest' };
+        }
+
+        const until = INTERRUPTIVE_CHANNELS.includes(channel) && quietUntil(prefs, now);
+        if (until) {
+          deferred.push({ at: until, message });
+          return { channel, status: 'deferred', until: until.toISOString() };
+        }
+
+        return deliver(message);
+      }));
+    }
+
+    /**
+     * Send an event later (e.g. a pickup reminder); replaces any earlier one with the same key
+     * @param {string} key
+     * @param {Date} at
+     * @param {string} event
+     * @param {Object} recipient
+     * @param {Object} data
+     */
+    function schedule(key, at, event, recipient, data) {
+      scheduled.set(key, { at: new Date(at), event, recipient, data });
+    }
+
+    function unschedule(key) {
+      scheduled.delete(key);
+    }
+
+    /**
+     * Combine waiting digest items into one message per recipient and channel
+     * @param {Object[]} items
+     * @returns {Object[]} - Messages
+     */
+    function buildDigests(items) {
+      const groups = new Map();
+      items.forEach(item => {
+        const key = `${item.recipient.id}|${item.channel}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      });
+
+      return Array.from(groups.values()).map(group => {
+        const first = group[0];
+        const count = group.length;
+        return {
+          channel: first.channel,
+          to: first.to,
+          event: 'digest',
+          recipientId: first.recipient.id,
+          subject: INTERRUPTIVE_CHANNELS.includes(first.channel)
+            ? null
+            : `Your Food Rescue digest (${count} update${count === 1 ? '' : 's'})`,
+          text: group.map(item => item.rendered.subject ? `${item.rendered.subject}: ${item.rendered.text}` : item.rendered.text).join('\n')
+        };
+      });
+    }
+
+    /**
+     * Deliver everything that has come due: scheduled events, messages held
+     * for quiet hours, and digests. Call periodically.
+     * @param {Date} [now]
+     * @returns {Promise<Object[]>} - Delivery results
+     */
+    async function run(now = new Date()) {
+      const results = [];
+      const due = (item) => item.at <= now;
+
+      for (const [key, item] of Array.from(scheduled)) {
+        if (!due(item)) continue;
+        scheduled.delete(key);
+        results.push(...await notify(item.event, item.recipient, item.data, { now }));
+      }
+
+      const released = deferred.filter(due);
+      deferred.splice(0, deferred.length, ...deferred.filter(item => !due(item)));
+      for (const item of released) results.push(await deliver(item.message));
+
+      const ready = digests.filter(due);
+      digests.splice(0, digests.length, ...digests.filter(item => !due(item)));
+      for (const message of buildDigests(ready)) {
+        // A digest time inside quiet hours still mustn't buzz the phone
+        const prefs = normalizePreferences(getPreferences(message.recipientId) || {});
+        const until = INTERRUPTIVE_CHANNELS.includes(message.channel) && quietUntil(prefs, now);
+        if (until) {
+          deferred.push({ at: until, message });
+          results.push({ channel: message.channel, status: 'deferred', until: until.toISOString() });
+        } else {
+          results.push(await deliver(message));
+        }
+      }
+
+      return results;
+    }
+
+    /**
+     * Counts of undelivered items (for diagnostics)
+     * @returns {Object} - { scheduled, deferred, digest }
+     */
+    function pending() {
+      return { scheduled: scheduled.size, deferred: deferred.length, digest: digests.length };
+    }
+
+    return { notify, schedule, unschedule, run, pending };
+  }
+
+  const notifications = {
+    CHANNELS: CHANNELS,
+    EVENTS: EVENTS,
+    TEMPLATES: TEMPLATES,
+    DEFAULT_PREFERENCES: DEFAULT_PREFERENCES,
+    render: render,
+    normalizePreferences: normalizePreferences,
+    validatePreferences: validatePreferences,
+    quietUntil: quietUntil,
+    createOutbox: createOutbox,
+    createNotifier: createNotifier
+  };
+
+  if (isNode) {
+    module.exports = notifications;
+  } else {
+    global.notifications = notifications;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
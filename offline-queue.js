@@ -0,0 +1,248 @@
+/**
+ * Offline Submission Queue
+ * Persists failed/offline submissions to IndexedDB and retries
+ * them when connectivity returns. Each entry carries a client-generated
+ * idempotency key so the server can drop duplicates.
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'food-rescue';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'pendingSubmissions';
+  const RETRY_INTERVAL = 30000; // Retry while online but the server is failing (ms)
+
+  let dbPromise = null;
+  let memoryStore = null; // Fallback when IndexedDB is unavailable (e.g. private mode)
+  let flushing = false;
+  let retryTimer = null;
+
+  /**
+   * Generate an idempotency key
+   * @returns {string}
+   */
+  function generateKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 12);
+  }
+
+  /**
+   * Open (or create) the database
+   * @returns {Promise<IDBDatabase|null>} - null if IndexedDB is unavailable
+   */
+  function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      if (!('indexedDB' in window)) {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'idempotencyKey' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Offline queue: IndexedDB unavailable, using memory', request.error);
+        resolve(null);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a transaction against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store (null in memory
+   *   mode) and returns an IDBRequest, or the result itself in memory mode
+   * @returns {Promise<*>}
+   */
+  async function withStore(mode, operation) {
+    const db = await openDB();
+
+    if (!db) {
+      memoryStore = memoryStore || new Map();
+      return operation(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = operation(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      // e.g. QuotaExceededError aborts the transaction
+      tx.onabort = () => reject(tx.error || new Error('Offline storage transaction was aborted'));
+    });
+  }
+
+  function getAll() {
+    return withStore('readonly', store => {
+      return store ? store.getAll() : Array.from(memoryStore.values());
+    }).then(result => result || []);
+  }
+
+  function put(entry) {
+    return withStore('readwrite', store => {
+      if (!store) {
+        memoryStore.set(entry.idempotencyKey, entry);
+        return null;
+      }
+      return store.put(entry);
+    });
+  }
+
+  function remove(key) {
+    return withStore('readwrite', store => {
+      if (!store) {
+        memoryStore.delete(key);
+        return null;
+      }
+      return store.delete(key);
+    });
+  }
+
+  /**
+   * Dispatch a queue event on document
+   * @param {string} type - Event suffix (change, synced, failed)
+   * @param {Object} detail
+   */
+  function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent('offlinequeue:' + type, { detail }));
+  }
+
+  async function emitChange() {
+    const entries = await getAll();
+    emit('change', { count: entries.length });
+  }
+
+  /**
+   * Send one entry to the API
+   * @param {Object} entry
+   * @returns {Promise<Object>}
+   */
+  function send(entry) {
+    return window.apiClient.post(entry.endpoint, entry.payload, {
+      headers: { 'Idempotency-Key': entry.idempotencyKey }
+    });
+  }
+
+  /**
+   * Persist a submission for later delivery
+   * @param {string} endpoint - API path (e.g. '/api/donations')
+   * @param {Object} payload - Must include idempotencyKey
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async function enqueue(endpoint, payload) {
+    const entry = {
+      idempotencyKey: payload.idempotencyKey || generateKey(),
+      endpoint: endpoint,
+      payload: payload,
+      queuedAt: new Date().toISOString(),
+      attempts: 0
+    };
+    entry.payload.idempotencyKey = entry.idempotencyKey;
+
+    await put(entry);
+    await emitChange();
+    scheduleRetry();
+    return entry;
+  }
+
+  /**
+   * Retry later if we're online (server errors don't fire an `online` event)
+   */
+  function scheduleRetry() {
+    if (retryTimer || !navigator.onLine) return;
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush().catch(logFlushError);
+    }, RETRY_INTERVAL);
+  }
+
+  /**
+   * Retry every queued submission
+   * Retryable failures stay queued; permanent failures are dropped
+   * and reported through an `offlinequeue:failed` event
+   * @returns {Promise<number>} - Number of entries still pending
+   */
+  async function flush() {
+    if (flushing || !navigator.onLine) {
+      return (await getAll()).length;
+    }
+    flushing = true;
+
+    try {
+      const entries = await getAll();
+
+      for (const entry of entries) {
+        try {
+          const response = await send(entry);
+          await remove(entry.idempotencyKey);
+          emit('synced', { entry, response });
+        } catch (error) {
+          if (error.retryable) {
+            entry.attempts++;
+            await put(entry);
+            break; // Still unreachable, try again on next online event
+          }
+
+          await remove(entry.idempotencyKey);
+          emit('failed', { entry, error });
+        }
+      }
+    } finally {
+      flushing = false;
+    }
+
+    await emitChange();
+
+    const remaining = (await getAll()).length;
+    if (remaining > 0) scheduleRetry();
+    return remaining;
+  }
+
+  /**
+   * Number of pending submissions
+   * @returns {Promise<number>}
+   */
+  async function count() {
+    return (await getAll()).length;
+  }
+
+  // Background flushes have no caller to report to (e.g. storage blocked in private mode)
+  function logFlushError(error) {
+    console.warn('Offline queue: unable to deliver queued submissions', error);
+  }
+
+  // Retry automatically when connectivity returns
+  window.addEventListener('online', () => {
+    flush().catch(logFlushError);
+  });
+
+  // Deliver anything left over from a previous visit
+  window.addEventListener('load', () => {
+    emitChange().then(() => flush()).catch(logFlushError);
+  });
+
+  // Export for use in other scripts
+  window.offlineQueue = {
+    generateKey: generateKey,
+    enqueue: enqueue,
+    flush: flush,
+    count: count,
+    send: send
+  };
+
+})();
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Particle Benchmark (Node, no dependencies)
+ * Runs the particle simulation from particles-engine.js headlessly against a
+ * no-op canvas context and reports frame time per particle count, next to
+ * the old all-pairs connection search for comparison.
+ *
+ * Usage: node scripts/particles-benchmark.js [--counts 50,150,300,600] [--frames 600] [--budget 16.67]
+ *
+ * The area grows with the count at the site's density (one particle per
+ * 15000px², 16:9), so each run looks like a real screen of that size.
+ */
+
+'use strict';
+
+const particlesEngine = require('./particles-engine.js');
+
+// Defaults from CONFIG in particles-lazy.js
+const BASE_CONFIG = {
+  maxParticleSize: 3,
+  minParticleSize: 1,
+  maxSpeed: 0.5,
+  minSpeed: 0.1,
+  connectionDistance: 120,
+  maxConnections: 3,
+  particleColor: { r: 22, g: 163, b: 74, a: 0.6 },
+  lineColor: { r: 22, g: 163, b: 74, a: 0.2 }
+};
+
+const AREA_PER_PARTICLE = 15000;
+
+/**
+ * Parse --name value pairs
+ * @param {string[]} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([\w-]+)$/.exec(argv[i]);
+    if (match) args[match[1]] = argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * Canvas context stand-in that only counts draw calls
+ * @returns {Object}
+ */
+function createCountingContext() {
+  const counts = { fill: 0, stroke: 0 };
+  return {
+    counts: counts,
+    fillStyle: '',
+    strokeStyle: '',
+    lineWidth: 1,
+    beginPath() {},
+    arc() {},
+    moveTo() {},
+    lineTo() {},
+    fill() { counts.fill++; },
+    stroke() { counts.stroke++; }
+  };
+}
+
+/**
+ * The connection search before the spatial grid: every pair, with sqrt
+ * @param {Particle[]} particles
+ * @param {Object} config
+ * @returns {number} - Connections found
+ */
+function allPairsConnections(particles, config) {
+  const maxDistance = config.connectionDistance;
+  let found = 0;
+
+  particles.forEach(particle => { particle.connections = 0; });
+
+  for (let i = 0; i < particles.length; i++) {
+    const p1 = particles[i];
+    if (p1.connections >= config.maxConnections) continue;
+
+    for (let j = i + 1; j < particles.length; j++) {
+      const p2 = particles[j];
+      if (p2.connections >= config.maxConnections) continue;
+
+      const dx = p2.x - p1.x;
+      const dy = p2.y - p1.y;
+      if (Math.sqrt(dx * dx + dy * dy) < maxDistance) {
+        p1.connections++;
+        p2.connections++;
+        found++;
+      }
+    }
+  }
+  return found;
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(Math.floor(sorted.length * p), sorted.length - 1)];
+}
+
+function timeIt(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Simulate one particle count
+ * @param {number} count
+ * @param {number} frames
+ * @returns {Object}
+ */
+function run(count, frames) {
+  const width = Math.round(Math.sqrt(count * AREA_PER_PARTICLE * 16 / 9));
+  const height = Math.round(width * 9 / 16);
+  const config = Object.assign({}, BASE_CONFIG, { particleCount: count });
+
+  const simulation = particlesEngine.createSimulation(config);
+  simulation.resize(width, height);
+  simulation.init();
+
+  const ctx = createCountingContext();
+  const frameTimes = [];
+  let pairsTime = 0;
+  let gridTime = 0;
+
+  for (let frame = 0; frame < frames; frame++) {
+    frameTimes.push(timeIt(() => {
+      simulation.update(1, 1);
+      simulation.draw(ctx);
+    }));
+
+    // Connection search alone, old vs. new, on the same positions
+    pairsTime += timeIt(() => allPairsConnections(simulation.getParticles(), config));
+    simulation.getParticles().forEach(particle => { particle.connections = 0; });
+    gridTime += timeIt(() => simulation.findConnections());
+  }
+
+  frameTimes.sort((a, b) => a - b);
+  return {
+    particles: simulation.getParticleCount(),
+    area: `${width}x${height}`,
+    mean: frameTimes.reduce((sum, time) => sum + time, 0) / frames,
+    p95: percentile(frameTimes, 0.95),
+    strokes: ctx.counts.stroke / frames,
+    pairs: pairsTime / frames,
+    grid: gridTime / frames
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const counts = (args.counts || '50,150,300,600').split(',').map(Number).filter(n => n > 0);
+  const frames = Number(args.frames) || 600;
+  const budget = Number(args.budget) || 16.67;
+
+  console.log(`Particle benchmark: ${frames} frames per run, budget ${budget}ms/frame\n`);
+  console.log(['particles', 'area', 'mean ms', 'p95 ms', 'strokes', 'all-pairs ms', 'grid ms', ''].map(h => h.padStart(14)).join(''));
+
+  counts.forEach(count => {
+    const result = run(count, frames);
+    console.log([
+      String(result.particles),
+      result.area,
+      result.mean.toFixed(3),
+      result.p95.toFixed(3),
+      result.strokes.toFixed(1),
+      result.pairs.toFixed(3),
+      result.grid.toFixed(3),
+      result.p95 <= budget ? 'ok' : 'OVER'
+    ].map(cell => cell.padStart(14)).join(''));
+  });
+
+  console.log('\nTimes exclude painting: the context only counts calls. Compare runs on the same machine.');
+}
+
+main();
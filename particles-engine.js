@@ -0,0 +1,562 @@
+/**
+ * Particle Engine
+ * The simulation and canvas renderer behind particles-lazy.js. Has no DOM
+ * dependencies, so the same code runs on the main thread, inside
+ * particles-worker.js on an OffscreenCanvas, or under Node.
+ */
+
+(function(global) {
+  'use strict';
+
+  const isNode = typeof module !== 'undefined' && module.exports;
+
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  // Workers without requestAnimationFrame fall back to a 60fps timer
+  const requestFrame = typeof requestAnimationFrame === 'function'
+    ? (callback) => requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(now()), 16);
+  const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? (id) => cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+  // ========== SIMULATION ==========
+
+  class Particle {
+    constructor(config, canvasWidth, canvasHeight) {
+      this.config = config;
+      this.canvasWidth = canvasWidth;
+      this.canvasHeight = canvasHeight;
+      this.reset();
+    }
+
+    reset() {
+      const config = this.config;
+      this.x = Math.random() * this.canvasWidth;
+      this.y = Math.random() * this.canvasHeight;
+      this.size = Math.random() * (config.maxParticleSize - config.minParticleSize) + config.minParticleSize;
+
+      const speed = Math.random() * (config.maxSpeed - config.minSpeed) + config.minSpeed;
+      const angle = Math.random() * Math.PI * 2;
+
+      this.speedX = Math.cos(angle) * speed;
+      this.speedY = Math.sin(angle) * speed;
+      this.opacity = Math.random() * 0.4 + 0.3;
+      this.connections = 0;
+    }
+
+    /**
+     * @param {number} deltaTime - Frames elapsed (1 at 60fps)
+     * @param {number} motionScale - 0 to 1, see motion.js
+     */
+    update(deltaTime, motionScale) {
+      // Update position
+      this.x += this.speedX * motionScale * deltaTime;
+      this.y += this.speedY * motionScale * deltaTime;
+
+      // Wrap around edges
+      if (this.x > this.canvasWidth) this.x = 0;
+      if (this.x < 0) this.x = this.canvasWidth;
+      if (this.y > this.canvasHeight) this.y = 0;
+      if (this.y < 0) this.y = this.canvasHeight;
+
+      // Reset connections counter
+      this.connections = 0;
+    }
+
+    draw(ctx) {
+      const color = this.config.particleColor;
+      ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${this.opacity})`;
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // Connection lines are stroked in one path per opacity step
+  const OPACITY_BUCKETS = 8;
+
+  /**
+   * Uniform grid with cells the size of the connection distance, so a
+   * particle's possible neighbours are in its own and the 8 adjacent cells
+   */
+  class SpatialGrid {
+    constructor() {
+      this.cells = [];
+      this.cols = 0;
+      this.rows = 0;
+      this.cellSize = 1;
+    }
+
+    /**
+     * Re-bucket particles (called once per frame)
+     * @param {Particle[]} particles
+     * @param {number} width
+     * @param {number} height
+     * @param {number} cellSize
+     */
+    build(particles, width, height, cellSize) {
+      this.cellSize = Math.max(cellSize, 1);
+      this.cols = Math.max(Math.ceil(width / this.cellSize), 1);
+      this.rows = Math.max(Math.ceil(height / this.cellSize), 1);
+
+      const cellCount = this.cols * this.rows;
+      if (this.cells.length !== cellCount) {
+        this.cells = Array.from({ length: cellCount }, () => []);
+      } else {
+        this.cells.forEach(cell => { cell.length = 0; });
+      }
+
+      particles.forEach((particle, index) => {
+        this.cells[this.row(particle.y) * this.cols + this.column(particle.x)].push(index);
+      });
+    }
+
+    column(x) {
+      return Math.min(Math.max(Math.floor(x / this.cellSize), 0), this.cols - 1);
+    }
+
+    row(y) {
+      return Math.min(Math.max(Math.floor(y / this.cellSize), 0), this.rows - 1);
+    }
+  }
+
+  /**
+   * Most particles to show in an area: particleCount, or desktopParticleCount
+   * on screens at least desktopMinWidth wide
+   * @param {Object} config
+   * @param {number} width - CSS pixels
+   * @returns {number}
+   */
+  function particleCap(config, width) {
+    if (config.desktopParticleCount && width >= (config.desktopMinWidth || 1024)) {
+      return config.desktopParticleCount;
+    }
+    return config.particleCount;
+  }
+
+  /**
+   * Particle state for an area, independent of any canvas
+   * @param {Object} config - See CONFIG in particles-lazy.js (read live)
+   * @returns {Object} - { resize, init, fit, update, draw, findConnections, getParticles, getParticleCount }
+   */
+  function createSimulation(config) {
+    let particles = [];
+    let width = 0;
+    let height = 0;
+
+    const grid = new SpatialGrid();
+    const buckets = Array.from({ length: OPACITY_BUCKETS }, () => []);
+
+    /**
+     * Find connections between nearby particles, grouped by opacity bucket
+     * @returns {number[][]} - Per bucket: flat [x1, y1, x2, y2, ...] segments
+     */
+    function findConnections() {
+      const maxDistance = config.connectionDistance;
+      const maxDistanceSquared = maxDistance * maxDistance;
+
+      buckets.forEach(bucket => { bucket.length = 0; });
+      grid.build(particles, width, height, maxDistance);
+
+      for (let i = 0; i < particles.length; i++) {
+        const p1 = particles[i];
+        const col = grid.column(p1.x);
+        const row = grid.row(p1.y);
+
+        // Own cell and its neighbours; limit connections per particle for performance
+        for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, grid.rows - 1); r++) {
+          for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, grid.cols - 1); c++) {
+            const cell = grid.cells[r * grid.cols + c];
+
+            for (let k = 0; k < cell.length && p1.connections < config.maxConnections; k++) {
+              const j = cell[k];
+              if (j <= i) continue; // Each pair once
+
+              const p2 = particles[j];
+              if (p2.connections >= config.maxConnections) continue;
+
+              const dx = p2.x - p1.x;
+              const dy = p2.y - p1.y;
+              const distanceSquared = dx * dx + dy * dy;
+              if (distanceSquared >= maxDistanceSquared) continue;
+
+              // Closer pairs are more opaque
+              const strength = 1 - Math.sqrt(distanceSquared) / maxDistance;
+              const bucket = Math.min(Math.floor(strength * OPACITY_BUCKETS), OPACITY_BUCKETS - 1);
+              buckets[bucket].push(p1.x, p1.y, p2.x, p2.y);
+
+              p1.connections++;
+              p2.connections++;
+            }
+          }
+        }
+      }
+
+      return buckets;
+    }
+
+    /**
+     * Draw connections, one stroke per opacity bucket
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    function drawConnections(ctx) {
+      const color = config.lineColor;
+
+      findConnections().forEach((segments, bucket) => {
+        if (segments.length === 0) return;
+
+        const opacity = color.a * (bucket + 1) / OPACITY_BUCKETS;
+        ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${opacity})`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let k = 0; k < segments.length; k += 4) {
+          ctx.moveTo(segments[k], segments[k + 1]);
+          ctx.lineTo(segments[k + 2], segments[k + 3]);
+        }
+        ctx.stroke();
+      });
+    }
+
+    return {
+      /**
+       * @param {number} areaWidth - CSS pixels
+       * @param {number} areaHeight - CSS pixels
+       */
+      resize: function(areaWidth, areaHeight) {
+        width = areaWidth;
+        height = areaHeight;
+      },
+
+      /**
+       * Scatter particles (count scales with area, capped per screen size)
+       */
+      init: function() {
+        particles = [];
+        this.fit();
+      },
+
+      /**
+       * Add or drop particles to match the current cap, keeping the rest in place
+       */
+      fit: function() {
+        const particleCount = Math.min(
+          Math.floor(width * height / 15000),
+          particleCap(config, width)
+        );
+
+        if (particles.length > particleCount) {
+          particles.length = particleCount;
+        }
+        while (particles.length < particleCount) {
+          particles.push(new Particle(config, width, height));
+        }
+      },
+
+      update: function(deltaTime, motionScale) {
+        particles.forEach(particle => particle.update(deltaTime, motionScale));
+      },
+
+      draw: function(ctx) {
+        particles.forEach(particle => particle.draw(ctx));
+        drawConnections(ctx);
+      },
+
+      findConnections: findConnections,
+
+      getParticles: function() {
+        return particles;
+      },
+
+      getParticleCount: function() {
+        return particles.length;
+      }
+    };
+  }
+
+  // ========== ADAPTIVE QUALITY ==========
+
+  // Quality tiers, best first: share of the particle cap, share of the
+  // connection distance, and the highest device pixel ratio drawn at
+  const QUALITY_TIERS = [
+    { name: 'high', particles: 1, connectionDistance: 1, maxDpr: 2 },
+    { name: 'medium', particles: 0.6, connectionDistance: 0.8, maxDpr: 1.5 },
+    { name: 'low', particles: 0.3, connectionDistance: 0.6, maxDpr: 1 }
+  ];
+
+  const SAMPLE_FRAMES = 60;   // Frames per quality decision
+  const UPGRADE_WINDOWS = 3;  // Cheap sample windows in a row before stepping up
+
+  /**
+   * Best tier a device should start at and never exceed
+   * Save-Data or 1GB of memory: low; 2GB: medium
+   * @param {Navigator|WorkerNavigator} nav
+   * @returns {number} - Index into QUALITY_TIERS
+   */
+  function qualityCeiling(nav) {
+    const connection = nav && nav.connection;
+    const memory = nav && nav.deviceMemory;
+
+    if (connection && connection.saveData) return 2;
+    if (memory && memory <= 1) return 2;
+    if (memory && memory <= 2) return 1;
+    return 0;
+  }
+
+  /**
+   * Pick a quality tier from measured frames
+   * Steps down when over a quarter of a sample window is slow (work over half
+   * the frame budget, or a dropped frame), and back up after several windows
+   * of cheap frames
+   * @param {Object} options - { fps, ceiling }
+   * @returns {Object} - { record, setFps, setCeiling, getTier }
+   */
+  function createQualityController(options) {
+    let budget = 1000 / (options.fps || 60);
+    let ceiling = options.ceiling || 0;
+    let tier = ceiling;
+
+    let samples = 0;
+    let slowFrames = 0;
+    let workTotal = 0;
+    let cheapWindows = 0;
+
+    function resetSamples() {
+      samples = 0;
+      slowFrames = 0;
+      workTotal = 0;
+    }
+
+    return {
+      /**
+       * Record one drawn frame
+       * @param {number} workTime - ms spent updating and drawing
+       * @param {number} interval - ms since the previous drawn frame
+       * @returns {boolean} - Whether the tier changed
+       */
+      record: function(workTime, interval) {
+        samples++;
+        workTotal += workTime;
+        if (workTime > budget * 0.5 || interval > budget * 1.5) slowFrames++;
+        if (samples < SAMPLE_FRAMES) return false;
+
+        const slowShare = slowFrames / samples;
+        const meanWork = workTotal / samples;
+        resetSamples();
+
+        if (slowShare > 0.25 && tier < QUALITY_TIERS.length - 1) {
+          tier++;
+          cheapWindows = 0;
+          return true;
+        }
+
+        if (slowShare < 0.05 && meanWork < budget * 0.25 && tier > ceiling) {
+          cheapWindows++;
+          if (cheapWindows >= UPGRADE_WINDOWS) {
+            tier--;
+            cheapWindows = 0;
+            return true;
+          }
+        } else {
+          cheapWindows = 0;
+        }
+        return false;
+      },
+
+      setFps: function(fps) {
+        budget = 1000 / (fps || 60);
+        resetSamples();
+      },
+
+      /**
+       * @param {number} index - Best tier allowed, see qualityCeiling()
+       * @returns {boolean} - Whether the tier changed
+       */
+      setCeiling: function(index) {
+        ceiling = Math.min(Math.max(index, 0), QUALITY_TIERS.length - 1);
+        resetSamples();
+        cheapWindows = 0;
+        if (tier < ceiling) {
+          tier = ceiling;
+          return true;
+        }
+        return false;
+      },
+
+      getTier: function() {
+        return QUALITY_TIERS[tier];
+      }
+    };
+  }
+
+  // ========== RENDERER ==========
+
+  /**
+   * Animate a simulation on a canvas (HTMLCanvasElement or OffscreenCanvas)
+   * Same controls as window.particlesAPI, plus resize and setMotionScale
+   * Draws at most config.fps frames a second and adapts quality to the frame
+   * budget unless config.adaptiveQuality is false
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {Object} options - { config, motionScale, qualityCeiling, onQualityChange }
+   * @returns {Object}
+   */
+  function createRenderer(canvas, options) {
+    const config = Object.assign({}, options.config);
+    // What the simulation sees: config scaled by the quality tier
+    const tierConfig = Object.assign({}, config);
+    const simulation = createSimulation(tierConfig);
+    const quality = createQualityController({ fps: config.fps, ceiling: options.qualityCeiling });
+    const ctx = canvas.getContext('2d', {
+      alpha: true,
+      desynchronized: true // Performance hint
+    });
+
+    let motionScale = typeof options.motionScale === 'number' ? options.motionScale : 1;
+    let animationFrame = null;
+    let lastFrameTime = now();
+    let size = { width: 0, height: 0, dpr: 1 };
+
+    /**
+     * Scale the config and canvas resolution to the current tier
+     */
+    function applyQuality() {
+      const tier = quality.getTier();
+      const scaleCount = (count) => count && Math.max(Math.round(count * tier.particles), 1);
+
+      Object.assign(tierConfig, config, {
+        particleCount: scaleCount(config.particleCount),
+        desktopParticleCount: scaleCount(config.desktopParticleCount),
+        connectionDistance: config.connectionDistance * tier.connectionDistance
+      });
+
+      const dpr = Math.min(size.dpr, tier.maxDpr);
+      canvas.width = size.width * dpr;
+      canvas.height = size.height * dpr;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /**
+     * Animation loop
+     */
+    function animate(currentTime) {
+      animationFrame = requestFrame(animate);
+
+      // Throttle to config.fps (1ms slack for timer jitter)
+      const interval = currentTime - lastFrameTime;
+      if (interval < 1000 / (config.fps || 60) - 1) return;
+      lastFrameTime = currentTime;
+
+      // Calculate delta time for frame-independent animation
+      const deltaTime = Math.min(Math.max(interval, 0) / 16.67, 2); // Cap at 2x normal speed
+      const workStart = now();
+
+      // Clear canvas (drawing is in CSS pixels; see resize)
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+      simulation.update(deltaTime, motionScale);
+      simulation.draw(ctx);
+
+      if (config.adaptiveQuality !== false && quality.record(now() - workStart, interval)) {
+        qualityChanged();
+      }
+    }
+
+    /**
+     * Apply a new tier without re-scattering the particles that stay
+     */
+    function qualityChanged() {
+      applyQuality();
+      simulation.fit();
+      if (options.onQualityChange) options.onQualityChange(quality.getTier().name);
+    }
+
+    function start() {
+      if (animationFrame !== null) return;
+      lastFrameTime = now();
+      animationFrame = requestFrame(animate);
+    }
+
+    function stop() {
+      if (animationFrame !== null) {
+        cancelFrame(animationFrame);
+        animationFrame = null;
+      }
+    }
+
+    function init() {
+      simulation.init();
+    }
+
+    return {
+      /**
+       * Match the canvas to its display size (scaled for retina displays,
+       * up to the quality tier's maxDpr)
+       * @param {number} width - CSS pixels
+       * @param {number} height - CSS pixels
+       * @param {number} dpr - Device pixel ratio
+       */
+      resize: function(width, height, dpr) {
+        size = { width: width, height: height, dpr: dpr };
+        applyQuality();
+        simulation.resize(width, height);
+      },
+      init: init,
+      start: start,
+      stop: stop,
+      destroy: function() {
+        stop();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+      },
+      reinit: function() {
+        stop();
+        init();
+        start();
+      },
+      setConfig: function(newConfig) {
+        Object.assign(config, newConfig);
+        quality.setFps(config.fps);
+        applyQuality();
+        this.reinit();
+      },
+      setMotionScale: function(scale) {
+        motionScale = scale;
+      },
+      /**
+       * Cap quality, e.g. when Save-Data is switched on
+       * @param {number} index - See qualityCeiling()
+       */
+      setQualityCeiling: function(index) {
+        if (quality.setCeiling(index)) qualityChanged();
+      },
+      /**
+       * @returns {string} - high | medium | low
+       */
+      getQualityTier: function() {
+        return quality.getTier().name;
+      },
+      isRunning: function() {
+        return animationFrame !== null;
+      },
+      getParticleCount: simulation.getParticleCount
+    };
+  }
+
+  const particlesEngine = {
+    Particle: Particle,
+    SpatialGrid: SpatialGrid,
+    createSimulation: createSimulation,
+    QUALITY_TIERS: QUALITY_TIERS,
+    qualityCeiling: qualityCeiling,
+    createQualityController: createQualityController,
+    createRenderer: createRenderer
+  };
+
+  if (isNode) {
+    module.exports = particlesEngine;
+  } else {
+    global.particlesEngine = particlesEngine;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -2,7 +2,10 @@
  * Particles Background Animation
  * Lightweight particle system using Canvas API
  * GPU-accelerated, performant, responsive
- * Alternative to particles-lazy.js (non-lazy version)
+ *
+ * The simulation lives in particles-engine.js. Where OffscreenCanvas is
+ * supported it runs in particles-worker.js, off the main thread; otherwise
+ * (or if the worker fails to start) it runs here.
  */
 
 (function() {
@@ -10,8 +13,10 @@
   
   // Configuration
   const CONFIG = {
-    // Particle settings
-    particleCount: 50,
+    // Particle settings (count also scales with area: one per 15000px²)
+    particleCount: 50,          // Cap below desktopMinWidth
+    desktopParticleCount: 150,  // Cap on wide screens (see particles-benchmark.js)
+    desktopMinWidth: 1024,
     maxParticleSize: 3,
     minParticleSize: 1,
     maxSpeed: 0.5,
@@ -36,8 +41,11 @@
     },
     
     // Performance
-    fps: 60,
-    pauseWhenHidden: true
+    fps: 60,                // Frame cap
+    adaptiveQuality: true,  // Step particles, connections and resolution down on slow frames
+    pauseWhenHidden: true,
+    useWorker: true, // Render in a worker when OffscreenCanvas is available
+    workerURL: './scripts/particles-worker.js'
   };
   
   const container = document.getElementById('particles-container');
@@ -46,239 +54,204 @@
     return;
   }
   
-  // Check if motion is enabled
-  const motionScale = window.motionUtils ? window.motionUtils.getMotionScale() : 1;
-  if (motionScale === 0) {
-    console.log('Particles disabled: motion is off');
-    return;
-  }
+  // Speed follows the motion level; particles only run while their category is on
+  let motionScale = window.motionUtils ? window.motionUtils.getMotionScale() : 1;
   
-  // Create canvas
-  const canvas = document.createElement('canvas');
-  canvas.style.position = 'absolute';
-  canvas.style.top = '0';
-  canvas.style.left = '0';
-  canvas.style.width = '100%';
-  canvas.style.height = '100%';
-  canvas.style.pointerEvents = 'none';
-  canvas.setAttribute('aria-hidden', 'true');
-  container.appendChild(canvas);
+  function particlesAllowed() {
+    return motionScale > 0 && (!window.motionUtils || window.motionUtils.isCategoryEnabled('particles'));
+  }
   
-  const ctx = canvas.getContext('2d', { 
-    alpha: true,
-    desynchronized: true // Performance hint
-  });
+  let canvas = null;
+  let renderer = null;
+  let workerFailed = false;
   
-  let particles = [];
-  let animationFrame = null;
-  let isVisible = true;
-  let lastFrameTime = Date.now();
-  let fps = CONFIG.fps;
+  /**
+   * Create canvas (a new one per mount: a canvas handed to a worker can't be reused)
+   * @returns {HTMLCanvasElement}
+   */
+  function createCanvas() {
+    const element = document.createElement('canvas');
+    element.style.position = 'absolute';
+    element.style.top = '0';
+    element.style.left = '0';
+    element.style.width = '100%';
+    element.style.height = '100%';
+    element.style.pointerEvents = 'none';
+    element.setAttribute('aria-hidden', 'true');
+    return element;
+  }
   
   /**
-   * Resize canvas to match container
+   * Container size, with the canvas display size set to match
+   * @returns {Object} - { width, height, dpr }
    */
-  function resizeCanvas() {
+  function measure() {
     const rect = container.getBoundingClientRect();
-    const dpr = window.devicePixelRatio || 1;
-    
-    // Set actual size in memory (scaled for retina displays)
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    
-    // Set display size
     canvas.style.width = rect.width + 'px';
     canvas.style.height = rect.height + 'px';
-    
-    // Scale context for retina displays
-    ctx.scale(dpr, dpr);
-    
-    return { width: rect.width, height: rect.height };
+    return { width: rect.width, height: rect.height, dpr: window.devicePixelRatio || 1 };
   }
   
   /**
-   * Particle class
+   * Best quality tier for this device (lower with Save-Data or little memory)
+   * @returns {number} - Index into particlesEngine.QUALITY_TIERS
    */
-  class Particle {
-    constructor(canvasWidth, canvasHeight) {
-      this.canvasWidth = canvasWidth;
-      this.canvasHeight = canvasHeight;
-      this.reset();
-    }
-    
-    reset() {
-      this.x = Math.random() * this.canvasWidth;
-      this.y = Math.random() * this.canvasHeight;
-      this.size = Math.random() * (CONFIG.maxParticleSize - CONFIG.minParticleSize) + CONFIG.minParticleSize;
-      
-      const speed = Math.random() * (CONFIG.maxSpeed - CONFIG.minSpeed) + CONFIG.minSpeed;
-      const angle = Math.random() * Math.PI * 2;
-      
-      this.speedX = Math.cos(angle) * speed;
-      this.speedY = Math.sin(angle) * speed;
-      this.opacity = Math.random() * 0.4 + 0.3;
-      this.connections = 0;
-    }
-    
-    update(deltaTime) {
-      // Update position
-      this.x += this.speedX * motionScale * deltaTime;
-      this.y += this.speedY * motionScale * deltaTime;
-      
-      // Wrap around edges
-      if (this.x > this.canvasWidth) this.x = 0;
-      if (this.x < 0) this.x = this.canvasWidth;
-      if (this.y > this.canvasHeight) this.y = 0;
-      if (this.y < 0) this.y = this.canvasHeight;
-      
-      // Reset connections counter
-      this.connections = 0;
-    }
-    
-    draw() {
-      const color = CONFIG.particleColor;
-      ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${this.opacity})`;
-      ctx.beginPath();
-      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-      ctx.fill();
-    }
+  function currentQualityCeiling() {
+    return window.particlesEngine.qualityCeiling(navigator);
   }
   
   /**
-   * Initialize particles
+   * Whether the hero is on screen (other views hide it, see router.js)
+   * @returns {boolean}
    */
-  function init() {
-    const dimensions = resizeCanvas();
-    particles = [];
-    
-    // Scale particle count with screen size (but cap at max)
-    const particleCount = Math.min(
-      Math.floor(dimensions.width * dimensions.height / 15000),
-      CONFIG.particleCount
-    );
-    
-    for (let i = 0; i < particleCount; i++) {
-      particles.push(new Particle(dimensions.width, dimensions.height));
-    }
-    
-    console.log(`Particles initialized: ${particles.length} particles`);
+  function containerShowing() {
+    return !container.closest('[hidden]');
   }
   
-  /**
-   * Calculate distance between two points
-   */
-  function getDistance(x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    return Math.sqrt(dx * dx + dy * dy);
+  function supportsWorkerRendering(element) {
+    return CONFIG.useWorker && !workerFailed && typeof Worker !== 'undefined' &&
+      typeof element.transferControlToOffscreen === 'function';
   }
   
   /**
-   * Draw connections between nearby particles
+   * Renderer in particles-worker.js, controlled by messages
+   * Same methods as particlesEngine.createRenderer()
+   * @param {HTMLCanvasElement} element
+   * @returns {Object|null} - null if the worker can't be created
    */
-  function drawConnections() {
-    const color = CONFIG.lineColor;
-    const maxDistance = CONFIG.connectionDistance;
+  function createWorkerRenderer(element) {
+    // The worker comes first: once the canvas is transferred, the main thread can't draw on it
+    let worker;
+    let offscreen;
+    try {
+      worker = new Worker(CONFIG.workerURL);
+      offscreen = element.transferControlToOffscreen();
+    } catch (error) {
+      // e.g. SecurityError on file:// in Chrome, thrown right away
+      console.warn('Particles worker unavailable, rendering on the main thread:', error.message);
+      workerFailed = true;
+      if (worker) worker.terminate();
+      return null;
+    }
+    
+    let status = { particleCount: 0, running: false, quality: null };
+    
+    const send = (type, data) => worker.postMessage(Object.assign({ type: type }, data));
     
-    for (let i = 0; i < particles.length; i++) {
-      const p1 = particles[i];
-      
-      // Limit connections per particle for performance
-      if (p1.connections >= CONFIG.maxConnections) continue;
-      
-      for (let j = i + 1; j < particles.length; j++) {
-        const p2 = particles[j];
-        
-        if (p2.connections >= CONFIG.maxConnections) continue;
-        
-        const distance = getDistance(p1.x, p1.y, p2.x, p2.y);
-        
-        if (distance < maxDistance) {
-          const opacity = color.a * (1 - distance / maxDistance);
-          ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${opacity})`;
-          ctx.lineWidth = 1;
-          ctx.beginPath();
-          ctx.moveTo(p1.x, p1.y);
-          ctx.lineTo(p2.x, p2.y);
-          ctx.stroke();
-          
-          p1.connections++;
-          p2.connections++;
-        }
+    worker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'status') {
+        status = e.data;
       }
-    }
+    });
+    
+    // e.g. the worker script fails to load - start over on a new canvas on the main thread
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      console.warn('Particles worker failed, rendering on the main thread:', e.message);
+      workerFailed = true;
+      worker.terminate();
+      if (renderer === proxy) {
+        unmount();
+        mount();
+      }
+    });
+    
+    worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      config: CONFIG,
+      motionScale: motionScale,
+      qualityCeiling: currentQualityCeiling()
+    }, [offscreen]);
+    
+    const proxy = {
+      offThread: true,
+      resize: (width, height, dpr) => send('resize', { width: width, height: height, dpr: dpr }),
+      start: () => send('start'),
+      stop: () => send('stop'),
+      reinit: () => send('reinit'),
+      destroy: () => send('destroy'),
+      setConfig: (config) => send('setConfig', { config: config }),
+      setMotionScale: (scale) => send('setMotionScale', { scale: scale }),
+      setQualityCeiling: (ceiling) => send('setQualityCeiling', { ceiling: ceiling }),
+      getQualityTier: () => status.quality,
+      isRunning: () => status.running,
+      getParticleCount: () => status.particleCount
+    };
+    return proxy;
   }
   
   /**
-   * Animation loop
+   * Attach a canvas and start animating (again after destroy)
    */
-  function animate(currentTime) {
-    if (!isVisible) return;
-    
-    // Calculate delta time for frame-independent animation
-    const deltaTime = Math.min((currentTime - lastFrameTime) / 16.67, 2); // Cap at 2x normal speed
-    lastFrameTime = currentTime;
+  function mount() {
+    if (renderer) return;
     
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    canvas = createCanvas();
+    container.appendChild(canvas);
+    const size = measure();
     
-    // Update and draw particles
-    particles.forEach(particle => {
-      particle.update(deltaTime);
-      particle.draw();
-    });
-    
-    // Draw connections
-    drawConnections();
+    renderer = (supportsWorkerRendering(canvas) && createWorkerRenderer(canvas)) ||
+      window.particlesEngine.createRenderer(canvas, {
+        config: CONFIG,
+        motionScale: motionScale,
+        qualityCeiling: currentQualityCeiling()
+      });
+    renderer.resize(size.width, size.height, size.dpr);
+    renderer.reinit();
+    if (!containerShowing()) renderer.stop();
     
-    // Continue animation
-    animationFrame = requestAnimationFrame(animate);
+    console.log(`Particles initialized${renderer.offThread ? ' (worker)' : ''}`);
+  }
+  
+  function unmount() {
+    if (renderer) {
+      renderer.destroy();
+      renderer = null;
+    }
+    if (canvas && canvas.parentNode) {
+      canvas.parentNode.removeChild(canvas);
+    }
+    canvas = null;
   }
   
   /**
    * Start animation
    */
   function start() {
-    if (animationFrame) return;
-    isVisible = true;
-    lastFrameTime = Date.now();
-    animationFrame = requestAnimationFrame(animate);
+    if (renderer) renderer.start();
   }
   
   /**
    * Stop animation
    */
   function stop() {
-    if (animationFrame) {
-      cancelAnimationFrame(animationFrame);
-      animationFrame = null;
-    }
-    isVisible = false;
+    if (renderer) renderer.stop();
   }
   
   /**
    * Destroy particles system
    */
   function destroy() {
-    stop();
-    if (canvas && canvas.parentNode) {
-      canvas.parentNode.removeChild(canvas);
-    }
-    particles = [];
+    unmount();
   }
   
   // Initialize
-  init();
-  start();
+  if (particlesAllowed()) {
+    mount();
+  } else {
+    console.log('Particles disabled: motion is off');
+  }
   
   // Resize handler (debounced)
   let resizeTimeout;
   window.addEventListener('resize', () => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
-      stop();
-      init();
-      start();
+      if (!renderer || !containerShowing()) return;
+      const size = measure();
+      renderer.resize(size.width, size.height, size.dpr);
+      renderer.reinit();
     }, 250);
   });
   
@@ -287,21 +260,45 @@
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
         stop();
-      } else {
+      } else if (containerShowing()) {
         start();
       }
     });
   }
   
-  // Listen for motion preference changes
+  // Pause while another view is showing; re-measure on the way back,
+  // since the window may have been resized in the meantime
+  document.addEventListener('route:change', () => {
+    if (!renderer) return;
+    if (!containerShowing()) {
+      stop();
+      return;
+    }
+    const size = measure();
+    renderer.resize(size.width, size.height, size.dpr);
+    renderer.reinit();
+  });
+  
+  // Save-Data can be switched on (or off) mid-visit
+  const connection = navigator.connection;
+  if (connection && connection.addEventListener) {
+    connection.addEventListener('change', () => {
+      if (renderer) renderer.setQualityCeiling(currentQualityCeiling());
+    });
+  }
+  
+  // Follow motion preference changes in both directions
   if (window.motionUtils) {
-    const checkMotion = setInterval(() => {
-      const currentMotionScale = window.motionUtils.getMotionScale();
-      if (currentMotionScale === 0 && isVisible) {
+    window.motionUtils.subscribe((state) => {
+      motionScale = state.scale;
+      if (!state.categories.particles) {
         destroy();
-        clearInterval(checkMotion);
+      } else if (!renderer) {
+        mount();
+      } else {
+        renderer.setMotionScale(motionScale);
       }
-    }, 1000);
+    });
   }
   
   // Cleanup on page unload
@@ -315,16 +312,28 @@
     stop: stop,
     destroy: destroy,
     reinit: function() {
-      stop();
-      init();
-      start();
+      if (renderer) renderer.reinit();
     },
     getParticleCount: function() {
-      return particles.length;
+      return renderer ? renderer.getParticleCount() : 0;
     },
     setConfig: function(newConfig) {
       Object.assign(CONFIG, newConfig);
-      this.reinit();
+      if (renderer) renderer.setConfig(newConfig);
+    },
+    /**
+     * Whether particles are drawn in a worker
+     * @returns {boolean}
+     */
+    isOffThread: function() {
+      return !!(renderer && renderer.offThread);
+    },
+    /**
+     * Current quality tier (see QUALITY_TIERS in particles-engine.js)
+     * @returns {string|null} - high | medium | low, null when not mounted
+     */
+    getQualityTier: function() {
+      return renderer ? renderer.getQualityTier() : null;
     }
   };
   
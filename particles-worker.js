@@ -0,0 +1,75 @@
+/**
+ * Particles Worker
+ * Runs the particle renderer (particles-engine.js) on an OffscreenCanvas so the
+ * main thread stays free for input and scrolling. Started by particles-lazy.js.
+ *
+ * Messages in: { type: 'init', canvas, config, motionScale, qualityCeiling } (the OffscreenCanvas, transferred),
+ *   { type: 'resize', width, height, dpr }, { type: 'setConfig', config },
+ *   { type: 'setMotionScale', scale }, { type: 'setQualityCeiling', ceiling },
+ *   and { type } for start, stop, reinit, destroy
+ * Messages out: { type: 'status', particleCount, running, quality } (also sent when
+ *   the quality tier changes on its own)
+ */
+
+'use strict';
+
+importScripts('./particles-engine.js');
+
+let renderer = null;
+
+function reportStatus() {
+  self.postMessage({
+    type: 'status',
+    particleCount: renderer ? renderer.getParticleCount() : 0,
+    running: renderer ? renderer.isRunning() : false,
+    quality: renderer ? renderer.getQualityTier() : null
+  });
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  if (message.type === 'init') {
+    renderer = self.particlesEngine.createRenderer(message.canvas, {
+      config: message.config,
+      motionScale: message.motionScale,
+      qualityCeiling: message.qualityCeiling,
+      onQualityChange: reportStatus
+    });
+    return;
+  }
+
+  if (!renderer) return;
+
+  switch (message.type) {
+    case 'resize':
+      renderer.resize(message.width, message.height, message.dpr);
+      break;
+    case 'start':
+      renderer.start();
+      break;
+    case 'stop':
+      renderer.stop();
+      break;
+    case 'reinit':
+      renderer.reinit();
+      break;
+    case 'setConfig':
+      renderer.setConfig(message.config);
+      break;
+    case 'setMotionScale':
+      renderer.setMotionScale(message.scale);
+      break;
+    case 'setQualityCeiling':
+      renderer.setQualityCeiling(message.ceiling);
+      break;
+    case 'destroy':
+      renderer.destroy();
+      renderer = null;
+      self.close();
+      return;
+    default:
+      return;
+  }
+  reportStatus();
+});
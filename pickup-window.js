@@ -0,0 +1,321 @@
+/**
+ * Pickup Window Model
+ * Start/end windows with optional daily/weekly recurrence, exception dates
+ * and timezone-aware serialization. Pure functions; runs in the browser
+ * or under Node.
+ */
+
+(function(global) {
+  'use strict';
+
+  const DEFAULTS = {
+    minLeadMinutes: 60,        // Window must start at least this far ahead
+    minDurationMinutes: 30,    // Shortest acceptable window
+    maxHorizonDays: 14,        // First pickup can't be further out than this
+    maxRecurrenceDays: 90      // Recurring slots can't run longer than this
+  };
+
+  // iCalendar weekday codes, indexed by Date#getUTCDay()
+  const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Offset of a timezone from UTC at a given instant
+   * @param {Date} date
+   * @param {string} timeZone - IANA name, e.g. 'America/New_York'
+   * @returns {number} - Minutes east of UTC
+   */
+  function getTimeZoneOffset(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUTC - instant) / 60000);
+  }
+
+  /**
+   * Parse 'YYYY-MM-DDTHH:MM' (wall-clock time in `timeZone`) to a Date
+   * @param {string} local
+   * @param {string} timeZone
+   * @returns {Date|null}
+   */
+  function zonedToDate(local, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(local || '');
+    if (!match) return null;
+
+    const guess = Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5]);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    let result = guess - offset * 60000;
+
+    // Second pass corrects guesses that straddle a DST transition
+    const corrected = getTimeZoneOffset(new Date(result), timeZone);
+    if (corrected !== offset) {
+      result = guess - corrected * 60000;
+    }
+    return new Date(result);
+  }
+
+  /**
+   * Format a Date as wall-clock time in `timeZone` with UTC offset
+   * @param {Date} date
+   * @param {string} timeZone
+   * @returns {string} - e.g. '2025-05-06T21:00-04:00'
+   */
+  function toZonedISO(date, timeZone) {
+    const offset = getTimeZoneOffset(date, timeZone);
+    const local = new Date(date.getTime() + offset * 60000).toISOString().slice(0, 16);
+    const sign = offset >= 0 ? '+' : '-';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `${local}${sign}${hours}:${minutes}`;
+  }
+
+  /**
+   * The browser's timezone (UTC if unavailable)
+   * @returns {string}
+   */
+  function getDefaultTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (e) {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Build a window model
+   * @param {Object} input
+   * @param {string} input.start - Local 'YYYY-MM-DDTHH:MM'
+   * @param {string} input.end - Local 'YYYY-MM-DDTHH:MM'
+   * @param {string} [input.timeZone] - IANA timezone of the local times
+   * @param {Object} [input.recurrence] - { frequency: 'daily'|'weekly', interval,
+   *   byDay: ['MO', ...], until: 'YYYY-MM-DD', exceptions: ['YYYY-MM-DD'] }
+   * @returns {Object}
+   */
+  function createWindow(input) {
+    const recurrence = input.recurrence && input.recurrence.frequency &&
+      input.recurrence.frequency !== 'none'
+      ? {
+        frequency: input.recurrence.frequency,
+        interval: Math.max(1, parseInt(input.recurrence.interval, 10) || 1),
+        byDay: input.recurrence.byDay || [],
+        until: input.recurrence.until || '',
+        exceptions: input.recurrence.exceptions || []
+      }
+      : null;
+
+    return {
+      start: input.start || '',
+      end: input.end || '',
+      timeZone: input.timeZone || getDefaultTimeZone(),
+      recurrence: recurrence
+    };
+  }
+
+  /**
+   * Duration in minutes (negative if end precedes start)
+   * @param {Object} win
+   * @returns {number|null}
+   */
+  function getDurationMinutes(win) {
+    const start = zonedToDate(win.start, win.timeZone);
+    const end = zonedToDate(win.end, win.timeZone);
+    if (!start || !end) return null;
+    return Math.round((end - start) / 60000);
+  }
+
+  /**
+   * Expand a window into concrete occurrences
+   * @param {Object} win
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Max occurrences to return
+   * @param {Date} [options.from] - Skip occurrences ending before this instant
+   * @returns {Object[]} - [{ start: Date, end: Date, date: 'YYYY-MM-DD' }]
+   */
+  function getOccurrences(win, options = {}) {
+    const limit = options.limit || 10;
+    const duration = getDurationMinutes(win);
+    if (duration === null || duration <= 0) return [];
+
+    const [startDate, startTime] = win.start.split('T');
+    const rule = win.recurrence;
+    const occurrences = [];
+
+    const firstDay = Date.parse(startDate + 'T00:00:00Z');
+    const lastDay = rule
+      ? Date.parse((rule.until || startDate) + 'T00:00:00Z')
+      : firstDay;
+    const lastAllowed = firstDay + DEFAULTS.maxRecurrenceDays * DAY_MS;
+
+    for (let day = firstDay; day <= Math.min(lastDay, lastAllowed) && occurrences.length < limit; day += DAY_MS) {
+      const date = new Date(day).toISOString().slice(0, 10);
+      const dayIndex = Math.round((day - firstDay) / DAY_MS);
+
+      if (rule) {
+        if (rule.exceptions.includes(date)) continue;
+        if (rule.frequency === 'daily' && dayIndex % rule.interval !== 0) continue;
+        if (rule.frequency === 'weekly') {
+          const weekday = WEEKDAYS[new Date(day).getUTCDay()];
+          const week = Math.floor(dayIndex / 7);
+          if (!rule.byDay.includes(weekday) || week % rule.interval !== 0) continue;
+        }
+      }
+
+      const start = zonedToDate(`${date}T${startTime}`, win.timeZone);
+      const end = new Date(start.getTime() + duration * 60000);
+      if (options.from && end < options.from) continue;
+
+      occurrences.push({ start: start, end: end, date: date });
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Validate a window
+   * @param {Object} win
+   * @param {Object} [options] - Overrides for DEFAULTS, plus `now` (Date)
+   * @returns {Object} - { [start|end|recurrence|until|exceptions]: message }
+   */
+  function validate(win, options = {}) {
+    const config = Object.assign({}, DEFAULTS, options);
+    const now = options.now || new Date();
+    const errors = {};
+
+    const start = zonedToDate(win.start, win.timeZone);
+    const end = zonedToDate(win.end, win.timeZone);
+
+    if (!start) {
+      errors.start = 'Please choose when the pickup window opens';
+    } else if (start < new Date(now.getTime() + config.minLeadMinutes * 60000)) {
+      errors.start = config.minLeadMinutes >= 60
+        ? `Pickup must start at least ${config.minLeadMinutes / 60} hour${config.minLeadMinutes === 60 ? '' : 's'} from now`
+        : `Pickup must start at least ${config.minLeadMinutes} minutes from now`;
+    } else if (start > new Date(now.getTime() + config.maxHorizonDays * DAY_MS)) {
+      errors.start = `Pickup must start within the next ${config.maxHorizonDays} days`;
+    }
+
+    if (!end) {
+      errors.end = 'Please choose when the pickup window closes';
+    } else if (start && end <= start) {
+      errors.end = 'Pickup window must end after it starts';
+    } else if (start && getDurationMinutes(win) < config.minDurationMinutes) {
+      errors.end = `Pickup window must be at least ${config.minDurationMinutes} minutes long`;
+    }
+
+    // The start must be the first occurrence: serialize() sends it as the first pickup
+    const rule = win.recurrence;
+    if (rule && start) {
+      const startDate = win.start.slice(0, 10);
+      const startDay = new Date(startDate + 'T00:00:00Z').getUTCDay();
+
+      if (rule.frequency === 'weekly' && rule.byDay.length === 0) {
+        errors.recurrence = 'Choose at least one day for weekly pickups';
+      } else if (rule.frequency === 'weekly' && !rule.byDay.includes(WEEKDAYS[startDay])) {
+        errors.recurrence = `Include ${WEEKDAY_NAMES[startDay]} (the first pickup's day) in the repeat days`;
+      }
+
+      if (!rule.until) {
+        errors.until = 'Please choose when the recurring pickups end';
+      } else if (rule.until < startDate) {
+        errors.until = 'Repeat end date must be on or after the first pickup';
+      } else if (Date.parse(rule.until) - Date.parse(startDate) > config.maxRecurrenceDays * DAY_MS) {
+        errors.until = `Recurring pickups can be scheduled up to ${config.maxRecurrenceDays} days ahead`;
+      }
+
+      const invalidException = rule.exceptions.find(date => !/^\d{4}-\d{2}-\d{2}$/.test(date));
+      if (invalidException) {
+        errors.exceptions = 'Use YYYY-MM-DD for skipped dates, separated by commas';
+      } else if (rule.exceptions.includes(startDate)) {
+        errors.exceptions = 'The first pickup can\'t be skipped. Start the window on the next pickup date instead';
+      } else if (!errors.recurrence && !errors.until && getOccurrences(win, { limit: 1 }).length === 0) {
+        errors.exceptions = 'Every pickup in this schedule is skipped';
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * RFC 5545 RRULE for a recurrence
+   * @param {Object} win
+   * @returns {string|null}
+   */
+  function toRRule(win) {
+    const rule = win.recurrence;
+    if (!rule) return null;
+
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.frequency === 'weekly' && rule.byDay.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.until) {
+      const untilEnd = zonedToDate(`${rule.until}T23:59`, win.timeZone);
+      parts.push(`UNTIL=${untilEnd.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+    }
+    return parts.join(';');
+  }
+
+  /**
+   * Serialize for the submission payload
+   * @param {Object} win
+   * @returns {Object}
+   */
+  function serialize(win) {
+    const start = zonedToDate(win.start, win.timeZone);
+    const end = zonedToDate(win.end, win.timeZone);
+    const rule = win.recurrence;
+
+    return {
+      start: start ? start.toISOString() : null,
+      end: end ? end.toISOString() : null,
+      localStart: start ? toZonedISO(start, win.timeZone) : null,
+      localEnd: end ? toZonedISO(end, win.timeZone) : null,
+      timeZone: win.timeZone,
+      durationMinutes: getDurationMinutes(win),
+      recurrence: rule ? {
+        frequency: rule.frequency,
+        interval: rule.interval,
+        byDay: rule.frequency === 'weekly' ? rule.byDay : [],
+        until: rule.until,
+        exceptions: rule.exceptions,
+        rrule: toRRule(win)
+      } : null
+    };
+  }
+
+  const pickupWindow = {
+    DEFAULTS: DEFAULTS,
+    WEEKDAYS: WEEKDAYS,
+    getTimeZoneOffset: getTimeZoneOffset,
+    zonedToDate: zonedToDate,
+    toZonedISO: toZonedISO,
+    getDefaultTimeZone: getDefaultTimeZone,
+    createWindow: createWindow,
+    getDurationMinutes: getDurationMinutes,
+    getOccurrences: getOccurrences,
+    validate: validate,
+    toRRule: toRRule,
+    serialize: serialize
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = pickupWindow;
+  } else {
+    global.pickupWindow = pickupWindow;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
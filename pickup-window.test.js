@@ -0,0 +1,163 @@
+/**
+ * Pickup window tests: timezones, recurrence, validation and serialization (Node, no dependencies)
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const pickupWindow = require('./pickup-window.js');
+
+const NEW_YORK = 'America/New_York';
+
+// 2026-03-06 is a Friday; New York moves to daylight time on Sunday 2026-03-08
+function weekly(byDay, options = {}) {
+  return pickupWindow.createWindow({
+    start: options.start || '2026-03-06T09:00',
+    end: options.end || '2026-03-06T10:00',
+    timeZone: NEW_YORK,
+    recurrence: {
+      frequency: 'weekly',
+      interval: options.interval || 1,
+      byDay: byDay,
+      until: options.until || '2026-03-20',
+      exceptions: options.exceptions || []
+    }
+  });
+}
+
+function dates(occurrences) {
+  return occurrences.map(occurrence => occurrence.date);
+}
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+test('wall-clock times follow the timezone offset across DST', () => {
+  assert.strictEqual(pickupWindow.zonedToDate('2026-03-06T09:00', NEW_YORK).toISOString(), '2026-03-06T14:00:00.000Z');
+  assert.strictEqual(pickupWindow.zonedToDate('2026-03-09T09:00', NEW_YORK).toISOString(), '2026-03-09T13:00:00.000Z');
+  assert.strictEqual(pickupWindow.zonedToDate('not a date', NEW_YORK), null);
+
+  assert.strictEqual(pickupWindow.getTimeZoneOffset(new Date('2026-03-06T14:00:00Z'), NEW_YORK), -300);
+  assert.strictEqual(pickupWindow.getTimeZoneOffset(new Date('2026-03-09T13:00:00Z'), NEW_YORK), -240);
+  assert.strictEqual(pickupWindow.toZonedISO(new Date('2026-03-09T13:00:00Z'), NEW_YORK), '2026-03-09T09:00-04:00');
+  assert.strictEqual(pickupWindow.toZonedISO(new Date('2026-03-09T13:00:00Z'), 'Asia/Kolkata'), '2026-03-09T18:30+05:30');
+});
+
+test('a one-off window has a single occurrence', () => {
+  const win = pickupWindow.createWindow({ start: '2026-03-06T09:00', end: '2026-03-06T10:30', timeZone: NEW_YORK });
+
+  assert.strictEqual(win.recurrence, null);
+  assert.strictEqual(pickupWindow.getDurationMinutes(win), 90);
+  assert.deepStrictEqual(dates(pickupWindow.getOccurrences(win)), ['2026-03-06']);
+});
+
+test('weekly occurrences keep their local time and skip exceptions', () => {
+  const occurrences = pickupWindow.getOccurrences(weekly(['FR', 'MO'], { exceptions: ['2026-03-13'] }));
+
+  assert.deepStrictEqual(dates(occurrences), ['2026-03-06', '2026-03-09', '2026-03-16', '2026-03-20']);
+  assert.deepStrictEqual(occurrences.map(o => pickupWindow.toZonedISO(o.start, NEW_YORK).slice(11)), [
+    '09:00-05:00', '09:00-04:00', '09:00-04:00', '09:00-04:00'
+  ]);
+  assert.ok(occurrences.every(o => o.end - o.start === 60 * 60000));
+});
+
+test('intervals, limit and from narrow the occurrences', () => {
+  assert.deepStrictEqual(dates(pickupWindow.getOccurrences(weekly(['FR'], { interval: 2, until: '2026-04-03' }))), [
+    '2026-03-06', '2026-03-20', '2026-04-03'
+  ]);
+
+  const daily = pickupWindow.createWindow({
+    start: '2026-03-06T09:00',
+    end: '2026-03-06T10:00',
+    timeZone: NEW_YORK,
+    recurrence: { frequency: 'daily', interval: 3, until: '2026-03-31' }
+  });
+  assert.deepStrictEqual(dates(pickupWindow.getOccurrences(daily, { limit: 3 })), ['2026-03-06', '2026-03-09', '2026-03-12']);
+  assert.deepStrictEqual(dates(pickupWindow.getOccurrences(daily, { limit: 2, from: new Date('2026-03-10T00:00:00Z') })), [
+    '2026-03-12', '2026-03-15'
+  ]);
+});
+
+test('recurrence stops at maxRecurrenceDays', () => {
+  const daily = pickupWindow.createWindow({
+    start: '2026-03-06T09:00',
+    end: '2026-03-06T10:00',
+    timeZone: NEW_YORK,
+    recurrence: { frequency: 'daily', until: '2027-01-01' }
+  });
+  const occurrences = pickupWindow.getOccurrences(daily, { limit: 1000 });
+
+  assert.strictEqual(occurrences.length, pickupWindow.DEFAULTS.maxRecurrenceDays + 1);
+});
+
+test('validate checks lead time, horizon and duration', () => {
+  const window = (start, end) => pickupWindow.createWindow({ start: start, end: end, timeZone: NEW_YORK });
+
+  assert.deepStrictEqual(pickupWindow.validate(window('2026-03-06T09:00', '2026-03-06T10:00'), { now: NOW }), {});
+  assert.deepStrictEqual(pickupWindow.validate(window('', ''), { now: NOW }), {
+    start: 'Please choose when the pickup window opens',
+    end: 'Please choose when the pickup window closes'
+  });
+  assert.strictEqual(pickupWindow.validate(window('2026-03-01T07:30', '2026-03-01T09:00'), { now: NOW }).start,
+    'Pickup must start at least 1 hour from now');
+  assert.strictEqual(pickupWindow.validate(window('2026-03-20T09:00', '2026-03-20T10:00'), { now: NOW }).start,
+    'Pickup must start within the next 14 days');
+  assert.strictEqual(pickupWindow.validate(window('2026-03-06T09:00', '2026-03-06T08:00'), { now: NOW }).end,
+    'Pickup window must end after it starts');
+  assert.strictEqual(pickupWindow.validate(window('2026-03-06T09:00', '2026-03-06T09:15'), { now: NOW }).end,
+    'Pickup window must be at least 30 minutes long');
+});
+
+test('weekly windows must start on one of their days', () => {
+  assert.deepStrictEqual(pickupWindow.validate(weekly(['FR', 'MO']), { now: NOW }), {});
+  assert.strictEqual(pickupWindow.validate(weekly([]), { now: NOW }).recurrence,
+    'Choose at least one day for weekly pickups');
+
+  // Starts on a Friday, repeats on Mondays only: Friday would never be a pickup
+  assert.strictEqual(pickupWindow.validate(weekly(['MO']), { now: NOW }).recurrence,
+    'Include Friday (the first pickup\'s day) in the repeat days');
+});
+
+test('the first pickup can\'t be a skipped date', () => {
+  assert.strictEqual(pickupWindow.validate(weekly(['FR'], { exceptions: ['2026-03-06'] }), { now: NOW }).exceptions,
+    'The first pickup can\'t be skipped. Start the window on the next pickup date instead');
+  assert.strictEqual(pickupWindow.validate(weekly(['FR'], { exceptions: ['March 13'] }), { now: NOW }).exceptions,
+    'Use YYYY-MM-DD for skipped dates, separated by commas');
+});
+
+test('validate checks the repeat end date', () => {
+  assert.strictEqual(pickupWindow.validate(weekly(['FR'], { until: '2026-03-01' }), { now: NOW }).until,
+    'Repeat end date must be on or after the first pickup');
+  assert.strictEqual(pickupWindow.validate(weekly(['FR'], { until: '2026-12-31' }), { now: NOW }).until,
+    'Recurring pickups can be scheduled up to 90 days ahead');
+
+  const open = weekly(['FR']);
+  open.recurrence.until = '';
+  assert.strictEqual(pickupWindow.validate(open, { now: NOW }).until, 'Please choose when the recurring pickups end');
+});
+
+test('toRRule and serialize describe the first pickup and the schedule', () => {
+  const win = weekly(['FR', 'MO'], { interval: 2, exceptions: ['2026-03-13'] });
+
+  assert.strictEqual(pickupWindow.toRRule(win), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR,MO;UNTIL=20260321T035900Z');
+  assert.deepStrictEqual(pickupWindow.serialize(win), {
+    start: '2026-03-06T14:00:00.000Z',
+    end: '2026-03-06T15:00:00.000Z',
+    localStart: '2026-03-06T09:00-05:00',
+    localEnd: '2026-03-06T10:00-05:00',
+    timeZone: NEW_YORK,
+    durationMinutes: 60,
+    recurrence: {
+      frequency: 'weekly',
+      interval: 2,
+      byDay: ['FR', 'MO'],
+      until: '2026-03-20',
+      exceptions: ['2026-03-13'],
+      rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR,MO;UNTIL=20260321T035900Z'
+    }
+  });
+
+  // The serialized start is the first occurrence
+  assert.strictEqual(pickupWindow.getOccurrences(win)[0].start.toISOString(), pickupWindow.serialize(win).start);
+});
@@ -0,0 +1,323 @@
+/**
+ * Accessibility Preferences
+ * Theme, high contrast, text size, dyslexia-friendly font and motion level,
+ * saved together under one versioned localStorage key and applied to <html>
+ * as data attributes / custom properties that tokens.css maps to tokens.
+ *
+ * Loaded in <head> so saved settings apply before first paint.
+ * motion.js reads and writes the motion part through this store.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'a11yPreferences';
+  const SCHEMA_VERSION = 1;
+  const root = document.documentElement;
+
+  const OPTIONS = {
+    theme: ['system', 'light', 'dark'],
+    contrast: ['normal', 'high'],
+    textScale: [1, 1.125, 1.25, 1.5],
+    motionLevel: ['full', 'reduced', 'none'] // see LEVELS in motion.js
+  };
+
+  /**
+   * Defaults for a first visit
+   * motion.level null follows prefers-reduced-motion
+   * @returns {Object}
+   */
+  function defaultPreferences() {
+    return {
+      version: SCHEMA_VERSION,
+      theme: 'system',
+      contrast: 'normal',
+      textScale: 1,
+      dyslexiaFont: false,
+      motion: { level: null, categories: {} }
+    };
+  }
+
+  // Upgrades from each older schema version to the next
+  const MIGRATIONS = {
+    // Version 0: motion.js kept its own keys, first 'motionEnabled' ('true' | 'false'),
+    // then 'motionPreferences' ({ level, categories })
+    0: function() {
+      const prefs = defaultPreferences();
+      prefs.version = 1;
+
+      const legacyEnabled = localStorage.getItem('motionEnabled');
+      if (legacyEnabled !== null) {
+        prefs.motion.level = legacyEnabled === 'true' ? 'full' : 'none';
+      }
+
+      try {
+        const motion = JSON.parse(localStorage.getItem('motionPreferences'));
+        if (motion && motion.level) {
+          prefs.motion = { level: motion.level, categories: motion.categories || {} };
+        }
+      } catch (e) {
+        // Unreadable: keep what motionEnabled gave us
+      }
+
+      return prefs;
+    }
+  };
+
+  const LEGACY_KEYS = ['motionEnabled', 'motionPreferences'];
+
+  /**
+   * Keep only known values
+   * @param {Object} prefs
+   * @param {Object} [fallback] - Used for unknown values (defaults if omitted)
+   * @returns {Object}
+   */
+  function normalize(prefs, fallback) {
+    const defaults = fallback || defaultPreferences();
+    const source = prefs || {};
+    const motion = source.motion || {};
+    const categories = {};
+
+    Object.keys(motion.categories || {}).forEach(name => {
+      categories[name] = motion.categories[name] !== false;
+    });
+
+    return {
+      version: SCHEMA_VERSION,
+      theme: OPTIONS.theme.includes(source.theme) ? source.theme : defaults.theme,
+      contrast: OPTIONS.contrast.includes(source.contrast) ? source.contrast : defaults.contrast,
+      textScale: OPTIONS.textScale.includes(Number(source.textScale)) ? Number(source.textScale) : defaults.textScale,
+      dyslexiaFont: source.dyslexiaFont === true,
+      motion: {
+        // null: follow the system preference
+        level: motion.level === null || OPTIONS.motionLevel.includes(motion.level) ? motion.level : defaults.motion.level,
+        categories: categories
+      }
+    };
+  }
+
+  /**
+   * Saved preferences, migrated to the current schema
+   * @returns {Object}
+   */
+  function load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (e) {
+      // Storage unavailable or unreadable
+    }
+
+    let prefs = stored && typeof stored.version === 'number' ? stored : { version: 0 };
+    const migrated = prefs.version < SCHEMA_VERSION;
+
+    try {
+      while (prefs.version < SCHEMA_VERSION) {
+        prefs = MIGRATIONS[prefs.version](prefs);
+      }
+    } catch (e) {
+      console.warn('Unable to migrate preferences, using defaults:', e);
+      prefs = defaultPreferences();
+    }
+
+    prefs = normalize(prefs);
+    if (migrated) save(prefs);
+    return prefs;
+  }
+
+  function save(prefs) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+      LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+    } catch (e) {
+      console.warn('Unable to save preferences:', e);
+    }
+  }
+
+  /**
+   * Map preferences onto <html> for tokens.css
+   * @param {Object} prefs
+   */
+  function apply(prefs) {
+    root.dataset.theme = prefs.theme;
+    root.dataset.contrast = prefs.contrast;
+    root.dataset.dyslexiaFont = prefs.dyslexiaFont ? 'on' : 'off';
+    root.style.setProperty('--text-scale', String(prefs.textScale));
+  }
+
+  let preferences = load();
+  apply(preferences);
+
+  // ========== CHANGE EVENTS ==========
+  const listeners = new Set();
+
+  /**
+   * Listen for preference changes
+   * Also dispatched as a 'preferences:change' CustomEvent on document
+   * @param {Function} listener - Called with a copy of the preferences
+   * @returns {Function} - Unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function get() {
+    return JSON.parse(JSON.stringify(preferences));
+  }
+
+  /**
+   * Change some preferences, save and apply them
+   * @param {Object} changes - Any of theme, contrast, textScale, dyslexiaFont, motion
+   */
+  function set(changes) {
+    const next = normalize(Object.assign({}, preferences, changes), preferences);
+    if (JSON.stringify(next) === JSON.stringify(preferences)) return;
+
+    preferences = next;
+    save(preferences);
+    apply(preferences);
+
+    listeners.forEach(listener => {
+      try {
+        listener(get());
+      } catch (error) {
+        console.error('Preferences listener error:', error);
+      }
+    });
+    document.dispatchEvent(new CustomEvent('preferences:change', { detail: get() }));
+  }
+
+  function reset() {
+    set(defaultPreferences());
+  }
+
+  // ========== DIALOG ==========
+  function initDialog() {
+    const dialog = document.getElementById('a11y-dialog');
+    const openButton = document.querySelector('.a11y-toggle-btn');
+    if (!dialog || !openButton) return;
+
+    const form = dialog.querySelector('form');
+    const liveRegion = document.getElementById('form-status');
+
+    /**
+     * Announce to screen readers
+     * @param {string} message - Message to announce
+     */
+    function announceToScreenReader(message) {
+      if (liveRegion) {
+        liveRegion.textContent = message;
+        setTimeout(() => {
+          liveRegion.textContent = '';
+        }, 1000);
+      }
+    }
+
+    function fillForm() {
+      const prefs = preferences;
+      form.elements.theme.value = prefs.theme;
+      form.elements.highContrast.checked = prefs.contrast === 'high';
+      form.elements.textScale.value = String(prefs.textScale);
+      form.elements.dyslexiaFont.checked = prefs.dyslexiaFont;
+      form.elements.motionLevel.value = prefs.motion.level || 'system';
+    }
+
+    function open() {
+      fillForm();
+      if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+      } else {
+        dialog.setAttribute('open', '');
+      }
+      openButton.setAttribute('aria-expanded', 'true');
+    }
+
+    function close() {
+      if (typeof dialog.close === 'function') {
+        dialog.close();
+      } else {
+        dialog.removeAttribute('open');
+        dialog.dispatchEvent(new Event('close'));
+      }
+    }
+
+    openButton.addEventListener('click', open);
+
+    dialog.addEventListener('close', () => {
+      openButton.setAttribute('aria-expanded', 'false');
+      openButton.focus();
+    });
+
+    // Click on the backdrop closes
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) close();
+    });
+
+    // Settings apply as soon as they change
+    form.addEventListener('change', (e) => {
+      const field = e.target;
+
+      switch (field.name) {
+        case 'theme':
+          set({ theme: field.value });
+          break;
+        case 'highContrast':
+          set({ contrast: field.checked ? 'high' : 'normal' });
+          break;
+        case 'textScale':
+          set({ textScale: Number(field.value) });
+          break;
+        case 'dyslexiaFont':
+          set({ dyslexiaFont: field.checked });
+          break;
+        case 'motionLevel':
+          set({
+            motion: {
+              level: field.value === 'system' ? null : field.value,
+              categories: preferences.motion.categories
+            }
+          });
+          break;
+        default:
+          return;
+      }
+      announceToScreenReader('Setting saved');
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      close();
+    });
+
+    const resetButton = form.querySelector('[data-action="reset"]');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        reset();
+        fillForm();
+        announceToScreenReader('Settings reset to defaults');
+      });
+    }
+
+    // Keep the form in step with changes made elsewhere (e.g. the motion popover)
+    subscribe(() => {
+      if (dialog.open) fillForm();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDialog);
+  } else {
+    initDialog();
+  }
+
+  window.a11yPreferences = {
+    OPTIONS: OPTIONS,
+    SCHEMA_VERSION: SCHEMA_VERSION,
+    get: get,
+    set: set,
+    reset: reset,
+    subscribe: subscribe
+  };
+
+})();
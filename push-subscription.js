@@ -0,0 +1,248 @@
+/**
+ * Push Subscriptions
+ * Registers the service worker (sw.js) and lets donors turn on status
+ * notifications for a donation from the success message.
+ *
+ * With <meta name="push-public-key"> set (VAPID key, base64url) the browser's
+ * push service is used. Without it, or while the mock API is active, a local
+ * stand-in subscription is created and the mock hands pushes to the service
+ * worker directly.
+ */
+
+(function() {
+  'use strict';
+
+  const keyMeta = document.querySelector('meta[name="push-public-key"]');
+
+  const CONFIG = {
+    serviceWorkerURL: './sw.js',
+    publicKey: keyMeta ? keyMeta.getAttribute('content') : '',
+    storageKey: 'pushSubscriptions' // { endpoint, donationIds } for this device
+  };
+
+  const container = document.getElementById('form-push');
+  const toggleButton = document.getElementById('form-push-toggle');
+  const statusText = document.getElementById('form-push-text');
+  const liveRegion = document.getElementById('form-status');
+  let currentDonationId = null;
+
+  /**
+   * Announce to screen readers
+   * @param {string} message - Message to announce
+   */
+  function announceToScreenReader(message) {
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      setTimeout(() => {
+        liveRegion.textContent = '';
+      }, 3000);
+    }
+  }
+
+  function isSupported() {
+    return 'serviceWorker' in navigator && 'Notification' in window &&
+      (window.location.protocol === 'https:' || window.location.hostname === 'localhost' ||
+        window.location.hostname === '127.0.0.1');
+  }
+
+  function useStandIn() {
+    return !CONFIG.publicKey || !('PushManager' in window) ||
+      (window.mockAPI && window.mockAPI.isInstalled());
+  }
+
+  function readState() {
+    try {
+      return JSON.parse(localStorage.getItem(CONFIG.storageKey)) || { endpoint: null, donationIds: [] };
+    } catch (e) {
+      return { endpoint: null, donationIds: [] };
+    }
+  }
+
+  function writeState(state) {
+    try {
+      localStorage.setItem(CONFIG.storageKey, JSON.stringify(state));
+    } catch (e) {
+      console.warn('Unable to save push subscriptions:', e);
+    }
+  }
+
+  /**
+   * VAPID key for pushManager.subscribe()
+   * @param {string} base64url
+   * @returns {Uint8Array}
+   */
+  function decodeKey(base64url) {
+    const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  let registration = null;
+
+  /**
+   * Register the service worker (once per page)
+   * @returns {Promise<ServiceWorkerRegistration|null>} - Active registration
+   */
+  function register() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+      return Promise.resolve(null);
+    }
+    if (!registration) {
+      registration = navigator.serviceWorker.register(CONFIG.serviceWorkerURL)
+        .then(() => navigator.serviceWorker.ready)
+        .catch(error => {
+          console.warn('Service worker registration failed:', error);
+          registration = null;
+          return null;
+        });
+    }
+    return registration;
+  }
+
+  /**
+   * This device's push subscription (JSON), creating one if needed
+   * @returns {Promise<Object>} - { endpoint, keys }
+   */
+  async function getSubscription() {
+    const state = readState();
+
+    if (useStandIn()) {
+      const endpoint = state.endpoint && state.endpoint.startsWith('standin:')
+        ? state.endpoint
+        : 'standin:' + Math.random().toString(36).substr(2, 12);
+      return { endpoint: endpoint, keys: {} };
+    }
+
+    const ready = await register();
+    if (!ready) throw new Error('Notifications aren\'t available in this browser.');
+
+    const existing = await ready.pushManager.getSubscription();
+    const subscription = existing || await ready.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeKey(CONFIG.publicKey)
+    });
+    return subscription.toJSON();
+  }
+
+  /**
+   * Turn on status notifications for a donation
+   * @param {string} donationId
+   * @throws {Error|ApiError} - Message is safe to display
+   */
+  async function subscribe(donationId) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked. Allow them in your browser settings to get updates.');
+    }
+
+    await register();
+    const subscription = await getSubscription();
+    await window.apiClient.post('/api/push/subscriptions', { subscription: subscription, donationId: donationId });
+
+    const state = readState();
+    state.endpoint = subscription.endpoint;
+    if (!state.donationIds.includes(donationId)) state.donationIds.push(donationId);
+    writeState(state);
+  }
+
+  /**
+   * Turn off status notifications for a donation
+   * @param {string} donationId
+   * @throws {ApiError}
+   */
+  async function unsubscribe(donationId) {
+    const state = readState();
+    if (!state.endpoint) return;
+
+    await window.apiClient.delete('/api/push/subscriptions?endpoint=' + encodeURIComponent(state.endpoint) +
+      '&donationId=' + encodeURIComponent(donationId));
+
+    state.donationIds = state.donationIds.filter(id => id !== donationId);
+    writeState(state);
+
+    // Nothing left to hear about: drop the browser subscription too
+    if (state.donationIds.length === 0 && !useStandIn()) {
+      const ready = await register();
+      const existing = ready && await ready.pushManager.getSubscription();
+      if (existing) await existing.unsubscribe();
+    }
+  }
+
+  function isSubscribed(donationId) {
+    return readState().donationIds.includes(donationId);
+  }
+
+  /**
+   * Show a notification through the service worker, as if pushed
+   * @param {Object} payload - { title, body, donationId, status, url }
+   */
+  async function simulate(payload) {
+    const ready = await register();
+    if (ready && ready.active) ready.active.postMessage({ type: 'push', payload: payload });
+  }
+
+  // ========== SUCCESS MESSAGE CONTROL ==========
+  function renderToggle() {
+    const subscribed = isSubscribed(currentDonationId);
+    const blocked = Notification.permission === 'denied';
+
+    toggleButton.hidden = blocked;
+    toggleButton.textContent = subscribed ? 'Turn off updates' : 'Turn on updates';
+    toggleButton.setAttribute('aria-pressed', subscribed ? 'true' : 'false');
+    statusText.textContent = blocked
+      ? 'Notifications are blocked in your browser settings.'
+      : subscribed
+        ? 'You\'ll get a notification on this device when its status changes.'
+        : 'Get a notification on this device when its status changes.';
+  }
+
+  async function toggle() {
+    const donationId = currentDonationId;
+    const subscribed = isSubscribed(donationId);
+
+    toggleButton.disabled = true;
+    toggleButton.setAttribute('aria-busy', 'true');
+
+    try {
+      if (subscribed) {
+        await unsubscribe(donationId);
+        announceToScreenReader('Status updates turned off.');
+      } else {
+        await subscribe(donationId);
+        announceToScreenReader('Status updates turned on.');
+      }
+      renderToggle();
+    } catch (error) {
+      statusText.textContent = error.message;
+      announceToScreenReader(error.message);
+      console.error('Push subscription error:', error);
+    } finally {
+      toggleButton.disabled = false;
+      toggleButton.removeAttribute('aria-busy');
+    }
+  }
+
+  if (container && isSupported()) {
+    toggleButton.addEventListener('click', toggle);
+
+    document.addEventListener('donations:change', (e) => {
+      const detail = e.detail || {};
+      if (detail.action !== 'submitted' && detail.action !== 'updated') return;
+
+      currentDonationId = detail.id;
+      container.hidden = false;
+      renderToggle();
+    });
+  }
+
+  register();
+
+  window.pushNotifications = {
+    config: CONFIG,
+    isSupported: isSupported,
+    subscribe: subscribe,
+    unsubscribe: unsubscribe,
+    isSubscribed: isSubscribed,
+    simulate: simulate
+  };
+
+})();
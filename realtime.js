@@ -0,0 +1,180 @@
+/**
+ * Realtime Donation Status
+ * Pushes status transitions for a donation over Server-Sent Events (default)
+ * or WebSocket, with reconnect/backoff, heartbeat detection and a polling
+ * fallback. Choose the transport with <meta name="realtime-transport"
+ * content="sse|websocket|poll">.
+ *
+ * Server contract (see dev-server.js):
+ *   SSE  GET /api/donations/:id/events  -> `status` events (donation JSON), `heartbeat` events
+ *   WS   /api/realtime                  <- { type: 'subscribe', donationId }
+ *                                       -> { type: 'status', donation } | { type: 'heartbeat' }
+ *   Poll GET /api/donations/:id
+ */
+
+(function() {
+  'use strict';
+
+  const transportMeta = document.querySelector('meta[name="realtime-transport"]');
+
+  const CONFIG = {
+    transport: transportMeta ? transportMeta.getAttribute('content') : 'sse',
+    heartbeatTimeout: 45000,   // Reconnect if nothing (not even a heartbeat) arrives for this long
+    minReconnectDelay: 1000,
+    maxReconnectDelay: 30000,
+    maxFailures: 3,            // Consecutive failed connections before falling back to polling
+    pollInterval: 10000
+  };
+
+  // No further updates after these
+  const FINAL_STATUSES = ['picked_up', 'cancelled'];
+
+  function apiURL(path) {
+    const base = window.apiClient.config.baseURL || window.location.origin;
+    return new URL(path, base.endsWith('/') ? base : base + '/').toString();
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} failures - Consecutive failures so far
+   * @returns {number} - Delay (ms)
+   */
+  function reconnectDelay(failures) {
+    const delay = Math.min(CONFIG.minReconnectDelay * Math.pow(2, failures), CONFIG.maxReconnectDelay);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
+  /**
+   * Pick the transport for this page
+   * The mock API only intercepts fetch, so it always means polling
+   * @returns {string} - 'sse' | 'websocket' | 'poll'
+   */
+  function chooseTransport() {
+    if (window.mockAPI && window.mockAPI.isInstalled()) return 'poll';
+    if (CONFIG.transport === 'websocket' && 'WebSocket' in window) return 'websocket';
+    if (CONFIG.transport === 'sse' && 'EventSource' in window) return 'sse';
+    return 'poll';
+  }
+
+  /**
+   * Receive status transitions for one donation
+   * @param {string} donationId
+   * @param {Function} onUpdate - Called with the donation whenever its status changes
+   * @param {Object} [options]
+   * @param {string} [options.status] - Status already known (not reported again)
+   * @returns {Function} - Unsubscribe
+   */
+  function subscribe(donationId, onUpdate, options = {}) {
+    let transport = chooseTransport();
+    let lastStatus = options.status || null;
+    let failures = 0;
+    let connection = null;
+    let heartbeatTimer = null;
+    let retryTimer = null;
+    let pollTimer = null;
+    let closed = false;
+
+    function receive(donation) {
+      if (!donation || donation.id !== donationId || donation.status === lastStatus) return;
+      lastStatus = donation.status;
+      onUpdate(donation);
+      if (FINAL_STATUSES.includes(donation.status)) unsubscribe();
+    }
+
+    // Any message proves the connection is alive
+    function resetHeartbeat() {
+      failures = 0;
+      clearTimeout(heartbeatTimer);
+      heartbeatTimer = setTimeout(() => {
+        console.warn('Realtime: heartbeat missed, reconnecting');
+        reconnect();
+      }, CONFIG.heartbeatTimeout);
+    }
+
+    function disconnect() {
+      clearTimeout(heartbeatTimer);
+      if (connection) {
+        connection.onopen = connection.onmessage = connection.onerror = connection.onclose = null;
+        connection.close();
+        connection = null;
+      }
+    }
+
+    function reconnect() {
+      disconnect();
+      if (closed) return;
+
+      failures++;
+      if (failures >= CONFIG.maxFailures) {
+        console.warn(`Realtime: ${transport} unavailable, falling back to polling`);
+        transport = 'poll';
+        poll();
+        return;
+      }
+      retryTimer = setTimeout(connect, reconnectDelay(failures));
+    }
+
+    function connectSSE() {
+      connection = new EventSource(apiURL(`/api/donations/${encodeURIComponent(donationId)}/events`));
+      connection.onopen = resetHeartbeat;
+      connection.addEventListener('heartbeat', resetHeartbeat);
+      connection.addEventListener('status', (e) => {
+        resetHeartbeat();
+        receive(JSON.parse(e.data));
+      });
+      // Take over from EventSource's built-in retry so backoff and fallback apply
+      connection.onerror = reconnect;
+    }
+
+    function connectWebSocket() {
+      connection = new WebSocket(apiURL('/api/realtime').replace(/^http/, 'ws'));
+      connection.onopen = () => {
+        resetHeartbeat();
+        connection.send(JSON.stringify({ type: 'subscribe', donationId: donationId }));
+      };
+      connection.onmessage = (e) => {
+        resetHeartbeat();
+        const message = JSON.parse(e.data);
+        if (message.type === 'status') receive(message.donation);
+      };
+      connection.onclose = reconnect;
+    }
+
+    async function poll() {
+      if (closed) return;
+      try {
+        receive(await window.apiClient.get(`/api/donations/${encodeURIComponent(donationId)}`));
+      } catch (error) {
+        console.warn('Realtime: poll failed:', error.message);
+      }
+      if (!closed) pollTimer = setTimeout(poll, CONFIG.pollInterval);
+    }
+
+    function connect() {
+      if (closed) return;
+      if (transport === 'sse') {
+        connectSSE();
+      } else if (transport === 'websocket') {
+        connectWebSocket();
+      } else {
+        poll();
+      }
+    }
+
+    function unsubscribe() {
+      closed = true;
+      disconnect();
+      clearTimeout(retryTimer);
+      clearTimeout(pollTimer);
+    }
+
+    connect();
+    return unsubscribe;
+  }
+
+  window.realtime = {
+    config: CONFIG,
+    subscribe: subscribe
+  };
+
+})();
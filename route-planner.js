@@ -0,0 +1,317 @@
+/**
+ * Volunteer Route Planner
+ * Orders a volunteer's claimed pickups and a drop-off into an itinerary that
+ * honours pickup windows and vehicle capacity, with an ETA per stop.
+ * Distances come from a pluggable matrix (straight-line by default), so it
+ * runs offline, in the browser or under Node.
+ */
+
+(function(global) {
+  'use strict';
+
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const geo = isNode ? require('./geo.js') : global.geo;
+
+  const DEFAULTS = {
+    speedKmh: 25,         // Average urban driving speed
+    detourFactor: 1.3,    // Road distance vs. straight line
+    serviceMinutes: 10,   // Time spent loading/unloading at each stop
+    maxExactStops: 8      // Above this, order stops greedily instead of trying every order
+  };
+
+  const MINUTE_MS = 60000;
+
+  /**
+   * Distance matrix from straight-line distances
+   * A matrix is a function (points) => { distancesKm: number[][], minutes: number[][] }
+   * and may return a Promise (e.g. a routing service)
+   * @param {Object} [options] - { speedKmh, detourFactor }
+   * @returns {Function}
+   */
+  function createStraightLineMatrix(options = {}) {
+    const speedKmh = options.speedKmh || DEFAULTS.speedKmh;
+    const detourFactor = options.detourFactor || DEFAULTS.detourFactor;
+
+    return function straightLineMatrix(points) {
+      const distancesKm = points.map(from => points.map(to => geo.haversineKm(from, to) * detourFactor));
+      const minutes = distancesKm.map(row => row.map(km => km / speedKmh * 60));
+      return { distancesKm, minutes };
+    };
+  }
+
+  function toTime(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Why a pickup can't be scheduled before any ordering is tried
+   * @param {Object} stop
+   * @param {number} capacityLbs
+   * @returns {string|null}
+   */
+  function precheck(stop, capacityLbs) {
+    if (!stop.location) return 'No pickup location';
+    if ((stop.weightLbs || 0) > capacityLbs) return 'Heavier than the vehicle can carry';
+    return null;
+  }
+
+  /**
+   * Search for the best order of pickups
+   * @param {Object} problem - { stops, capacityLbs, startTime, serviceMs, travel(i, j) in ms }
+   *   Point indexes: 0 = start, 1..n = stops, n + 1 = drop-off
+   * @param {boolean} exact - Try every order (true) or take the earliest next stop (false)
+   * @returns {Object} - { sequence: number[] (point indexes, unloads included), finish }
+   */
+  function search(problem, exact) {
+    const { stops, capacityLbs, serviceMs, travel } = problem;
+    const dropOff = stops.length + 1;
+    let best = null;
+
+    // Better = more pickups served, then earlier finish
+    function consider(sequence, served, finish) {
+      if (!best || served > best.served || (served === best.served && finish < best.finish)) {
+        best = { sequence: sequence.slice(), served, finish };
+      }
+    }
+
+    /**
+     * Visit a pickup next, unloading at the drop-off first if it wouldn't fit
+     * @returns {Object|null} - Resulting state, or null if its window would be missed
+     */
+    function visit(state, index) {
+      const stop = stops[index - 1];
+      let { at, time, load } = state;
+      const path = [];
+
+      if (load + stop.weightLbs > capacityLbs) {
+        time += travel(at, dropOff) + serviceMs;
+        at = dropOff;
+        load = 0;
+        path.push(dropOff);
+      }
+
+      const arrival = time + travel(at, index);
+      if (stop.end !== null && arrival > stop.end) return null;
+
+      path.push(index);
+      return {
+        at: index,
+        time: Math.max(arrival, stop.start === null ? arrival : stop.start) + serviceMs,
+        load: load + stop.weightLbs,
+        path
+      };
+    }
+
+    function finishTime(state) {
+      return state.at === 0 ? state.time : state.time + travel(state.at, dropOff) + serviceMs;
+    }
+
+    function explore(state, remaining, sequence, served) {
+      consider(sequence, served, finishTime(state));
+
+      // Nothing left that could beat the best found so far
+      if (best.served >= served + remaining.length && state.time >= best.finish) return;
+
+      const options = remaining
+        .map(index => ({ index, next: visit(state, index) }))
+        .filter(option => option.next)
+        .sort((a, b) => a.next.time - b.next.time);
+
+      (exact ? options : options.slice(0, 1)).forEach(({ index, next }) => {
+        explore(
+          next,
+          remaining.filter(i => i !== index),
+          sequence.concat(next.path),
+          served + 1
+        );
+      });
+    }
+
+    const candidates = stops.map((stop, i) => i + 1).filter(index => !stops[index - 1].skip);
+    explore({ at: 0, time: problem.startTime, load: 0 }, candidates, [], 0);
+    return best;
+  }
+
+  /**
+   * Plan a multi-stop pickup run
+   * @param {Object} input
+   * @param {Object} input.start - { label, location: { lat, lng } } (volunteer's base)
+   * @param {Date|string} [input.startTime] - Departure (default: now)
+   * @param {number} input.capacityLbs - Vehicle capacity
+   * @param {Object[]} input.stops - [{ id, label, location, weightLbs, window: { start, end } }]
+   * @param {Object} input.dropOff - { label, location }
+   * @param {Object} [options]
+   * @param {Function} [options.matrix] - Distance matrix (default: straight line)
+   * @param {number} [options.serviceMinutes]
+   * @returns {Promise<Object>} - { stops: [{ type: 'start'|'pickup'|'dropoff', id, label,
+   *   location, arrival, departure, waitMinutes, distanceKm, loadLbs, window }],
+   *   unscheduled: [{ stop, reason }], totalDistanceKm, totalMinutes, startTime, finish }
+   */
+  async function plan(input, options = {}) {
+    const matrix = options.matrix || createStraightLineMatrix(options);
+    const serviceMs = (options.serviceMinutes !== undefined ? options.serviceMinutes : DEFAULTS.serviceMinutes) * MINUTE_MS;
+    const capacityLbs = input.capacityLbs || Infinity;
+    const startTime = toTime(input.startTime) || Date.now();
+
+    if (!input.start || !input.start.location) throw new Error('A starting point is required');
+    if (!input.dropOff || !input.dropOff.location) throw new Error('A drop-off destination is required');
+
+    const stops = (input.stops || []).map(stop => {
+      const win = stop.window || {};
+      const reason = precheck(stop, capacityLbs);
+      return {
+        source: stop,
+        weightLbs: stop.weightLbs || 0,
+        start: toTime(win.start),
+        end: toTime(win.end),
+        skip: reason,
+        location: stop.location
+      };
+    });
+
+    // Stops without a location still need a row; they're never visited
+    const points = [input.start.location]
+      .concat(stops.map(stop => stop.location || input.start.location))
+      .concat([input.dropOff.location]);
+    const table = await matrix(points);
+    const travel = (i, j) => table.minutes[i][j] * MINUTE_MS;
+
+    const exact = stops.filter(stop => !stop.skip).length <= (options.maxExactStops || DEFAULTS.maxExactStops);
+    const best = search({ stops, capacityLbs, startTime, serviceMs, travel }, exact);
+
+    // Walk the chosen sequence to build the itinerary
+    const dropOffIndex = stops.length + 1;
+    const sequence = best.sequence.slice();
+    if (sequence.length > 0) sequence.push(dropOffIndex);
+
+    const itinerary = [{
+      type: 'start',
+      label: input.start.label || 'Start',
+      location: input.start.location,
+      arrival: null,
+      departure: new Date(startTime),
+      waitMinutes: 0,
+      distanceKm: 0,
+      loadLbs: 0
+    }];
+    let at = 0;
+    let time = startTime;
+    let load = 0;
+    let totalDistanceKm = 0;
+
+    sequence.forEach(index => {
+      const distanceKm = table.distancesKm[at][index];
+      const arrival = time + travel(at, index);
+      const isDropOff = index === dropOffIndex;
+      const stop = isDropOff ? null : stops[index - 1];
+      const ready = stop && stop.start !== null ? Math.max(arrival, stop.start) : arrival;
+
+      load = isDropOff ? 0 : load + stop.weightLbs;
+      time = ready + serviceMs;
+      totalDistanceKm += distanceKm;
+      at = index;
+
+      itinerary.push({
+        type: isDropOff ? 'dropoff' : 'pickup',
+        id: isDropOff ? null : stop.source.id,
+        label: isDropOff ? (input.dropOff.label || 'Drop-off') : (stop.source.label || stop.source.id),
+        location: isDropOff ? input.dropOff.location : stop.location,
+        arrival: new Date(arrival),
+        departure: new Date(time),
+        waitMinutes: Math.round((ready - arrival) / MINUTE_MS),
+        distanceKm: Math.round(distanceKm * 10) / 10,
+        loadLbs: Math.round(load),
+        window: isDropOff ? null : stop.source.window || null
+      });
+    });
+
+    const visited = new Set(best.sequence);
+    const unscheduled = stops
+      .map((stop, i) => ({ stop, index: i + 1 }))
+      .filter(({ index }) => !visited.has(index))
+      .map(({ stop }) => ({
+        stop: stop.source,
+        reason: stop.skip || 'Can\'t be reached within its pickup window'
+      }));
+
+    return {
+      stops: itinerary,
+      unscheduled: unscheduled,
+      totalDistanceKm: Math.round(totalDistanceKm * 10) / 10,
+      totalMinutes: Math.round((time - startTime) / MINUTE_MS),
+      startTime: new Date(startTime),
+      finish: new Date(time)
+    };
+  }
+
+  function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+  }
+
+  /**
+   * Plain-text run sheet for printing or sharing
+   * @param {Object} result - From plan()
+   * @param {Object} [options]
+   * @param {string} [options.title='Pickup run']
+   * @param {string} [options.timeZone] - Zone for times (default: the device's)
+   * @returns {string}
+   */
+  function formatRunSheet(result, options = {}) {
+    const time = (date) => date.toLocaleTimeString([], {
+      timeZone: options.timeZone, hour: 'numeric', minute: '2-digit'
+    });
+    const day = result.startTime.toLocaleDateString([], {
+      timeZone: options.timeZone, weekday: 'short', month: 'short', day: 'numeric'
+    });
+    const lines = [`${options.title || 'Pickup run'} — ${day}`, ''];
+
+    result.stops.forEach((stop, i) => {
+      if (stop.type === 'start') {
+        lines.push(`Start: ${stop.label}, leave ${time(stop.departure)}`);
+        return;
+      }
+
+      const heading = stop.type === 'dropoff' ? 'Drop off' : 'Pick up';
+      const details = [`ETA ${time(stop.arrival)}`, `${stop.distanceKm} km`];
+      if (stop.waitMinutes > 0) details.push(`wait ${stop.waitMinutes} min`);
+      if (stop.window && stop.window.start && stop.window.end) {
+        details.push(`window ${time(new Date(stop.window.start))}–${time(new Date(stop.window.end))}`);
+      }
+      if (stop.type === 'pickup') details.push(`load ${stop.loadLbs} lbs`);
+      lines.push(`${i}. ${heading}: ${stop.label} (${details.join(', ')})`);
+    });
+
+    if (result.stops.length > 1) {
+      lines.push('', `Total: ${result.totalDistanceKm} km, ${formatDuration(result.totalMinutes)}, done by ${time(result.finish)}`);
+    } else {
+      lines.push('', 'No pickups can be scheduled.');
+    }
+
+    if (result.unscheduled.length > 0) {
+      lines.push('', 'Not scheduled:');
+      result.unscheduled.forEach(({ stop, reason }) => {
+        lines.push(`- ${stop.label || stop.id}: ${reason}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  const routePlanner = {
+    DEFAULTS: DEFAULTS,
+    createStraightLineMatrix: createStraightLineMatrix,
+    plan: plan,
+    formatDuration: formatDuration,
+    formatRunSheet: formatRunSheet
+  };
+
+  if (isNode) {
+    module.exports = routePlanner;
+  } else {
+    global.routePlanner = routePlanner;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,163 @@
+/**
+ * Route planner tests on a one-dimensional fixture map (Node, no dependencies)
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const routePlanner = require('./route-planner.js');
+
+// Every point sits on a line at x = lng: 1 unit is 5 km and 10 minutes of driving
+function lineMatrix(points) {
+  const distancesKm = points.map(from => points.map(to => Math.abs(from.lng - to.lng) * 5));
+  const minutes = distancesKm.map(row => row.map(km => km * 2));
+  return { distancesKm, minutes };
+}
+
+function at(x) {
+  return { lat: 0, lng: x };
+}
+
+const START_TIME = '2026-10-20T09:00:00Z';
+
+// Minutes after START_TIME as an ISO string
+function after(minutes) {
+  return new Date(Date.parse(START_TIME) + minutes * 60000).toISOString();
+}
+
+function stop(id, x, options = {}) {
+  return {
+    id: id,
+    label: `Pickup ${id}`,
+    location: x === null ? null : at(x),
+    weightLbs: options.weightLbs || 10,
+    window: options.window || {}
+  };
+}
+
+function run(stops, options = {}) {
+  return routePlanner.plan({
+    start: { label: 'Base', location: at(0) },
+    startTime: START_TIME,
+    capacityLbs: options.capacityLbs || 500,
+    stops: stops,
+    dropOff: { label: 'Pantry', location: at(options.dropOffAt !== undefined ? options.dropOffAt : 4) }
+  }, Object.assign({ matrix: lineMatrix, serviceMinutes: 0 }, options.planOptions));
+}
+
+function route(result) {
+  return result.stops.map(s => s.type === 'pickup' ? s.id : s.type);
+}
+
+test('orders pickups by shortest run and times every stop', async () => {
+  const result = await run([stop('A', 3), stop('B', 1)]);
+
+  assert.deepStrictEqual(route(result), ['start', 'B', 'A', 'dropoff']);
+  assert.deepStrictEqual(result.stops.map(s => s.distanceKm), [0, 5, 10, 5]);
+  assert.deepStrictEqual(result.stops.slice(1).map(s => s.arrival.toISOString()), [after(10), after(30), after(40)]);
+  assert.deepStrictEqual(result.stops.map(s => s.loadLbs), [0, 10, 20, 0]);
+  assert.strictEqual(result.totalDistanceKm, 20);
+  assert.strictEqual(result.totalMinutes, 40);
+  assert.strictEqual(result.finish.toISOString(), after(40));
+  assert.deepStrictEqual(result.unscheduled, []);
+});
+
+test('service time and early arrivals delay the following stops', async () => {
+  const result = await run([stop('A', 1, { window: { start: after(30), end: after(60) } })], {
+    planOptions: { serviceMinutes: 5 }
+  });
+  const pickup = result.stops[1];
+
+  assert.strictEqual(pickup.arrival.toISOString(), after(10));
+  assert.strictEqual(pickup.waitMinutes, 20);
+  assert.strictEqual(pickup.departure.toISOString(), after(35));
+  assert.strictEqual(result.finish.toISOString(), after(35 + 30 + 5));
+});
+
+test('a closing window puts its pickup first', async () => {
+  // B first would be shorter but reaches A at 50 minutes, after its window closes
+  const result = await run([stop('A', 3, { window: { end: after(40) } }), stop('B', -1)]);
+
+  assert.deepStrictEqual(route(result), ['start', 'A', 'B', 'dropoff']);
+  assert.deepStrictEqual(result.unscheduled, []);
+});
+
+test('a pickup that can\'t be reached in its window is left unscheduled', async () => {
+  const late = stop('A', 3, { window: { start: after(0), end: after(20) } });
+  const result = await run([late, stop('B', 1)]);
+
+  assert.deepStrictEqual(route(result), ['start', 'B', 'dropoff']);
+  assert.deepStrictEqual(result.unscheduled, [{ stop: late, reason: 'Can\'t be reached within its pickup window' }]);
+});
+
+test('pickups without a location or too heavy for the vehicle are never tried', async () => {
+  const nowhere = stop('A', null);
+  const heavy = stop('B', 1, { weightLbs: 150 });
+  const result = await run([nowhere, heavy, stop('C', 2)], { capacityLbs: 100 });
+
+  assert.deepStrictEqual(route(result), ['start', 'C', 'dropoff']);
+  assert.deepStrictEqual(result.unscheduled, [
+    { stop: nowhere, reason: 'No pickup location' },
+    { stop: heavy, reason: 'Heavier than the vehicle can carry' }
+  ]);
+});
+
+test('a full vehicle unloads at the drop-off before the next pickup', async () => {
+  const result = await run([stop('A', 1, { weightLbs: 60 }), stop('B', 2, { weightLbs: 60 })], {
+    capacityLbs: 100,
+    dropOffAt: 3
+  });
+
+  assert.deepStrictEqual(route(result), ['start', 'A', 'dropoff', 'B', 'dropoff']);
+  assert.deepStrictEqual(result.stops.map(s => s.loadLbs), [0, 60, 0, 60, 0]);
+  assert.deepStrictEqual(result.stops.map(s => s.distanceKm), [0, 5, 10, 5, 5]);
+  assert.strictEqual(result.totalMinutes, 50);
+});
+
+test('above maxExactStops the next stop is chosen greedily', async () => {
+  // Greedy takes the nearby A first and then misses B's window; trying every order serves both
+  const stops = [stop('A', 1), stop('B', -3, { window: { end: after(30) } })];
+
+  const exact = await run(stops);
+  assert.deepStrictEqual(route(exact), ['start', 'B', 'A', 'dropoff']);
+  assert.deepStrictEqual(exact.unscheduled, []);
+
+  const greedy = await run(stops, { planOptions: { maxExactStops: 1 } });
+  assert.deepStrictEqual(route(greedy), ['start', 'A', 'dropoff']);
+  assert.deepStrictEqual(greedy.unscheduled.map(u => u.stop.id), ['B']);
+});
+
+test('the start and drop-off are required', async () => {
+  await assert.rejects(routePlanner.plan({ dropOff: { location: at(1) } }, { matrix: lineMatrix }),
+    /A starting point is required/);
+  await assert.rejects(routePlanner.plan({ start: { location: at(0) } }, { matrix: lineMatrix }),
+    /A drop-off destination is required/);
+});
+
+test('the run sheet numbers stops after the start', async () => {
+  const result = await run([stop('A', 3), stop('B', 1), stop('C', null)]);
+  const lines = routePlanner.formatRunSheet(result, { timeZone: 'UTC' }).split('\n');
+
+  assert.match(lines[2], /^Start: Base, leave /);
+  assert.match(lines[3], /^1\. Pick up: Pickup B \(ETA .+, 5 km, load 10 lbs\)$/);
+  assert.match(lines[4], /^2\. Pick up: Pickup A \(ETA .+, 10 km, load 20 lbs\)$/);
+  assert.match(lines[5], /^3\. Drop off: Pantry \(ETA .+, 5 km\)$/);
+  assert.match(lines[7], /^Total: 20 km, 40 min, done by /);
+  assert.deepStrictEqual(lines.slice(8), ['', 'Not scheduled:', '- Pickup C: No pickup location']);
+});
+
+test('the run sheet says when nothing can be scheduled', async () => {
+  const result = await run([stop('A', null)]);
+
+  assert.deepStrictEqual(route(result), ['start']);
+  assert.deepStrictEqual(routePlanner.formatRunSheet(result, { timeZone: 'UTC' }).split('\n').slice(3), [
+    '',
+    'No pickups can be scheduled.',
+    '',
+    'Not scheduled:',
+    '- Pickup A: No pickup location'
+  ]);
+  assert.strictEqual(routePlanner.formatDuration(135), '2 h 15 min');
+});
@@ -0,0 +1,381 @@
+/**
+ * Client-side Router
+ * Maps paths to views with the History API: deep links, back/forward, and the
+ * document title and focus on every navigation. A view is every element with
+ * that data-view name; the others are hidden.
+ *
+ * Links to sections (#impact) keep the smooth scroll below the sticky header,
+ * switching to the section's view first. Old links to sections that are now
+ * views (/#donate) are redirected to the view's path (/donate).
+ *
+ * Pages without views (claim-board.html) only get the section scrolling.
+ * View changes reach appRouter.subscribe() listeners and a 'route:change'
+ * event on document.
+ */
+
+(function() {
+  'use strict';
+
+  const HEADER_OFFSET = 80; // Sticky header height
+  const SITE_NAME = 'Food Rescue Network';
+
+  // Paths from the site root; a null title keeps the page's own <title>
+  const ROUTES = {
+    '/': { view: 'home', title: null },
+    '/donate': { view: 'donate', title: 'Donate Surplus Food' },
+    '/volunteer': { view: 'volunteer', title: 'Volunteer With Us' },
+    '/my-donations': { view: 'my-donations', title: 'My Donations' },
+    '/about': { view: 'about', title: 'About Us' },
+    '/contact': { view: 'contact', title: 'Contact' },
+    '/terms': { view: 'terms', title: 'Terms of Service' },
+    '/privacy': { view: 'privacy', title: 'Privacy Policy' },
+    '/accessibility': { view: 'accessibility', title: 'Accessibility' }
+  };
+
+  const ALIASES = {
+    '/index.html': '/'
+  };
+
+  const NOT_FOUND = { view: 'not-found', title: 'Page not found' };
+
+  // Site root: routes are one segment deep, so every view's directory is the root
+  const BASE = new URL('./', document.baseURI).pathname;
+  const HOME_TITLE = document.title;
+  const views = document.querySelectorAll('[data-view]');
+
+  /**
+   * Route path for a URL pathname
+   * @param {string} pathname - e.g. '/donate'
+   * @returns {string|null} - e.g. '/donate', or null outside the site
+   */
+  function routePath(pathname) {
+    if (!pathname.startsWith(BASE)) return null;
+    const path = '/' + pathname.slice(BASE.length);
+    return ALIASES[path] || path;
+  }
+
+  function toPathname(path) {
+    return BASE + path.slice(1);
+  }
+
+  /**
+   * First path showing a view
+   * @param {string} view
+   * @returns {string|null}
+   */
+  function pathForView(view) {
+    return Object.keys(ROUTES).find(path => ROUTES[path].view === view) || null;
+  }
+
+  function findTarget(hash) {
+    return hash && hash.length > 1 ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+  }
+
+  function isHidden(element) {
+    return !!element.closest('[hidden]');
+  }
+
+  /**
+   * Focus for keyboard and screen reader users without adding a tab stop
+   * @param {HTMLElement} element
+   */
+  function focusElement(element) {
+    if (!element.hasAttribute('tabindex')) {
+      element.setAttribute('tabindex', '-1');
+
+      // Remove tabindex after focus (so it doesn't stay in tab order)
+      element.addEventListener('blur', function() {
+        element.removeAttribute('tabindex');
+      }, { once: true });
+    }
+    element.focus({ preventScroll: true });
+  }
+
+  /**
+   * Scroll a section into view below the header (smoothly while motion is on) and focus it
+   * @param {HTMLElement} target
+   */
+  function scrollToSection(target) {
+    const elementPosition = target.getBoundingClientRect().top;
+    const offsetPosition = elementPosition + window.pageYOffset - HEADER_OFFSET;
+
+    const motionEnabled = window.motionUtils && window.motionUtils.isMotionEnabled();
+
+    window.scrollTo({
+      top: offsetPosition,
+      behavior: motionEnabled ? 'smooth' : 'auto'
+    });
+
+    // Set focus to target for keyboard users
+    focusElement(target);
+  }
+
+  // ========== PAGES WITHOUT VIEWS ==========
+  if (views.length === 0) {
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('a[href^="#"]');
+      if (!link || e.defaultPrevented) return;
+
+      const target = findTarget(link.getAttribute('href'));
+      if (target) {
+        e.preventDefault();
+        scrollToSection(target);
+      }
+    });
+
+    window.appRouter = {
+      ROUTES: ROUTES,
+      navigate: function(url) {
+        window.location.assign(toPathname(url));
+      },
+      getCurrentRoute: function() {
+        return null;
+      },
+      scrollToSection: scrollToSection,
+      subscribe: function() {
+        return () => {};
+      }
+    };
+    return;
+  }
+
+  // ========== VIEWS ==========
+  let current = null; // { path, view, title }
+
+  /**
+   * Where a path and hash should lead: a section in another view takes its
+   * view's path, without the hash when the section is the view itself
+   * @param {string} path
+   * @param {string} hash
+   * @returns {Object} - { path, hash }
+   */
+  function resolve(path, hash) {
+    const target = findTarget(hash);
+    const view = target && target.closest('[data-view]');
+    const route = ROUTES[path];
+    if (!view || (route && route.view === view.dataset.view)) {
+      return { path: path, hash: hash };
+    }
+
+    const viewStart = document.querySelector(`[data-view="${view.dataset.view}"]`);
+    return {
+      path: pathForView(view.dataset.view),
+      hash: target === viewStart ? '' : hash
+    };
+  }
+
+  /**
+   * Mark links to the current path for assistive technology
+   */
+  function markCurrentLinks() {
+    document.querySelectorAll('.nav-link, .footer-link').forEach(link => {
+      const url = new URL(link.href, document.baseURI);
+      const isCurrent = url.origin === window.location.origin && !url.hash &&
+        routePath(url.pathname) === current.path;
+
+      if (isCurrent) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * Heading that names a view (focused after navigating)
+   * @param {string} view
+   * @returns {HTMLElement|null}
+   */
+  function viewHeading(view) {
+    return document.querySelector(`[data-view="${view}"] h1, [data-view="${view}"] h2`);
+  }
+
+  // ========== CHANGE EVENTS ==========
+  const listeners = new Set();
+
+  /**
+   * Listen for view changes
+   * Also dispatched as a 'route:change' CustomEvent on document
+   * @param {Function} listener - Called with { path, view, title }
+   * @returns {Function} - Unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function notify() {
+    const route = Object.assign({}, current);
+
+    listeners.forEach(listener => {
+      try {
+        listener(route);
+      } catch (error) {
+        console.error('Route listener error:', error);
+      }
+    });
+    document.dispatchEvent(new CustomEvent('route:change', { detail: route }));
+  }
+
+  /**
+   * Show the view for a path
+   * @param {string} path
+   * @param {string} hash - Section to scroll to
+   * @param {Object} options - { focus: move focus to the view, scrollY: restore a position }
+   */
+  function render(path, hash, options) {
+    const route = ROUTES[path] || NOT_FOUND;
+    const viewChanged = !current || current.view !== route.view;
+
+    current = {
+      path: path,
+      view: route.view,
+      title: route.title ? `${route.title} – ${SITE_NAME}` : HOME_TITLE
+    };
+
+    views.forEach(view => {
+      view.hidden = view.dataset.view !== route.view;
+    });
+    document.title = current.title;
+    markCurrentLinks();
+
+    const target = findTarget(hash);
+
+    if (typeof options.scrollY === 'number') {
+      window.scrollTo(0, options.scrollY);
+      if (options.focus && viewChanged) focusView(route.view);
+    } else if (target && !isHidden(target)) {
+      if (viewChanged) window.scrollTo(0, 0);
+      scrollToSection(target);
+    } else {
+      window.scrollTo(0, 0);
+      if (options.focus) focusView(route.view);
+    }
+
+    if (viewChanged) notify();
+  }
+
+  function focusView(view) {
+    const heading = viewHeading(view);
+    if (heading) focusElement(heading);
+  }
+
+  /**
+   * Write a history entry
+   * @param {string} method - pushState | replaceState
+   * @param {Object} state
+   * @param {string} [url]
+   */
+  function writeHistory(method, state, url) {
+    try {
+      history[method](state, '', url);
+    } catch (error) {
+      // file:// pages can't change their path: show the view without it
+      history[method](state, '');
+    }
+  }
+
+  /**
+   * Remember the scroll position of the current history entry
+   */
+  function saveScroll() {
+    writeHistory('replaceState', Object.assign({}, history.state, { scrollY: window.pageYOffset }));
+  }
+
+  /**
+   * Go to a view (and optionally a section in it)
+   * @param {string} url - Route path with an optional hash, e.g. '/donate' or '/#impact'
+   * @param {Object} [options] - { replace: replace the current history entry }
+   */
+  function navigate(url, options) {
+    const opts = options || {};
+    const hashIndex = url.indexOf('#');
+    const destination = resolve(
+      hashIndex === -1 ? url : url.slice(0, hashIndex),
+      hashIndex === -1 ? '' : url.slice(hashIndex)
+    );
+
+    // Following a link to the page you're on doesn't add an entry
+    const replace = opts.replace || (destination.path === current.path && !destination.hash);
+
+    saveScroll();
+    writeHistory(
+      replace ? 'replaceState' : 'pushState',
+      { path: destination.path },
+      toPathname(destination.path) + window.location.search + destination.hash
+    );
+    render(destination.path, destination.hash, { focus: true });
+  }
+
+  // Links to views and sections
+  document.addEventListener('click', (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+    const href = link.getAttribute('href');
+    if (href === '#' || href === '#!') return;
+
+    const url = new URL(link.href, document.baseURI);
+    if (url.origin !== window.location.origin) return;
+
+    // Section on the current view: smooth scroll, no history entry
+    const target = findTarget(url.hash);
+    if (target && url.pathname === window.location.pathname && !isHidden(target)) {
+      e.preventDefault();
+      scrollToSection(target);
+      return;
+    }
+
+    // Other documents (claim-board.html, files) load as usual
+    const path = routePath(url.pathname);
+    if (!path || !ROUTES[path]) return;
+
+    e.preventDefault();
+    navigate(path + url.hash);
+  });
+
+  // Back / forward
+  window.addEventListener('popstate', (e) => {
+    const state = e.state || {};
+    render(state.path || routePath(window.location.pathname) || '/', window.location.hash, {
+      focus: true,
+      scrollY: state.scrollY
+    });
+  });
+
+  // Positions are restored from history state once the view is showing
+  if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+  }
+
+  // Deep link (or old section link) this page was opened with; a reload keeps its position
+  const initialState = history.state || {};
+  const initial = resolve(routePath(window.location.pathname) || '/', window.location.hash);
+  writeHistory(
+    'replaceState',
+    Object.assign({}, initialState, { path: initial.path }),
+    toPathname(initial.path) + window.location.search + initial.hash
+  );
+  render(initial.path, initial.hash, { focus: false, scrollY: initialState.scrollY });
+
+  window.addEventListener('pagehide', saveScroll);
+
+  window.appRouter = {
+    ROUTES: ROUTES,
+    navigate: navigate,
+
+    /**
+     * Current view
+     * @returns {Object} - { path, view, title }
+     */
+    getCurrentRoute: function() {
+      return Object.assign({}, current);
+    },
+
+    scrollToSection: scrollToSection,
+    subscribe: subscribe
+  };
+
+})();
@@ -0,0 +1,136 @@
+/**
+ * Impact Stats Feed
+ * Loads /api/stats with a TTL cache (localStorage) and periodic refresh.
+ * Failed loads fall back to the last cached values.
+ */
+
+(function() {
+  'use strict';
+
+  const CONFIG = {
+    endpoint: '/api/stats',
+    cacheKey: 'impactStats',
+    ttl: 60 * 1000,              // Serve cached stats for this long (ms)
+    refreshInterval: 60 * 1000,  // Poll while the page is visible (ms)
+    retryDelay: 5 * 1000         // First retry when nothing has loaded yet; doubles up to refreshInterval (ms)
+  };
+
+  /**
+   * Read the cached entry
+   * @returns {Object|null} - { stats, fetchedAt }
+   */
+  function readCache() {
+    try {
+      const entry = JSON.parse(localStorage.getItem(CONFIG.cacheKey));
+      return entry && entry.stats ? entry : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeCache(stats) {
+    try {
+      localStorage.setItem(CONFIG.cacheKey, JSON.stringify({ stats, fetchedAt: Date.now() }));
+    } catch (e) {
+      console.warn('Unable to cache stats:', e);
+    }
+  }
+
+  /**
+   * Cached stats, even if stale
+   * @returns {Object|null}
+   */
+  function getCached() {
+    const entry = readCache();
+    return entry ? entry.stats : null;
+  }
+
+  /**
+   * Load stats (from cache while fresh, otherwise from the API)
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Skip the cache
+   * @returns {Promise<Object|null>} - Stats, last cached stats on failure, or null
+   */
+  async function load(options = {}) {
+    const entry = readCache();
+    if (!options.force && entry && Date.now() - entry.fetchedAt < CONFIG.ttl) {
+      return entry.stats;
+    }
+
+    try {
+      const stats = await window.apiClient.get(CONFIG.endpoint, { retries: 0 });
+      writeCache(stats);
+      return stats;
+    } catch (error) {
+      console.warn('Unable to load stats, using cached values:', error.message);
+      return entry ? entry.stats : null;
+    }
+  }
+
+  /**
+   * Load now, then on every refresh interval while the page is visible
+   * Until the first load succeeds (and with nothing cached), retries sooner
+   * with backoff
+   * @param {Function} onStats - Called with each loaded stats object
+   * @param {Function} [onUnavailable] - Called when a load gets no stats at all
+   * @returns {Function} - Stops refreshing
+   */
+  function watch(onStats, onUnavailable) {
+    let timer = null;
+    let retryTimer = null;
+    let retryDelay = CONFIG.retryDelay;
+
+    async function refresh() {
+      clearTimeout(retryTimer);
+      const stats = await load();
+      if (stats) {
+        retryDelay = CONFIG.retryDelay;
+        onStats(stats);
+        return;
+      }
+
+      if (onUnavailable) onUnavailable();
+      if (timer) {
+        retryTimer = setTimeout(refresh, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, CONFIG.refreshInterval);
+      }
+    }
+
+    function start() {
+      if (timer) return;
+      timer = setInterval(refresh, CONFIG.refreshInterval);
+    }
+
+    function stop() {
+      clearInterval(timer);
+      clearTimeout(retryTimer);
+      timer = null;
+    }
+
+    function onVisibilityChange() {
+      if (document.hidden) {
+        stop();
+      } else {
+        refresh();
+        start();
+      }
+    }
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    refresh();
+    if (!document.hidden) start();
+
+    return () => {
+      stop();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }
+
+  window.statsFeed = {
+    config: CONFIG,
+    getCached: getCached,
+    load: load,
+    watch: watch
+  };
+
+})();
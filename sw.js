@@ -0,0 +1,147 @@
+/**
+ * Service Worker
+ * Precaches the page shell so the site opens offline, caches other
+ * same-origin assets as they're used, and shows donation status pushes.
+ *
+ * Served from the site root so its scope covers every page.
+ * Push payloads: { title, body, donationId, status, url }
+ * Local push stand-in: postMessage({ type: 'push', payload }) behaves like a push event
+ */
+
+'use strict';
+
+importScripts('./scripts/asset-manifest.js');
+
+const CACHE_VERSION = 'v6';
+const PRECACHE = `food-rescue-precache-${CACHE_VERSION}`;
+const RUNTIME = `food-rescue-runtime-${CACHE_VERSION}`;
+
+// Every page, stylesheet and script (see asset-manifest.js)
+const PRECACHE_URLS = self.assetManifest.ALL;
+
+// ========== LIFECYCLE ==========
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from earlier versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== PRECACHE && key !== RUNTIME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ========== FETCH ==========
+
+/**
+ * Network first, falling back to the cached page shell
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(request)) || caches.match('./index.html');
+  }
+}
+
+/**
+ * Cached copy right away, refreshed in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(event) {
+  const cached = await caches.match(event.request);
+  const network = fetch(event.request).then(async response => {
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME);
+      await cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+
+  // API calls stay live (the offline queue handles submissions)
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (event.request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event.request));
+  } else {
+    event.respondWith(handleAsset(event));
+  }
+});
+
+// ========== PUSH ==========
+
+/**
+ * Show a donation status notification
+ * @param {Object} payload - { title, body, donationId, status, url }
+ * @returns {Promise}
+ */
+function showPush(payload) {
+  const data = payload || {};
+  return self.registration.showNotification(data.title || 'Food Rescue', {
+    body: data.body || '',
+    // One notification per donation, replaced as its status changes
+    tag: data.donationId ? `donation-${data.donationId}` : undefined,
+    renotify: !!data.donationId,
+    data: { url: data.url || './#my-donations' }
+  });
+}
+
+self.addEventListener('push', (event) => {
+  let payload;
+  try {
+    payload = event.data ? event.data.json() : null;
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+  event.waitUntil(showPush(payload));
+});
+
+// Local push stand-in (see push-subscription.js and mock-api.js)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'push') {
+    event.waitUntil(showPush(event.data.payload));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.registration.scope).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(client => client.url.split('#')[0] === url.split('#')[0]);
+      if (open) {
+        return open.navigate(url).then(client => (client || open).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,476 @@
+/**
+ * Validation Engine
+ * Schema-driven rules (required, minLength, pattern, min/max, custom,
+ * async and cross-field) that can be attached to any form, or run
+ * headlessly (Node/jsdom) against plain value objects
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * Built-in rules: (value, param) => boolean
+   * Only run on non-empty values; emptiness is handled by `required`
+   */
+  const RULES = {
+    minLength: (value, min) => String(value).trim().length >= min,
+    maxLength: (value, max) => String(value).trim().length <= max,
+    pattern: (value, regex) => regex.test(String(value)),
+    min: (value, min) => parseFloat(value) >= min,
+    max: (value, max) => parseFloat(value) <= max,
+    oneOf: (value, options) => options.includes(value)
+  };
+
+  // Fallback messages when a field doesn't define its own
+  const DEFAULT_MESSAGES = {
+    required: 'This field is required',
+    minLength: (min) => `Must be at least ${min} characters`,
+    maxLength: (max) => `Must be no more than ${max} characters`,
+    pattern: 'Please enter a valid value',
+    min: (min) => `Must be at least ${min}`,
+    max: (max) => `Must be no more than ${max}`,
+    oneOf: 'Please select a valid option',
+    test: 'Please enter a valid value',
+    minItems: (min) => `Add at least ${min} ${min === 1 ? 'item' : 'items'}`
+  };
+
+  function isEmpty(value) {
+    return value === undefined || value === null || value === false ||
+      (typeof value === 'string' && value.trim() === '') ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Message for a failed rule
+   * Precedence: messages[rule] > message > default
+   * @param {Object} fieldSchema
+   * @param {string} rule
+   * @returns {string}
+   */
+  function messageFor(fieldSchema, rule) {
+    if (fieldSchema.messages && fieldSchema.messages[rule]) {
+      return fieldSchema.messages[rule];
+    }
+    if (fieldSchema.message) return fieldSchema.message;
+
+    const fallback = DEFAULT_MESSAGES[rule];
+    return typeof fallback === 'function' ? fallback(fieldSchema[rule]) : fallback;
+  }
+
+  /**
+   * Create a validator from a schema
+   *
+   * Schema shape:
+   *   {
+   *     fields: {
+   *       email: { required: true, pattern: /.../, message: '...' },
+   *       quantity: { test: (value, values) => boolean, message: '...' },
+   *       businessId: { asyncTest: async (value, values) => boolean|string },
+   *       items: { minItems: 1, each: { foodType: { required: true } } }
+   *     },
+   *     rules: [
+   *       { fields: ['start', 'end'], target: 'end', test: (values) => boolean, message: '...' }
+   *     ]
+   *   }
+   *
+   * @param {Object} schema
+   * @returns {Object} - Headless validator
+   */
+  function createValidator(schema) {
+    const fields = schema.fields || {};
+    const crossRules = schema.rules || [];
+
+    /**
+     * Look up a field schema by path ('email' or 'items.foodType')
+     * @param {string} path
+     * @returns {Object|undefined}
+     */
+    function getFieldSchema(path) {
+      const [name, child] = path.split('.');
+      const fieldSchema = fields[name];
+      if (!child) return fieldSchema;
+      return fieldSchema && fieldSchema.each ? fieldSchema.each[child] : undefined;
+    }
+
+    /**
+     * Run the synchronous rules for one value
+     * @param {string} path - Field name or 'list.child' for array items
+     * @param {*} value
+     * @param {Object} [values] - All values (for rules that need context)
+     * @returns {string|null} - Error message, or null if valid
+     */
+    function validateValue(path, value, values) {
+      const fieldSchema = getFieldSchema(path);
+      if (!fieldSchema) return null;
+
+      if (isEmpty(value)) {
+        return fieldSchema.required ? messageFor(fieldSchema, 'required') : null;
+      }
+
+      for (const rule of Object.keys(RULES)) {
+        if (fieldSchema[rule] !== undefined && !RULES[rule](value, fieldSchema[rule])) {
+          return messageFor(fieldSchema, rule);
+        }
+      }
+
+      if (fieldSchema.test && !fieldSchema.test(value, values || {})) {
+        return messageFor(fieldSchema, 'test');
+      }
+
+      return null;
+    }
+
+    /**
+     * Run sync rules, then the async check for one value
+     * @returns {Promise<string|null>}
+     */
+    async function validateValueAsync(path, value, values) {
+      const error = validateValue(path, value, values);
+      const fieldSchema = getFieldSchema(path);
+      if (error || !fieldSchema || !fieldSchema.asyncTest || isEmpty(value)) {
+        return error;
+      }
+
+      const result = await fieldSchema.asyncTest(value, values || {});
+      if (result === true) return null;
+      return typeof result === 'string' ? result : messageFor(fieldSchema, 'test');
+    }
+
+    /**
+     * Whether a field has an async check
+     * @param {string} path
+     * @returns {boolean}
+     */
+    function hasAsync(path) {
+      const fieldSchema = getFieldSchema(path);
+      return !!(fieldSchema && fieldSchema.asyncTest);
+    }
+
+    /**
+     * Run cross-field rules
+     * @param {Object} values
+     * @returns {Object} - { [target]: message } for failed rules
+     */
+    function validateCrossField(values) {
+      const errors = {};
+      crossRules.forEach(rule => {
+        const target = rule.target || rule.fields[rule.fields.length - 1];
+        if (errors[target]) return;
+
+        // Only compare once every involved field has a value
+        const ready = rule.fields.every(name => !isEmpty(values[name]));
+        if (!ready) return;
+
+        const result = rule.test(values);
+        if (result !== true) {
+          errors[target] = typeof result === 'string' ? result : rule.message;
+        }
+      });
+      return errors;
+    }
+
+    /**
+     * Validate a full value object (sync rules + cross-field rules)
+     * Array fields with `each` report errors as 'list.index.child'
+     * @param {Object} values
+     * @returns {Object} - { valid, errors }
+     */
+    function validateAll(values) {
+      const errors = {};
+
+      Object.keys(fields).forEach(name => {
+        const fieldSchema = fields[name];
+
+        if (fieldSchema.each) {
+          const list = Array.isArray(values[name]) ? values[name] : [];
+          if (fieldSchema.minItems && list.length < fieldSchema.minItems) {
+            errors[name] = messageFor(fieldSchema, 'minItems');
+          }
+          list.forEach((item, index) => {
+            Object.keys(fieldSchema.each).forEach(child => {
+              const error = validateValue(`${name}.${child}`, item[child], values);
+              if (error) errors[`${name}.${index}.${child}`] = error;
+            });
+          });
+          return;
+        }
+
+        const error = validateValue(name, values[name], values);
+        if (error) errors[name] = error;
+      });
+
+      const crossErrors = validateCrossField(values);
+      Object.keys(crossErrors).forEach(name => {
+        if (!errors[name]) errors[name] = crossErrors[name];
+      });
+
+      return { valid: Object.keys(errors).length === 0, errors: errors };
+    }
+
+    /**
+     * validateAll plus async checks
+     * @param {Object} values
+     * @returns {Promise<Object>} - { valid, errors }
+     */
+    async function validateAllAsync(values) {
+      const result = validateAll(values);
+
+      const pending = Object.keys(fields)
+        .filter(name => fields[name].asyncTest && !result.errors[name])
+        .map(async name => {
+          const error = await validateValueAsync(name, values[name], values);
+          if (error) result.errors[name] = error;
+        });
+
+      await Promise.all(pending);
+      result.valid = Object.keys(result.errors).length === 0;
+      return result;
+    }
+
+    return {
+      schema: schema,
+      getFieldSchema: getFieldSchema,
+      hasAsync: hasAsync,
+      validateValue: validateValue,
+      validateValueAsync: validateValueAsync,
+      validateCrossField: validateCrossField,
+      validateAll: validateAll,
+      validateAllAsync: validateAllAsync
+    };
+  }
+
+  // ========== DOM BINDING ==========
+
+  /**
+   * Attach a schema to a form: inline errors, aria-invalid, live revalidation
+   *
+   * Fields are matched by `data-validate` (e.g. "items.foodType") or name.
+   * Errors render into the element with id `${field.id}-error`, or for
+   * checkbox groups (several checkboxes sharing a name, validated as an
+   * array of checked values) into `[data-error-for="${name}"]`.
+   *
+   * @param {HTMLFormElement} form
+   * @param {Object} schema - See createValidator
+   * @param {Object} [options]
+   * @param {Function} [options.getValues] - Returns the values object used by
+   *   test/cross-field rules (defaults to named form fields)
+   * @param {boolean} [options.live=true] - Validate on blur, revalidate on input/change
+   * @returns {Object} - { validator, validateField, validateForm, clearErrors, showFieldError }
+   */
+  function attach(form, schema, options = {}) {
+    const validator = createValidator(schema);
+    const live = options.live !== false;
+
+    // Latest async check per field; results from older checks are dropped
+    const asyncChecks = new WeakMap();
+
+    function fieldPath(field) {
+      return field.dataset.validate || field.name;
+    }
+
+    /**
+     * Whether a checkbox belongs to a group sharing its name
+     * @param {HTMLElement} field
+     * @returns {boolean}
+     */
+    function isCheckboxGroup(field) {
+      return field.type === 'checkbox' &&
+        form.querySelectorAll(`input[type="checkbox"][name="${field.name}"]`).length > 1;
+    }
+
+    function fieldValue(field) {
+      if (isCheckboxGroup(field)) {
+        return Array.from(form.querySelectorAll(`input[type="checkbox"][name="${field.name}"]:checked`))
+          .map(input => input.value);
+      }
+      return field.type === 'checkbox' ? field.checked : field.value;
+    }
+
+    /**
+     * Default values: every named field (checkbox -> boolean, group -> array)
+     * @returns {Object}
+     */
+    function defaultValues() {
+      const values = {};
+      Array.from(form.elements).forEach(field => {
+        if (field.name) values[field.name] = fieldValue(field);
+      });
+      return values;
+    }
+
+    function getValues() {
+      return options.getValues ? options.getValues() : defaultValues();
+    }
+
+    /**
+     * Whether the field takes part in validation right now
+     * (skips disabled fields and fields inside hidden sections)
+     * @param {HTMLElement} field
+     * @returns {boolean}
+     */
+    function isActive(field) {
+      return !!validator.getFieldSchema(fieldPath(field)) &&
+        !field.disabled && !field.closest('[hidden]');
+    }
+
+    /**
+     * Render (or clear) a field error
+     * @param {HTMLElement} field
+     * @param {string|null} message
+     */
+    function showFieldError(field, message) {
+      const errorElement = (field.id && form.querySelector(`[id="${field.id}-error"]`)) ||
+        form.querySelector(`[data-error-for="${field.name}"]`);
+
+      if (message) {
+        field.classList.add('error');
+        if (errorElement) {
+          errorElement.textContent = message;
+        }
+        field.setAttribute('aria-invalid', 'true');
+      } else {
+        field.classList.remove('error');
+        if (errorElement) {
+          errorElement.textContent = '';
+        }
+        field.setAttribute('aria-invalid', 'false');
+      }
+    }
+
+    /**
+     * Cross-field error for this field, if any
+     * @param {HTMLElement} field
+     * @param {Object} values
+     * @returns {string|null}
+     */
+    function crossFieldError(field, values) {
+      return validator.validateCrossField(values)[field.name] || null;
+    }
+
+    /**
+     * Sync rules, then the async check
+     * A check that throws (e.g. network down) is logged and leaves the sync result
+     * @returns {Promise<string|null>}
+     */
+    function checkValue(path, value, values) {
+      return validator.validateValueAsync(path, value, values).catch(checkError => {
+        console.error('Async validation error:', checkError);
+        return validator.validateValue(path, value, values);
+      });
+    }
+
+    /**
+     * Validate single field (sync rules + cross-field rules)
+     * Async checks, if any, run afterwards and update the field when done
+     * @param {HTMLElement} field - Form field to validate
+     * @returns {boolean} - True if valid (as far as sync rules can tell)
+     */
+    function validateField(field) {
+      if (!isActive(field)) return true;
+
+      const values = getValues();
+      const path = fieldPath(field);
+      const error = validator.validateValue(path, fieldValue(field), values) ||
+        crossFieldError(field, values);
+
+      const check = {};
+      asyncChecks.set(field, check);
+      field.removeAttribute('aria-busy');
+      showFieldError(field, error);
+
+      if (!error && validator.hasAsync(path)) {
+        field.setAttribute('aria-busy', 'true');
+        checkValue(path, fieldValue(field), values).then(asyncError => {
+          if (asyncChecks.get(field) !== check) return; // Superseded by a newer check
+          asyncChecks.delete(field);
+          field.removeAttribute('aria-busy');
+          showFieldError(field, asyncError);
+        });
+      }
+
+      return !error;
+    }
+
+    /**
+     * Validate entire form, including async checks
+     * @returns {Promise<boolean>} - True if all fields valid
+     */
+    async function validateForm() {
+      const values = getValues();
+      const crossErrors = validator.validateCrossField(values);
+      const fields = Array.from(form.querySelectorAll('input, select, textarea')).filter(isActive);
+
+      const results = await Promise.all(fields.map(async field => {
+        // Pending checks from validateField would overwrite this result
+        asyncChecks.delete(field);
+        field.removeAttribute('aria-busy');
+
+        const error = await checkValue(fieldPath(field), fieldValue(field), values) ||
+          crossErrors[field.name] || null;
+        showFieldError(field, error);
+        return !error;
+      }));
+
+      return results.every(Boolean);
+    }
+
+    /**
+     * Clear all form errors
+     */
+    function clearErrors() {
+      form.querySelectorAll('.error').forEach(el => el.classList.remove('error'));
+      form.querySelectorAll('.form-error').forEach(el => el.textContent = '');
+      form.querySelectorAll('[aria-invalid="true"]').forEach(el => {
+        el.setAttribute('aria-invalid', 'false');
+      });
+    }
+
+    if (live) {
+      // Real-time validation on blur
+      form.addEventListener('blur', (e) => {
+        if (e.target.matches('input, select, textarea')) {
+          validateField(e.target);
+        }
+      }, true); // Use capture phase
+
+      // Clear errors on input (immediate feedback)
+      form.addEventListener('input', (e) => {
+        if (e.target.classList.contains('error')) {
+          validateField(e.target);
+        }
+      });
+
+      // Clear errors on change (for select/checkbox)
+      form.addEventListener('change', (e) => {
+        if (e.target.matches('select, input[type="checkbox"]')) {
+          if (e.target.classList.contains('error')) {
+            validateField(e.target);
+          }
+        }
+      });
+    }
+
+    return {
+      validator: validator,
+      validateField: validateField,
+      validateForm: validateForm,
+      clearErrors: clearErrors,
+      showFieldError: showFieldError
+    };
+  }
+
+  const validationEngine = {
+    RULES: RULES,
+    DEFAULT_MESSAGES: DEFAULT_MESSAGES,
+    createValidator: createValidator,
+    attach: attach
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node (headless rule tests with jsdom)
+    module.exports = validationEngine;
+  } else {
+    global.validationEngine = validationEngine;
+  }
+
+})(typeof window !== 'undefined' ? window : globalThis);
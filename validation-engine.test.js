@@ -0,0 +1,357 @@
+/**
+ * Validation Engine tests (Node; the form binding runs in jsdom)
+ * Usage: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { createValidator, attach } = require('./validation-engine.js');
+
+test('required fails on blank, whitespace, unchecked and empty lists', () => {
+  const validator = createValidator({
+    fields: { name: { required: true, message: 'Enter a name' } }
+  });
+
+  ['', '   ', null, undefined, false, []].forEach(value => {
+    assert.strictEqual(validator.validateValue('name', value), 'Enter a name');
+  });
+  assert.strictEqual(validator.validateValue('name', 'Ada'), null);
+});
+
+test('optional fields skip their rules when empty', () => {
+  const validator = createValidator({
+    fields: { phone: { pattern: /^\d+$/, minLength: 7 } }
+  });
+
+  assert.strictEqual(validator.validateValue('phone', ''), null);
+  assert.strictEqual(validator.validateValue('phone', '12'), 'Must be at least 7 characters');
+});
+
+test('pattern uses messages[rule], then message, then the default', () => {
+  const schema = {
+    fields: {
+      a: { pattern: /^\d+$/, messages: { pattern: 'Digits only' }, message: 'Invalid' },
+      b: { pattern: /^\d+$/, message: 'Invalid' },
+      c: { pattern: /^\d+$/ }
+    }
+  };
+  const validator = createValidator(schema);
+
+  assert.strictEqual(validator.validateValue('a', 'x1'), 'Digits only');
+  assert.strictEqual(validator.validateValue('b', 'x1'), 'Invalid');
+  assert.strictEqual(validator.validateValue('c', 'x1'), 'Please enter a valid value');
+  assert.strictEqual(validator.validateValue('c', '42'), null);
+});
+
+test('min and max compare numbers, bounds included', () => {
+  const validator = createValidator({
+    fields: { quantity: { min: 1, max: 500 } }
+  });
+
+  assert.strictEqual(validator.validateValue('quantity', '0'), 'Must be at least 1');
+  assert.strictEqual(validator.validateValue('quantity', '1'), null);
+  assert.strictEqual(validator.validateValue('quantity', '500'), null);
+  assert.strictEqual(validator.validateValue('quantity', '500.5'), 'Must be no more than 500');
+});
+
+test('custom test receives all values', () => {
+  const validator = createValidator({
+    fields: {
+      servings: { test: (value, values) => Number(value) <= values.capacity, message: 'Too many' }
+    }
+  });
+
+  assert.strictEqual(validator.validateValue('servings', '20', { capacity: 10 }), 'Too many');
+  assert.strictEqual(validator.validateValue('servings', '5', { capacity: 10 }), null);
+});
+
+test('each validates every item and minItems counts them', () => {
+  const validator = createValidator({
+    fields: {
+      items: {
+        minItems: 1,
+        each: {
+          foodType: { required: true, message: 'Choose a food type' },
+          quantity: { min: 1 }
+        }
+      }
+    }
+  });
+
+  assert.deepStrictEqual(validator.validateAll({ items: [] }).errors, { items: 'Add at least 1 item' });
+
+  const result = validator.validateAll({
+    items: [
+      { foodType: 'produce', quantity: '3' },
+      { foodType: '', quantity: '0' }
+    ]
+  });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, {
+    'items.1.foodType': 'Choose a food type',
+    'items.1.quantity': 'Must be at least 1'
+  });
+
+  assert.strictEqual(validator.validateValue('items.foodType', ''), 'Choose a food type');
+  assert.strictEqual(validator.validateAll({ items: [{ foodType: 'bakery', quantity: '2' }] }).valid, true);
+});
+
+test('cross-field rules wait for every field and report on the target', () => {
+  const validator = createValidator({
+    fields: { start: {}, end: {} },
+    rules: [
+      { fields: ['start', 'end'], test: (values) => values.end > values.start, message: 'End must be after start' }
+    ]
+  });
+
+  assert.deepStrictEqual(validator.validateCrossField({ start: '10:00', end: '' }), {});
+  assert.deepStrictEqual(validator.validateCrossField({ start: '10:00', end: '09:00' }), {
+    end: 'End must be after start'
+  });
+  assert.deepStrictEqual(validator.validateCrossField({ start: '10:00', end: '11:00' }), {});
+});
+
+test('cross-field rules can return their own message and keep the first error per target', () => {
+  const validator = createValidator({
+    fields: { start: {}, end: { required: true } },
+    rules: [
+      { fields: ['start', 'end'], target: 'start', test: () => 'Pick a shorter window' },
+      { fields: ['start', 'end'], target: 'start', test: () => false, message: 'Never shown' }
+    ]
+  });
+
+  assert.deepStrictEqual(validator.validateCrossField({ start: '1', end: '2' }), { start: 'Pick a shorter window' });
+
+  // Field errors win over cross-field errors
+  const result = validator.validateAll({ start: '1', end: '' });
+  assert.deepStrictEqual(result.errors, { end: 'This field is required' });
+});
+
+test('async checks run after sync rules pass', async () => {
+  const checked = [];
+  const validator = createValidator({
+    fields: {
+      code: {
+        pattern: /^[A-Z]+$/,
+        asyncTest: async (value) => {
+          checked.push(value);
+          if (value === 'TAKEN') return 'Already registered';
+          return value !== 'BAD';
+        },
+        message: 'Not recognised'
+      }
+    }
+  });
+
+  assert.strictEqual(validator.hasAsync('code'), true);
+  assert.strictEqual(await validator.validateValueAsync('code', 'bad'), 'Not recognised');
+  assert.strictEqual(await validator.validateValueAsync('code', ''), null);
+  assert.deepStrictEqual(checked, []);
+
+  assert.strictEqual(await validator.validateValueAsync('code', 'TAKEN'), 'Already registered');
+  assert.strictEqual(await validator.validateValueAsync('code', 'BAD'), 'Not recognised');
+  assert.strictEqual(await validator.validateValueAsync('code', 'OK'), null);
+});
+
+test('validateAllAsync adds async errors to the sync result', async () => {
+  const validator = createValidator({
+    fields: {
+      name: { required: true },
+      businessId: { asyncTest: async (value) => value === 'B-1' || 'Unknown business' }
+    }
+  });
+
+  const failed = await validator.validateAllAsync({ name: 'Cafe', businessId: 'B-2' });
+  assert.deepStrictEqual(failed, { valid: false, errors: { businessId: 'Unknown business' } });
+
+  const passed = await validator.validateAllAsync({ name: 'Cafe', businessId: 'B-1' });
+  assert.deepStrictEqual(passed, { valid: true, errors: {} });
+});
+
+// ========== FORM BINDING ==========
+
+const FORM_HTML = `
+  <form>
+    <input id="name" name="name">
+    <span class="form-error" id="name-error"></span>
+    <input id="code" name="code">
+    <span class="form-error" id="code-error"></span>
+    <input id="start" name="start">
+    <input id="end" name="end">
+    <span class="form-error" id="end-error"></span>
+    <input type="checkbox" name="days" value="MO">
+    <input type="checkbox" name="days" value="TU">
+    <span class="form-error" data-error-for="days"></span>
+    <input id="disabled" name="disabled" disabled>
+    <div hidden><input id="hidden" name="hidden"></div>
+  </form>
+`;
+
+function setup(schema, options) {
+  const { window } = new JSDOM(FORM_HTML);
+  const form = window.document.querySelector('form');
+  const field = (id) => window.document.getElementById(id);
+  const errorText = (id) => window.document.getElementById(`${id}-error`).textContent;
+  return { window, form, field, errorText, validation: attach(form, schema, options) };
+}
+
+// Promise settled by the test, for async checks that finish out of order
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('validateField renders and clears inline errors', () => {
+  const { field, errorText, validation } = setup({
+    fields: { name: { required: true, minLength: 2, message: 'Enter your name' } }
+  });
+
+  assert.strictEqual(validation.validateField(field('name')), false);
+  assert.strictEqual(errorText('name'), 'Enter your name');
+  assert.ok(field('name').classList.contains('error'));
+  assert.strictEqual(field('name').getAttribute('aria-invalid'), 'true');
+
+  field('name').value = 'Ada';
+  assert.strictEqual(validation.validateField(field('name')), true);
+  assert.strictEqual(errorText('name'), '');
+  assert.ok(!field('name').classList.contains('error'));
+  assert.strictEqual(field('name').getAttribute('aria-invalid'), 'false');
+});
+
+test('blur validates, and input revalidates a field showing an error', () => {
+  const { window, field, errorText } = setup({
+    fields: { name: { required: true, message: 'Enter your name' } }
+  });
+
+  field('name').dispatchEvent(new window.Event('blur'));
+  assert.strictEqual(errorText('name'), 'Enter your name');
+
+  field('name').value = 'Ada';
+  field('name').dispatchEvent(new window.Event('input', { bubbles: true }));
+  assert.strictEqual(errorText('name'), '');
+});
+
+test('checkbox groups validate as arrays and report into data-error-for', () => {
+  const { window, form, validation } = setup({
+    fields: { days: { required: true, message: 'Choose a day' } }
+  });
+  const [monday] = form.querySelectorAll('input[name="days"]');
+  const groupError = () => form.querySelector('[data-error-for="days"]').textContent;
+
+  assert.strictEqual(validation.validateField(monday), false);
+  assert.strictEqual(groupError(), 'Choose a day');
+
+  monday.checked = true;
+  monday.dispatchEvent(new window.Event('change', { bubbles: true }));
+  assert.strictEqual(groupError(), '');
+});
+
+test('disabled fields and fields in hidden sections are skipped', async () => {
+  const { field, validation } = setup({
+    fields: { disabled: { required: true }, hidden: { required: true } }
+  });
+
+  assert.strictEqual(validation.validateField(field('disabled')), true);
+  assert.strictEqual(validation.validateField(field('hidden')), true);
+  assert.strictEqual(await validation.validateForm(), true);
+});
+
+test('cross-field errors show on the target field', async () => {
+  const { field, errorText, validation } = setup({
+    fields: { start: {}, end: {} },
+    rules: [
+      { fields: ['start', 'end'], test: (values) => values.end > values.start, message: 'End must be after start' }
+    ]
+  });
+
+  field('start').value = '10:00';
+  field('end').value = '09:00';
+  assert.strictEqual(validation.validateField(field('end')), false);
+  assert.strictEqual(errorText('end'), 'End must be after start');
+
+  assert.strictEqual(await validation.validateForm(), false);
+
+  field('end').value = '11:00';
+  assert.strictEqual(await validation.validateForm(), true);
+  assert.strictEqual(errorText('end'), '');
+});
+
+test('validateForm waits for async checks', async () => {
+  const { field, errorText, validation } = setup({
+    fields: {
+      name: { required: true },
+      code: { asyncTest: async (value) => value === 'OK' || 'Unknown code' }
+    }
+  });
+
+  field('name').value = 'Ada';
+  field('code').value = 'NOPE';
+  assert.strictEqual(await validation.validateForm(), false);
+  assert.strictEqual(errorText('code'), 'Unknown code');
+
+  field('code').value = 'OK';
+  assert.strictEqual(await validation.validateForm(), true);
+  assert.strictEqual(errorText('code'), '');
+});
+
+test('validateField shows async results, dropping ones a newer check replaced', async () => {
+  const pending = [];
+  const { field, errorText, validation } = setup({
+    fields: {
+      code: {
+        asyncTest: (value) => {
+          const check = deferred();
+          pending.push(check);
+          return check.promise.then(() => value === 'OK' || 'Unknown code');
+        }
+      }
+    }
+  });
+
+  field('code').value = 'NOPE';
+  assert.strictEqual(validation.validateField(field('code')), true);
+  assert.strictEqual(field('code').getAttribute('aria-busy'), 'true');
+
+  field('code').value = 'OK';
+  validation.validateField(field('code'));
+
+  // The newer check finishes first; the older one must not overwrite it
+  pending[1].resolve();
+  await tick();
+  assert.strictEqual(errorText('code'), '');
+  assert.ok(!field('code').hasAttribute('aria-busy'));
+
+  pending[0].resolve();
+  await tick();
+  assert.strictEqual(errorText('code'), '');
+});
+
+test('an async check that throws leaves the sync result instead of rejecting', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const { field, errorText, validation } = setup({
+    fields: {
+      name: { required: true, message: 'Enter your name' },
+      code: { required: true, asyncTest: async () => { throw new Error('network down'); } }
+    }
+  });
+
+  field('code').value = 'ABC';
+  assert.strictEqual(await validation.validateForm(), false); // name is still empty
+  assert.strictEqual(errorText('name'), 'Enter your name');
+  assert.strictEqual(errorText('code'), '');
+
+  field('name').value = 'Ada';
+  assert.strictEqual(await validation.validateForm(), true);
+
+  assert.strictEqual(validation.validateField(field('code')), true);
+  await tick();
+  assert.ok(!field('code').hasAttribute('aria-busy'));
+  assert.strictEqual(errorText('code'), '');
+  assert.strictEqual(logged.mock.callCount(), 3);
+});
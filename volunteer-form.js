@@ -0,0 +1,231 @@
+/**
+ * Volunteer Registration
+ * Availability, service radius, vehicle and certification details
+ * Same inline validation and messaging conventions as the donation form
+ */
+
+(function() {
+  'use strict';
+
+  const form = document.getElementById('volunteer-form');
+  if (!form) return;
+
+  const submitButton = form.querySelector('.btn-submit');
+  const successMessage = document.getElementById('volunteer-success');
+  const errorMessage = document.getElementById('volunteer-error');
+  const errorText = document.getElementById('volunteer-error-text');
+  const certificationSelect = document.getElementById('volunteer-certification');
+  const certExpiryGroup = document.getElementById('volunteer-cert-expiry-group');
+  const liveRegion = document.getElementById('form-status');
+
+  // Validation schema (see validation-engine.js for the rule vocabulary)
+  const volunteerSchema = {
+    fields: {
+      name: {
+        required: true,
+        minLength: 2,
+        message: 'Name must be at least 2 characters'
+      },
+      email: {
+        required: true,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        message: 'Please enter a valid email address'
+      },
+      phone: {
+        required: true,
+        pattern: /^[\d\s\-\+\(\)]{10,}$/,
+        message: 'Please enter a valid phone number (at least 10 digits)'
+      },
+      availabilityDays: {
+        required: true,
+        message: 'Please choose at least one day'
+      },
+      availableFrom: {
+        required: true,
+        message: 'Please choose a start time'
+      },
+      availableUntil: {
+        required: true,
+        message: 'Please choose an end time'
+      },
+      serviceRadius: {
+        required: true,
+        min: 1,
+        max: 50,
+        message: 'Service radius must be between 1 and 50 miles'
+      },
+      vehicleType: {
+        required: true,
+        message: 'Please select a vehicle type'
+      },
+      vehicleCapacity: {
+        required: true,
+        test: (value) => parseFloat(value) > 0,
+        message: 'Capacity must be greater than 0'
+      },
+      foodHandlerCertification: {
+        required: true,
+        message: 'Please tell us about your food handler certification'
+      },
+      certificationExpires: {
+        required: true,
+        test: (value) => new Date(value + 'T23:59:59') > new Date(),
+        messages: {
+          required: 'Please enter your certificate expiry date',
+          test: 'Your certificate has expired. Choose "Not certified" or renew it first.'
+        }
+      },
+      terms: {
+        required: true,
+        message: 'You must agree to the terms and conditions'
+      }
+    },
+    rules: [
+      {
+        fields: ['availableFrom', 'availableUntil'],
+        target: 'availableUntil',
+        // An earlier end time runs past midnight (22:00-02:00)
+        test: (values) => values.availableUntil !== values.availableFrom,
+        message: 'End time must be different from start time'
+      }
+    ]
+  };
+
+  const validation = window.validationEngine.attach(form, volunteerSchema);
+
+  /**
+   * Announce to screen readers
+   * @param {string} message - Message to announce
+   */
+  function announceToScreenReader(message) {
+    if (liveRegion) {
+      liveRegion.textContent = message;
+      setTimeout(() => {
+        liveRegion.textContent = '';
+      }, 3000);
+    }
+  }
+
+  function scrollBehavior() {
+    return window.motionUtils && window.motionUtils.isMotionEnabled() ? 'smooth' : 'auto';
+  }
+
+  /**
+   * Show success message
+   */
+  function showSuccess() {
+    successMessage.hidden = false;
+    errorMessage.hidden = true;
+    announceToScreenReader('Thank you! Your volunteer registration has been submitted.');
+
+    successMessage.scrollIntoView({ behavior: scrollBehavior(), block: 'nearest' });
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message to display
+   */
+  function showError(message) {
+    errorText.textContent = message || 'An error occurred. Please try again.';
+    errorMessage.hidden = false;
+    successMessage.hidden = true;
+    announceToScreenReader('An error occurred. Please try again.');
+
+    errorMessage.scrollIntoView({ behavior: scrollBehavior(), block: 'nearest' });
+  }
+
+  /**
+   * Set button loading state
+   * @param {boolean} loading - Whether button is loading
+   */
+  function setLoading(loading) {
+    submitButton.classList.toggle('loading', loading);
+    submitButton.disabled = loading;
+    submitButton.setAttribute('aria-busy', loading ? 'true' : 'false');
+  }
+
+  /**
+   * Show the expiry date only for certified volunteers
+   */
+  function syncCertification() {
+    certExpiryGroup.hidden = certificationSelect.value !== 'certified';
+  }
+
+  /**
+   * Collect the registration payload
+   * @returns {Object}
+   */
+  function collectData() {
+    const formData = new FormData(form);
+
+    const data = {
+      name: formData.get('name'),
+      email: formData.get('email'),
+      phone: formData.get('phone'),
+      availability: {
+        days: formData.getAll('availabilityDays'),
+        from: formData.get('availableFrom'),
+        until: formData.get('availableUntil'),
+        timeZone: window.pickupWindow ? window.pickupWindow.getDefaultTimeZone() : undefined
+      },
+      serviceRadiusMiles: parseFloat(formData.get('serviceRadius')),
+      vehicle: {
+        type: formData.get('vehicleType'),
+        capacityLbs: parseFloat(formData.get('vehicleCapacity'))
+      },
+      foodHandlerCertification: {
+        certified: formData.get('foodHandlerCertification') === 'certified',
+        expires: formData.get('foodHandlerCertification') === 'certified'
+          ? formData.get('certificationExpires')
+          : null
+      },
+      submittedAt: new Date().toISOString()
+    };
+
+    return data;
+  }
+
+  certificationSelect.addEventListener('change', syncCertification);
+  form.addEventListener('reset', () => setTimeout(syncCertification, 0));
+
+  // Form submission
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    successMessage.hidden = true;
+    errorMessage.hidden = true;
+
+    if (!(await validation.validateForm())) {
+      announceToScreenReader('Form has errors. Please correct them and try again.');
+
+      const firstError = form.querySelector('.error');
+      if (firstError) {
+        firstError.focus();
+        firstError.scrollIntoView({ behavior: scrollBehavior(), block: 'center' });
+      }
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await window.apiClient.post('/api/volunteers', collectData());
+
+      if (response.success) {
+        showSuccess();
+        form.reset();
+        validation.clearErrors();
+      } else {
+        throw new Error(response.error || 'Registration failed');
+      }
+    } catch (error) {
+      showError(error.message);
+      console.error('Volunteer registration error:', error);
+    } finally {
+      setLoading(false);
+    }
+  });
+
+  syncCertification();
+
+})();